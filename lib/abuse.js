@@ -0,0 +1,50 @@
+// Abuse detection: flags users who fetch the same file from more than `maxIps`
+// client IPs within `windowSeconds`, a sign of a shared account or a leaked link.
+// Flags are kept in the token store for `flagTtlSeconds`; nothing is blocked.
+function createAbuseDetector({ store, maxIps, windowSeconds, flagTtlSeconds }) {
+  // Record a granted access. Resolves to the flag when this access newly flags the user, else null.
+  async function observe(userId, filePath, ip) {
+    if (!maxIps) return null;
+
+    const currentTime = Math.floor(Date.now() / 1000);
+    const key = `ips:${userId}:${filePath}`;
+    const entry = (await store.get(key)) || { ips: {} };
+
+    for (const [address, lastSeen] of Object.entries(entry.ips)) {
+      if (currentTime - lastSeen > windowSeconds) {
+        delete entry.ips[address];
+      }
+    }
+    entry.ips[ip] = currentTime;
+    await store.set(key, entry, currentTime + windowSeconds);
+
+    const ips = Object.keys(entry.ips);
+    if (ips.length <= maxIps) return null;
+
+    const existing = await store.get(`flag:${userId}`);
+    const flag = {
+      userId,
+      filePath,
+      ips,
+      reason: `Fetched ${filePath} from ${ips.length} IP addresses within ${windowSeconds} seconds`,
+      flaggedAt: existing ? existing.flaggedAt : currentTime,
+      lastSeenAt: currentTime
+    };
+    await store.set(`flag:${userId}`, flag, currentTime + flagTtlSeconds);
+    return existing ? null : flag;
+  }
+
+  // All currently flagged users
+  async function list() {
+    return (await store.list('flag:')).map(entry => entry.value);
+  }
+
+  // Clear a user's flag after review. Resolves to true if there was one.
+  function clear(userId) {
+    return store.delete(`flag:${userId}`);
+  }
+
+  return { observe, list, clear };
+}
+
+module.exports = { createAbuseDetector };
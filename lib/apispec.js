@@ -0,0 +1,589 @@
+const { MEDIA_TYPES } = require('./media');
+const { DELIVERY_MODES } = require('./delivery');
+const { ERRORS } = require('./errors');
+const { TRANSFORM_FITS, TRANSFORM_FORMATS } = require('./transform');
+const { WATERMARKABLE_EXTENSIONS } = require('./watermark');
+const { DISPOSITIONS } = require('./disposition');
+const { UPLOAD_METHODS } = require('./upload');
+
+// OpenAPI operations and schemas for every route of the service (see lib/openapi).
+// Limits that depend on the configuration (lifetimes, maxUses, batch size) are filled
+// in from `config`, so the published document matches what the server accepts.
+
+// File extensions the signing endpoints accept
+const SIGNABLE_EXTENSIONS = ['mp4', 'mp3', 'wav', 'avi', 'mov', 'pdf', 'jpg', 'jpeg', 'png', 'm3u8', 'mpd', 'ts', 'm4s'];
+
+// Helper function to match an extension in any letter case (schema patterns take no flags)
+function anyCase(extension) {
+  return extension.replace(/[a-z]/g, letter => `[${letter}${letter.toUpperCase()}]`);
+}
+
+// Helper function to build the "Error" response references for some statuses
+function errorResponses(...statuses) {
+  const responses = {};
+  for (const status of statuses) {
+    responses[status] = { $ref: '#/components/responses/Error' };
+  }
+  return responses;
+}
+
+// Helper function to describe a JSON success response
+function jsonResponse(description, schema = { type: 'object' }) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+// Helper function to describe a query parameter
+function query(name, schema, description, required = false) {
+  return { name, in: 'query', required, description, schema };
+}
+
+function buildApiSpec(config) {
+  const mediaTypeNames = Object.keys(MEDIA_TYPES);
+  const mediaTypePattern = `(${mediaTypeNames.join('|')})`;
+
+  const schemas = {
+    UserId: {
+      type: 'string',
+      pattern: '^[a-zA-Z0-9_]{3,50}$',
+      description: 'Must be alphanumeric with underscores, 3-50 characters.',
+      'x-error-code': 'INVALID_USER_ID'
+    },
+    FilePath: {
+      type: 'string',
+      pattern: `^(?!.*//)(?!.*/\\.\\.?/)/[a-zA-Z0-9/_.-]+\\.(${SIGNABLE_EXTENSIONS.map(anyCase).join('|')})$`,
+      description: `Must be a path to a media file such as /videos/intro.mp4 (${SIGNABLE_EXTENSIONS.join(', ')}), without . or .. segments.`,
+      'x-error-code': 'INVALID_PATH'
+    },
+    Prefix: {
+      type: 'string',
+      pattern: '^(?!.*/\\.\\.?/)/([a-zA-Z0-9_.-]+/)+$',
+      description: 'Must be a directory path ending with /, such as /courses/yoga-101/.',
+      'x-error-code': 'INVALID_PATH'
+    },
+    PathPrefix: {
+      type: 'string',
+      pattern: '^/',
+      description: 'Must start with /.',
+      'x-error-code': 'INVALID_PATH'
+    },
+    MediaTypes: {
+      type: 'string',
+      pattern: `^\\s*${mediaTypePattern}\\s*(,\\s*${mediaTypePattern}\\s*)*$`,
+      description: `Must be comma separated media types: ${mediaTypeNames.join(', ')}.`
+    },
+    DeliveryMode: {
+      type: 'string',
+      enum: DELIVERY_MODES
+    },
+    Timestamp: {
+      type: 'string',
+      description: 'Unix timestamp in seconds or ISO 8601 date.'
+    },
+    Token: {
+      type: 'string',
+      pattern: '^[a-fA-F0-9]{64}$',
+      description: 'Must be the 64 character hex token from a signed URL.'
+    },
+    Error: {
+      type: 'object',
+      required: ['success', 'error', 'code', 'requestId'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string', description: 'Readable summary; may change' },
+        code: { type: 'string', enum: Object.keys(ERRORS), description: 'Stable machine-readable error code' },
+        requestId: { type: 'string' },
+        message: { type: 'string', description: 'Details, when available' }
+      }
+    },
+    Problem: {
+      type: 'object',
+      description: 'RFC 7807 problem details, sent for Accept: application/problem+json or ERROR_FORMAT=problem',
+      required: ['type', 'title', 'status', 'code', 'requestId'],
+      properties: {
+        type: { type: 'string' },
+        title: { type: 'string' },
+        status: { type: 'integer' },
+        detail: { type: 'string' },
+        instance: { type: 'string' },
+        code: { type: 'string', enum: Object.keys(ERRORS) },
+        requestId: { type: 'string' }
+      }
+    },
+    SignedUrl: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        signedUrl: { type: 'string', format: 'uri' },
+        metadata: { type: 'object' }
+      }
+    },
+    SignedUploadUrl: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        uploadUrl: { type: 'string', format: 'uri' },
+        method: { type: 'string', enum: UPLOAD_METHODS },
+        metadata: { type: 'object' }
+      }
+    },
+    Upload: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        filePath: { type: 'string' },
+        size: { type: 'integer' },
+        contentType: { type: 'string' },
+        sha256: { type: 'string' },
+        uploadedAt: { type: 'string', format: 'date-time' }
+      }
+    }
+  };
+
+  // Signing options shared by the single and batch endpoints
+  const signingOptions = {
+    delivery: { $ref: '#/components/schemas/DeliveryMode' },
+    expiresIn: {
+      type: 'integer',
+      minimum: config.expiry.minSeconds,
+      maximum: config.expiry.maxSeconds,
+      description: 'Lifetime in seconds (default per media type)'
+    },
+    notBefore: { $ref: '#/components/schemas/Timestamp' },
+    maxUses: {
+      type: 'integer',
+      minimum: 1,
+      maximum: config.usage.maxUsesLimit,
+      description: 'Playback sessions the URL may be used for'
+    },
+    allowedIps: { type: 'string', description: 'Comma separated IP addresses or CIDR ranges' },
+    userAgent: { type: 'string', description: 'Exact User-Agent of the client' },
+    allowedReferrers: { type: 'string', description: 'Comma separated origins' },
+    width: {
+      type: 'integer',
+      minimum: 1,
+      maximum: config.images.maxDimension,
+      description: 'Resize the image to this width in pixels (jpg/png files)'
+    },
+    height: {
+      type: 'integer',
+      minimum: 1,
+      maximum: config.images.maxDimension,
+      description: 'Resize the image to this height in pixels (jpg/png files)'
+    },
+    fit: { type: 'string', enum: TRANSFORM_FITS, description: 'How the image fits both width and height (default inside)' },
+    format: { type: 'string', enum: [...TRANSFORM_FORMATS, 'jpg'], description: 'Convert the image to this format' },
+    quality: { type: 'integer', minimum: 1, maximum: 100, description: 'Output quality of the image' },
+    watermark: {
+      type: 'string',
+      enum: ['true', 'false'],
+      description: `Stamp the userId, issue time and token onto the file (${WATERMARKABLE_EXTENSIONS.join(', ')} files)`
+    },
+    watermarkEmail: { type: 'string', maxLength: 254, description: 'Email address to stamp next to the userId' },
+    disposition: { type: 'string', enum: DISPOSITIONS, description: 'Show the file in the browser (inline) or download it (attachment)' },
+    filename: { type: 'string', minLength: 1, maxLength: 200, description: 'File name to download the file as' }
+  };
+
+  const security = [{ apiKey: [] }, { bearer: [] }];
+  // Parameters of a signed upload URL, checked by signature verification rather than schemas
+  const uploadParameters = [
+    { name: 'filePath', in: 'path', required: true, description: 'Path to store the file at, e.g. uploads/lecture.mp4', schema: { type: 'string' } },
+    query('userId', { type: 'string' }, 'Signed user', true),
+    query('expires', { type: 'string' }, 'Expiry (unix seconds)', true),
+    query('op', { type: 'string' }, 'Always "upload"', true),
+    query('method', { type: 'string' }, 'Signed HTTP method', true),
+    query('maxSize', { type: 'string' }, 'Largest accepted file in bytes', true),
+    query('token', { type: 'string' }, 'Signature', true),
+    query('kid', { type: 'string' }, 'Signing key id')
+  ];
+  const uploadResponses = {
+    201: jsonResponse('Stored file', { $ref: '#/components/schemas/Upload' }),
+    ...errorResponses(400, 401, 403, 405, 409, 410, 413, 415, 429)
+  };
+
+  const deadLetterId = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', pattern: '^[0-9a-f-]{36}$', description: 'Must be a dead letter ID.' }
+  };
+
+  const operations = {
+    'GET /api/generate-signed-url': {
+      summary: 'Generate Signed URL',
+      description: 'Sign one file, or a directory prefix for a path-prefix token, for a user.',
+      tags: ['Signing'],
+      security,
+      parameters: [
+        query('filePath', { $ref: '#/components/schemas/FilePath' }, 'Media file to sign (or use prefix)'),
+        query('prefix', { $ref: '#/components/schemas/Prefix' }, 'Directory to sign a path-prefix token for'),
+        query('mediaTypes', { $ref: '#/components/schemas/MediaTypes' }, 'Media types a prefix token is limited to'),
+        query('userId', { $ref: '#/components/schemas/UserId' }, 'User to sign for (required with service API keys)'),
+        ...Object.entries(signingOptions).map(([name, schema]) => query(name, schema, schema.description))
+      ],
+      responses: {
+        200: jsonResponse('Signed URL', { $ref: '#/components/schemas/SignedUrl' }),
+        ...errorResponses(400, 401, 403, 404, 429)
+      }
+    },
+    'GET /api/generate-signed-upload-url': {
+      summary: 'Generate Signed Upload URL',
+      description: 'Sign a URL a client can upload one file to (or files under a prefix) with a size limit and content types from its media type.',
+      tags: ['Signing'],
+      security,
+      parameters: [
+        query('filePath', { $ref: '#/components/schemas/FilePath' }, 'Path to store the file at (or use prefix)'),
+        query('prefix', { $ref: '#/components/schemas/Prefix' }, 'Directory the uploader may store files under'),
+        query('mediaTypes', { $ref: '#/components/schemas/MediaTypes' }, 'Media types a prefix upload is limited to'),
+        query('userId', { $ref: '#/components/schemas/UserId' }, 'User to sign for (required with service API keys)'),
+        query('method', { type: 'string', enum: UPLOAD_METHODS }, 'HTTP method the file is sent with (default PUT)'),
+        query('maxSize', { type: 'integer', minimum: 1, maximum: config.uploads.maxBytes }, `Largest accepted file in bytes (default ${config.uploads.maxBytes})`),
+        query('sha256', { type: 'string', pattern: '^[a-fA-F0-9]{64}$', description: 'Must be a 64 character hex SHA-256.' }, 'SHA-256 the file must have'),
+        query('overwrite', { type: 'string', enum: ['true', 'false'] }, 'Allow replacing an existing file'),
+        query('expiresIn', {
+          type: 'integer',
+          minimum: config.expiry.minSeconds,
+          maximum: config.expiry.maxSeconds
+        }, `Lifetime in seconds (default ${config.uploads.expiresIn})`)
+      ],
+      responses: {
+        200: jsonResponse('Signed upload URL', { $ref: '#/components/schemas/SignedUploadUrl' }),
+        ...errorResponses(400, 401, 403, 409, 429)
+      }
+    },
+    'POST /api/generate-signed-urls': {
+      summary: 'Generate Signed URLs (batch)',
+      description: `Sign a list of files, or every file under a prefix, for one user with one expiry. At most ${config.batch.maxItems} files; failures are reported per file.`,
+      tags: ['Signing'],
+      security,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                userId: { $ref: '#/components/schemas/UserId' },
+                filePaths: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  minItems: 1,
+                  description: 'Must be a non-empty list of file path strings.'
+                },
+                prefix: { $ref: '#/components/schemas/Prefix' },
+                ...signingOptions,
+                // JSON clients may send the numeric options as numbers or strings
+                expiresIn: { type: ['integer', 'string'], description: signingOptions.expiresIn.description },
+                maxUses: { type: ['integer', 'string'], description: signingOptions.maxUses.description },
+                width: { type: ['integer', 'string'], description: signingOptions.width.description },
+                height: { type: ['integer', 'string'], description: signingOptions.height.description },
+                quality: { type: ['integer', 'string'], description: signingOptions.quality.description },
+                watermark: { type: ['boolean', 'string'], description: signingOptions.watermark.description }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: jsonResponse('Per-file results and a summary'),
+        ...errorResponses(400, 401, 403, 404, 429)
+      }
+    },
+    'GET /api/validate-token': {
+      summary: 'Validate Token',
+      description: 'Check a signed URL (url) or its parts without accessing the file.',
+      tags: ['Tokens'],
+      parameters: [
+        query('url', { type: 'string' }, 'Full signed URL'),
+        query('token', { type: 'string' }, 'Signature, when passing the parts'),
+        query('filePath', { type: 'string' }, 'Signed path, when passing the parts'),
+        query('userId', { type: 'string' }, 'Signed user, when passing the parts'),
+        query('expires', { type: 'string' }, 'Expiry, when passing the parts'),
+        query('kid', { type: 'string' }, 'Signing key id, when passing the parts')
+      ],
+      responses: {
+        200: jsonResponse('Validation result: valid with tokenData, or valid false with code and reason'),
+        ...errorResponses(400)
+      }
+    },
+    'DELETE /api/tokens/:token': {
+      summary: 'Revoke Token',
+      tags: ['Tokens'],
+      security,
+      parameters: [
+        { name: 'token', in: 'path', required: true, schema: { $ref: '#/components/schemas/Token' } }
+      ],
+      responses: {
+        200: jsonResponse('Revocation'),
+        ...errorResponses(400, 401, 403)
+      }
+    },
+    'DELETE /api/tokens': {
+      summary: 'Revoke Tokens',
+      description: 'Revoke every URL issued so far to a user or under a path prefix. Pass exactly one.',
+      tags: ['Tokens'],
+      security,
+      parameters: [
+        query('userId', { $ref: '#/components/schemas/UserId' }, 'User whose URLs to revoke'),
+        query('pathPrefix', { $ref: '#/components/schemas/PathPrefix' }, 'Path prefix whose URLs to revoke')
+      ],
+      responses: {
+        200: jsonResponse('Revocation'),
+        ...errorResponses(400, 401, 403)
+      }
+    },
+    'GET /api/tokens': {
+      summary: 'Active Tokens',
+      description: 'Issued URLs that have not expired yet, soonest expiry first, with remaining time and revocation.',
+      tags: ['Admin'],
+      security,
+      parameters: [
+        query('userId', { $ref: '#/components/schemas/UserId' }, 'Only URLs issued to this user'),
+        query('pathPrefix', { $ref: '#/components/schemas/PathPrefix' }, 'Only URLs for files under this path'),
+        query('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }, 'Most URLs to return')
+      ],
+      responses: {
+        200: jsonResponse('Active URLs'),
+        ...errorResponses(400, 401, 403)
+      }
+    },
+    'POST /api/tokens/:token/extend': {
+      summary: 'Extend Token',
+      description: 'Keep an active URL working for expiresIn more seconds from now, past the expiry signed into it. Revoked URLs cannot be extended.',
+      tags: ['Admin'],
+      security,
+      parameters: [
+        { name: 'token', in: 'path', required: true, schema: { $ref: '#/components/schemas/Token' } }
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['expiresIn'],
+              properties: {
+                expiresIn: { ...signingOptions.expiresIn, description: 'Seconds from now the URL stays valid' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: jsonResponse('URL extended'),
+        ...errorResponses(400, 401, 403, 404, 409)
+      }
+    },
+    'GET /api/flags': {
+      summary: 'Abuse Flags',
+      description: 'Users flagged for fetching one file from too many client IPs.',
+      tags: ['Admin'],
+      security,
+      responses: {
+        200: jsonResponse('Flagged users'),
+        ...errorResponses(401, 403)
+      }
+    },
+    'DELETE /api/flags/:userId': {
+      summary: 'Clear Abuse Flag',
+      tags: ['Admin'],
+      security,
+      parameters: [
+        { name: 'userId', in: 'path', required: true, schema: { $ref: '#/components/schemas/UserId' } }
+      ],
+      responses: {
+        200: jsonResponse('Flag cleared'),
+        ...errorResponses(400, 401, 403, 404)
+      }
+    },
+    'GET /api/webhooks': {
+      summary: 'Webhook Subscriptions',
+      description: 'Configured webhook subscriptions (without secrets) and the event types.',
+      tags: ['Admin'],
+      security,
+      responses: {
+        200: jsonResponse('Subscriptions'),
+        ...errorResponses(401, 403)
+      }
+    },
+    'GET /api/webhooks/dead-letters': {
+      summary: 'Webhook Dead Letters',
+      description: 'Webhook deliveries that failed every attempt, newest first.',
+      tags: ['Admin'],
+      security,
+      responses: {
+        200: jsonResponse('Dead letters'),
+        ...errorResponses(401, 403)
+      }
+    },
+    'POST /api/webhooks/dead-letters/:id/retry': {
+      summary: 'Retry Webhook Dead Letter',
+      tags: ['Admin'],
+      security,
+      parameters: [deadLetterId],
+      responses: {
+        202: jsonResponse('Delivery restarted'),
+        ...errorResponses(400, 401, 403, 404)
+      }
+    },
+    'DELETE /api/webhooks/dead-letters/:id': {
+      summary: 'Discard Webhook Dead Letter',
+      tags: ['Admin'],
+      security,
+      parameters: [deadLetterId],
+      responses: {
+        200: jsonResponse('Dead letter discarded'),
+        ...errorResponses(400, 401, 403, 404)
+      }
+    },
+    'GET /api/audit': {
+      summary: 'Audit History',
+      description: 'Issuance and access history, newest first. Non-admin callers only get their own.',
+      tags: ['Admin'],
+      security,
+      parameters: [
+        query('userId', { $ref: '#/components/schemas/UserId' }, 'User to query'),
+        query('filePath', { $ref: '#/components/schemas/PathPrefix' }, 'File or directory prefix'),
+        query('from', { $ref: '#/components/schemas/Timestamp' }, 'Earliest entry time'),
+        query('to', { $ref: '#/components/schemas/Timestamp' }, 'Latest entry time'),
+        query('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }, 'Most entries to return')
+      ],
+      responses: {
+        200: jsonResponse('Matching entries'),
+        ...errorResponses(400, 401, 403, 501)
+      }
+    },
+    'GET /api/audit/timeline': {
+      summary: 'Access Timeline',
+      description: 'Media access outcomes counted per interval, by default hourly for the last 24 hours.',
+      tags: ['Admin'],
+      security,
+      parameters: [
+        query('from', { $ref: '#/components/schemas/Timestamp' }, 'Start of the range'),
+        query('to', { $ref: '#/components/schemas/Timestamp' }, 'End of the range'),
+        query('interval', { type: 'integer', minimum: 60, maximum: 7 * 24 * 60 * 60, default: 3600 }, 'Bucket size in seconds')
+      ],
+      responses: {
+        200: jsonResponse('Outcome counts per interval'),
+        ...errorResponses(400, 401, 403, 501)
+      }
+    },
+    'GET /api/stats': {
+      summary: 'API Stats',
+      tags: ['Operations'],
+      responses: {
+        200: jsonResponse('Summary of this instance\'s metrics')
+      }
+    },
+    'GET /metrics': {
+      summary: 'Metrics',
+      description: 'Prometheus text exposition format.',
+      tags: ['Operations'],
+      responses: {
+        200: { description: 'Prometheus metrics', content: { 'text/plain': { schema: { type: 'string' } } } }
+      }
+    },
+    'GET /health': {
+      summary: 'Health Check',
+      tags: ['Operations'],
+      responses: {
+        200: jsonResponse('Service is healthy')
+      }
+    },
+    'GET /info': {
+      summary: 'API Info',
+      tags: ['Operations'],
+      responses: {
+        200: jsonResponse('Service description and endpoints')
+      }
+    },
+    'GET /openapi.json': {
+      summary: 'OpenAPI Document',
+      tags: ['Operations'],
+      responses: {
+        200: jsonResponse('This document')
+      }
+    },
+    'GET /': {
+      summary: 'Test Interface',
+      tags: ['Operations'],
+      responses: {
+        200: { description: 'Web interface', content: { 'text/html': { schema: { type: 'string' } } } }
+      }
+    },
+    'GET /admin': {
+      summary: 'Admin Dashboard',
+      description: 'Browse and manage active URLs and chart access outcomes; the page calls the admin API with an admin API key or token.',
+      tags: ['Admin'],
+      responses: {
+        200: { description: 'Web interface', content: { 'text/html': { schema: { type: 'string' } } } }
+      }
+    },
+    'GET /media/*': {
+      summary: 'Stream Media',
+      description: 'Serve the file behind a signed URL. Supports Range requests; HLS/DASH manifests are served with signed segment URIs.',
+      tags: ['Media'],
+      // Signed URL parameters are checked by signature verification itself
+      validate: false,
+      parameters: [
+        { name: 'filePath', in: 'path', required: true, description: 'Path of the file, e.g. videos/intro.mp4', schema: { type: 'string' } },
+        query('userId', { type: 'string' }, 'Signed user', true),
+        query('expires', { type: 'string' }, 'Expiry (unix seconds)', true),
+        query('token', { type: 'string' }, 'Signature', true),
+        query('kid', { type: 'string' }, 'Signing key id')
+      ],
+      responses: {
+        200: { description: 'File contents' },
+        206: { description: 'Partial content for Range requests' },
+        302: { description: 'Redirect to a presigned storage/CDN URL' },
+        ...errorResponses(400, 401, 403, 404, 410, 429)
+      }
+    },
+    'PUT /upload/*': {
+      summary: 'Upload Media',
+      description: 'Store the request body behind a signed upload URL. The Content-Type must match the file type and the body the signed size and checksum.',
+      tags: ['Media'],
+      validate: false,
+      parameters: uploadParameters,
+      requestBody: { required: true, content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+      responses: uploadResponses
+    },
+    'POST /upload/*': {
+      summary: 'Upload Media (POST)',
+      description: 'Like PUT, for upload URLs signed with method=POST.',
+      tags: ['Media'],
+      validate: false,
+      parameters: uploadParameters,
+      requestBody: { required: true, content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+      responses: uploadResponses
+    }
+  };
+
+  const components = {
+    schemas,
+    responses: {
+      Error: {
+        description: 'Error (see the code for the reason)',
+        content: {
+          'application/json': { schema: { $ref: '#/components/schemas/Error' } },
+          'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } }
+        }
+      }
+    },
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    }
+  };
+
+  return {
+    info: {
+      title: 'PowerOfAum Signed URL Generator',
+      version: '1.0.0',
+      description: 'A secure API for generating time-limited signed URLs for media files'
+    },
+    components,
+    operations
+  };
+}
+
+module.exports = { buildApiSpec };
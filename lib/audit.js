@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { isUnderPrefix } = require('./policy');
+
+// Access audit log: one JSON object per URL issuance or media access attempt.
+//
+// Entries are written to a sink. Sinks share one interface:
+//   write(entry)   -> Promise
+//   query(filter)  -> Promise<Array<entry>> oldest first (optional; write-only sinks omit it)
+// Built-in sinks: memory (bounded, the default), file (JSON lines) and stdout (JSON lines,
+// for log shippers). Any object with the same methods can be passed as `sink`.
+
+// Helper function to identify a signed URL in the log without storing the bearer token itself
+function tokenId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+}
+
+// Helper function to check an entry against a query filter.
+// `filePath` matches the path itself or a directory prefix; `from`/`to` are unix seconds.
+function matchesFilter(entry, { userId, filePath, from, to }) {
+  if (userId && entry.userId !== userId) return false;
+  if (filePath && !(entry.filePath && isUnderPrefix(entry.filePath, filePath))) return false;
+
+  const time = Date.parse(entry.time) / 1000;
+  if (from !== undefined && time < from) return false;
+  if (to !== undefined && time > to) return false;
+  return true;
+}
+
+// Keeps the most recent `maxEntries` entries in memory
+function createMemorySink({ maxEntries = 10000 } = {}) {
+  const entries = [];
+
+  async function write(entry) {
+    entries.push(entry);
+    if (entries.length > maxEntries) {
+      entries.splice(0, entries.length - maxEntries);
+    }
+  }
+
+  async function query(filter) {
+    return entries.filter(entry => matchesFilter(entry, filter));
+  }
+
+  return { write, query };
+}
+
+// Appends JSON lines to a file and scans it for queries
+function createFileSink({ path: logPath }) {
+  fs.mkdirSync(path.dirname(path.resolve(logPath)), { recursive: true });
+  const stream = fs.createWriteStream(logPath, { flags: 'a' });
+
+  function write(entry) {
+    return new Promise((resolve, reject) => {
+      stream.write(JSON.stringify(entry) + '\n', error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async function query(filter) {
+    // Until the first entry is written (or after the log was rotated away) there is nothing to find
+    let file;
+    try {
+      file = await fs.promises.open(logPath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const results = [];
+    const lines = readline.createInterface({ input: file.createReadStream(), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (matchesFilter(entry, filter)) results.push(entry);
+    }
+    return results;
+  }
+
+  return { write, query };
+}
+
+// Prints JSON lines to stdout; cannot be queried
+function createStdoutSink() {
+  async function write(entry) {
+    process.stdout.write(JSON.stringify(entry) + '\n');
+  }
+
+  return { write };
+}
+
+// Helper function to create a built-in sink from the audit configuration
+function createSink(options) {
+  switch (options.sink) {
+    case 'memory':
+      return createMemorySink(options.memory);
+    case 'file':
+      return createFileSink(options.file);
+    case 'stdout':
+      return createStdoutSink();
+    default:
+      throw new Error(`Unknown AUDIT_SINK "${options.sink}" (expected memory, file or stdout)`);
+  }
+}
+
+// Create the audit log. `options.sink` is a built-in sink name or a custom sink object.
+function createAuditLog(options) {
+  const sink = typeof options.sink === 'object' ? options.sink : createSink(options);
+
+  // Write one entry, stamped with the current time. Audit failures never fail the request.
+  async function record(event) {
+    try {
+      await sink.write({ time: new Date().toISOString(), ...event });
+    } catch (error) {
+      console.error('Error writing audit log entry:', error.message);
+    }
+  }
+
+  // Find entries matching { userId, filePath, from, to }, newest first, at most `limit`
+  async function query(filter, limit) {
+    const entries = await sink.query(filter);
+    return entries.reverse().slice(0, limit);
+  }
+
+  // Count access outcomes per `intervalSeconds` from `from` to `to` (unix seconds) for charts.
+  // Resolves to [{ start, counts: { outcome: count } }] with one bucket per interval, oldest first.
+  async function timeline({ from, to, ...filter }, intervalSeconds) {
+    const buckets = [];
+    for (let start = from; start < to; start += intervalSeconds) {
+      buckets.push({ start: new Date(start * 1000).toISOString(), counts: {} });
+    }
+
+    for (const entry of await sink.query({ ...filter, from, to })) {
+      if (entry.event !== 'access') continue;
+      const bucket = buckets[Math.floor((Date.parse(entry.time) / 1000 - from) / intervalSeconds)];
+      if (bucket) {
+        bucket.counts[entry.outcome] = (bucket.counts[entry.outcome] || 0) + 1;
+      }
+    }
+    return buckets;
+  }
+
+  return { record, query, timeline, queryable: typeof sink.query === 'function' };
+}
+
+module.exports = {
+  createAuditLog,
+  createFileSink,
+  createMemorySink,
+  createStdoutSink,
+  tokenId
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Allowed clock skew when checking exp/nbf, in seconds
+const CLOCK_SKEW_SECONDS = 30;
+
+// JWS algorithms mapped onto Node's digest names
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  PS256: { digest: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { digest: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { digest: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { digest: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+// Error raised for credentials that are missing (401) or not allowed (403).
+// `code` is the matching machine-readable error code (see lib/errors).
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = status === 401 ? 'UNAUTHENTICATED' : 'FORBIDDEN';
+  }
+}
+
+// Helper function to decode one base64url JWT segment as JSON
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString());
+  } catch (error) {
+    throw new AuthError(401, 'Malformed bearer token');
+  }
+}
+
+// Helper function to compare two strings without leaking timing information
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Helper function to load a JWKS file into a map of key ID -> KeyObject
+function loadJwks(jwksPath) {
+  const { keys = [] } = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+  const publicKeys = new Map();
+  for (const jwk of keys) {
+    if (jwk.use && jwk.use !== 'sig') continue;
+    publicKeys.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  }
+  return publicKeys;
+}
+
+// Helper function to parse "key:userId" pairs; "*" lets a service key sign for any user
+function parseApiKeys(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.lastIndexOf(':');
+      const key = separator > 0 ? entry.slice(0, separator) : entry;
+      const userId = separator > 0 ? entry.slice(separator + 1) : '*';
+      return { key, userId: userId === '*' ? null : userId };
+    });
+}
+
+// Verify a compact JWS and its registered claims. Returns the claims.
+function verifyJwt(token, options) {
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw new AuthError(401, 'Malformed bearer token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  let verified = false;
+  if (HMAC_ALGORITHMS[header.alg] && options.secret) {
+    const expected = crypto.createHmac(HMAC_ALGORITHMS[header.alg], options.secret).update(signingInput).digest();
+    verified = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (ASYMMETRIC_ALGORITHMS[header.alg] && options.publicKeys) {
+    const publicKey = options.publicKeys.get(header.kid || '');
+    if (!publicKey) {
+      throw new AuthError(401, `Unknown signing key "${header.kid || ''}" for bearer token`);
+    }
+    const { digest, ...keyOptions } = ASYMMETRIC_ALGORITHMS[header.alg];
+    verified = crypto.verify(digest, Buffer.from(signingInput), { key: publicKey, ...keyOptions }, signature);
+  } else {
+    throw new AuthError(401, `Unsupported bearer token algorithm "${header.alg}"`);
+  }
+
+  if (!verified) {
+    throw new AuthError(401, 'Invalid bearer token signature');
+  }
+
+  const currentTime = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && currentTime > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new AuthError(401, 'Bearer token has expired');
+  }
+  if (typeof claims.nbf === 'number' && currentTime < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new AuthError(401, 'Bearer token is not yet valid');
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new AuthError(401, 'Bearer token has an unexpected issuer');
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new AuthError(401, 'Bearer token has an unexpected audience');
+    }
+  }
+
+  return claims;
+}
+
+// Create the caller authenticator from the auth configuration.
+// `authenticate(req)` resolves to { type, userId, claims } (userId null for service keys)
+// or null when authentication is not configured at all.
+function createAuthenticator(options) {
+  const apiKeys = parseApiKeys(options.apiKeys);
+  const jwtOptions = {
+    secret: options.jwt.secret,
+    publicKeys: options.jwt.jwksPath ? loadJwks(options.jwt.jwksPath) : null,
+    issuer: options.jwt.issuer,
+    audience: options.jwt.audience
+  };
+  const jwtEnabled = Boolean(jwtOptions.secret || jwtOptions.publicKeys);
+  const enabled = jwtEnabled || apiKeys.length > 0;
+
+  function authenticate(req) {
+    if (!enabled) return null;
+
+    const apiKey = req.get('x-api-key');
+    if (apiKey) {
+      const match = apiKeys.find(entry => safeEqual(entry.key, apiKey));
+      if (!match) {
+        throw new AuthError(401, 'Invalid API key');
+      }
+      return { type: 'apiKey', userId: match.userId, claims: {} };
+    }
+
+    const authorization = req.get('authorization') || '';
+    const [scheme, token] = authorization.split(' ');
+    if (scheme && scheme.toLowerCase() === 'bearer' && token && jwtEnabled) {
+      const claims = verifyJwt(token, jwtOptions);
+      const userId = claims[options.jwt.userIdClaim];
+      if (typeof userId !== 'string' || !userId) {
+        throw new AuthError(403, `Bearer token has no "${options.jwt.userIdClaim}" claim to identify the user`);
+      }
+      return { type: 'jwt', userId, claims };
+    }
+
+    throw new AuthError(401, 'Authentication required: provide a bearer token or an X-API-Key header');
+  }
+
+  return { enabled, authenticate };
+}
+
+// Helper function to decide which userId a signed URL is issued to.
+// Users may only sign for themselves; service keys (userId null) must name the user.
+function resolveUserId(auth, requestedUserId) {
+  if (!auth || !auth.userId) {
+    return requestedUserId;
+  }
+  if (requestedUserId && requestedUserId !== auth.userId) {
+    throw new AuthError(403, `Authenticated user "${auth.userId}" cannot sign URLs for userId "${requestedUserId}"`);
+  }
+  return auth.userId;
+}
+
+// Helper function to check whether a caller may use the admin endpoints:
+// service API keys, or bearer tokens with the "admin" role
+function isAdmin(auth) {
+  if (!auth) return false;
+  if (auth.type === 'apiKey') return auth.userId === null;
+
+  const roles = Array.isArray(auth.claims.roles) ? auth.claims.roles : [auth.claims.role];
+  return roles.includes('admin');
+}
+
+module.exports = {
+  AuthError,
+  createAuthenticator,
+  isAdmin,
+  resolveUserId,
+  verifyJwt
+};
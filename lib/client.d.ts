@@ -0,0 +1,316 @@
+// Type declarations for the client SDK (lib/client.js)
+
+export type ErrorCode =
+  | 'MISSING_PARAM' | 'INVALID_PARAM' | 'INVALID_PATH' | 'INVALID_USER_ID' | 'INVALID_BODY'
+  | 'BATCH_TOO_LARGE' | 'DELIVERY_NOT_SUPPORTED' | 'CHECKSUM_MISMATCH' | 'UNAUTHENTICATED' | 'FORBIDDEN'
+  | 'ADMIN_REQUIRED' | 'ACCESS_DENIED' | 'TOKEN_INVALID' | 'TOKEN_MISMATCH' | 'TOKEN_NOT_YET_VALID'
+  | 'TOKEN_REVOKED' | 'CONSTRAINT_VIOLATION' | 'FILE_NOT_FOUND' | 'NOT_FOUND' | 'ROUTE_NOT_FOUND'
+  | 'METHOD_NOT_ALLOWED' | 'FILE_EXISTS' | 'TOKEN_ALREADY_REVOKED' | 'TOKEN_EXPIRED' | 'TOKEN_USED_UP'
+  | 'UPLOAD_TOO_LARGE' | 'UNSUPPORTED_MEDIA_TYPE' | 'RATE_LIMITED' | 'INTERNAL_ERROR' | 'MANIFEST_TOO_LARGE'
+  | 'NOT_IMPLEMENTED' | 'DELIVERY_UNAVAILABLE';
+
+export type VerificationFailureReason =
+  | 'missing_params' | 'malformed' | 'unknown_key' | 'invalid_signature' | 'expired' | 'not_yet_valid';
+
+export type DeliveryMode = 'proxy' | 'redirect' | 'direct';
+export type MediaType = 'video' | 'audio' | 'image' | 'document';
+
+export class ApiError extends Error {
+  name: 'ApiError';
+  code?: ErrorCode | 'NETWORK_ERROR' | 'TIMEOUT';
+  status?: number;
+  requestId?: string;
+  body?: Record<string, unknown>;
+}
+
+export interface SignerOptions {
+  /** Shared secret, used with the key ID "default" (SIGNING_SECRET on the server) */
+  secret?: string;
+  /** Keys by key ID (SIGNING_KEYS on the server) */
+  keys?: Record<string, string>;
+  /** Key to sign with; defaults to the first key */
+  keyId?: string;
+  baseUrl?: string;
+  /** Path the signed URLs are served under, "/media" by default */
+  mediaPath?: string;
+}
+
+export interface SignOptions {
+  userId: string;
+  /** Lifetime in seconds, 3600 by default */
+  expiresIn?: number;
+  /** Absolute expiry as a Unix timestamp, instead of expiresIn */
+  expires?: number;
+  notBefore?: number;
+  maxUses?: number;
+  delivery?: DeliveryMode;
+  /** Media types a path-prefix token is limited to */
+  mediaTypes?: MediaType | MediaType[];
+  allowedIps?: string;
+  userAgent?: string;
+  allowedReferrers?: string;
+  /** Image transformation of a jpg/png file, rendered by the server's /media/* */
+  width?: number;
+  height?: number;
+  fit?: ImageFit;
+  format?: ImageFormat;
+  quality?: number;
+  /** Stamp the userId, issue time and token onto a pdf/jpg/png file, served by the server's /media/* */
+  watermark?: boolean;
+  watermarkEmail?: string;
+  disposition?: Disposition;
+  /** Download file name; implies disposition "attachment" unless "inline" is given */
+  filename?: string;
+}
+
+export type Disposition = 'inline' | 'attachment';
+
+export type ImageFit = 'cover' | 'contain' | 'fill' | 'inside' | 'outside';
+export type ImageFormat = 'jpeg' | 'jpg' | 'png' | 'webp' | 'avif';
+
+export interface SignedUrlClaims {
+  filePath: string;
+  userId: string;
+  expires: number;
+  issuedAt?: number;
+  notBefore?: number;
+  keyId: string;
+  scope?: string;
+  types?: string;
+  maxUses?: string;
+  delivery?: string;
+  rule?: string;
+  ip?: string;
+  ua?: string;
+  ref?: string;
+  w?: string;
+  h?: string;
+  fit?: ImageFit;
+  fmt?: ImageFormat;
+  q?: string;
+  wm?: '1';
+  wme?: string;
+  disp?: Disposition;
+  fn?: string;
+  [param: string]: unknown;
+}
+
+export type VerificationResult =
+  | { valid: true; claims: SignedUrlClaims }
+  | { valid: false; reason: VerificationFailureReason; code: ErrorCode; claims?: SignedUrlClaims };
+
+export interface Signer {
+  keyId: string;
+  sign(filePath: string, options: SignOptions): { signedUrl: string; token: string; expires: number; params: Record<string, string> };
+  verify(signedUrl: string): VerificationResult;
+  verifyRequest(filePath: string, query: Record<string, unknown>): VerificationResult;
+}
+
+export function createSigner(options: SignerOptions): Signer;
+
+export interface ClientOptions {
+  baseUrl: string;
+  apiKey?: string;
+  bearerToken?: string;
+  /** Retries after network errors, timeouts, 429 and 502-504; 2 by default */
+  retries?: number;
+  retryDelayMs?: number;
+  maxRetryDelayMs?: number;
+  timeoutMs?: number;
+  fetch?: typeof globalThis.fetch;
+}
+
+export interface SigningParams {
+  userId?: string;
+  expiresIn?: number | string;
+  notBefore?: number | string;
+  maxUses?: number;
+  delivery?: DeliveryMode;
+  allowedIps?: string;
+  userAgent?: string;
+  allowedReferrers?: string;
+  width?: number;
+  height?: number;
+  fit?: ImageFit;
+  format?: ImageFormat;
+  quality?: number;
+  watermark?: boolean;
+  watermarkEmail?: string;
+  disposition?: Disposition;
+  filename?: string;
+}
+
+export interface ImageTransform {
+  width?: number;
+  height?: number;
+  fit?: ImageFit;
+  format?: Exclude<ImageFormat, 'jpg'>;
+  quality?: number;
+}
+
+export interface SignedUrlMetadata {
+  filePath?: string;
+  prefix?: string;
+  mediaTypes?: MediaType[];
+  userId: string;
+  expiresAt: number;
+  expiresIn: string;
+  expiresInSeconds: number;
+  notBefore?: number;
+  keyId: string;
+  delivery: DeliveryMode;
+  grantedBy?: string;
+  maxUses?: number;
+  constraints?: Record<string, unknown>;
+  transform?: ImageTransform;
+  watermark?: { email?: string };
+  disposition?: { type: Disposition; filename?: string };
+  generatedAt: string;
+}
+
+export interface UploadParams {
+  userId?: string;
+  method?: UploadMethod;
+  maxSize?: number;
+  sha256?: string;
+  overwrite?: boolean;
+  expiresIn?: number;
+}
+
+export type UploadMethod = 'PUT' | 'POST';
+
+export interface SignedUploadUrlMetadata {
+  filePath?: string;
+  prefix?: string;
+  mediaTypes: MediaType[];
+  contentTypes: string[];
+  userId: string;
+  method: UploadMethod;
+  maxSize: number;
+  sha256?: string;
+  overwrite: boolean;
+  expiresAt: number;
+  expiresIn: string;
+  expiresInSeconds: number;
+  keyId: string;
+  delivery: 'upload';
+  generatedAt: string;
+}
+
+export type BatchItem =
+  | { filePath: string; success: true; signedUrl: string; metadata: SignedUrlMetadata }
+  | { filePath: string; success: false; status: number; code: ErrorCode; error: string; reason?: string };
+
+export interface Revocation {
+  type: 'token' | 'user' | 'pathPrefix';
+  revokedAt: number;
+  expiresAt: number;
+  token?: string;
+  userId?: string;
+  pathPrefix?: string;
+}
+
+export interface IssuedToken {
+  token: string;
+  tokenId: string;
+  filePath: string;
+  userId: string;
+  delivery: DeliveryMode | 'upload';
+  keyId: string;
+  issuedAt?: number;
+  expiresAt: number;
+  remainingSeconds: number;
+  extendedAt?: number;
+  revocation: Revocation | null;
+}
+
+export interface Client {
+  request<T = Record<string, unknown>>(method: string, path: string, options?: { query?: Record<string, unknown>; body?: unknown }): Promise<T>;
+  generateSignedUrl(params: SigningParams & ({ filePath: string } | { prefix: string; mediaTypes?: MediaType | MediaType[] })):
+    Promise<{ success: true; signedUrl: string; metadata: SignedUrlMetadata }>;
+  generateSignedUrls(params: SigningParams & ({ filePaths: string[] } | { prefix: string; mediaTypes?: MediaType[] })):
+    Promise<{
+      success: true;
+      userId: string;
+      expiresAt: number;
+      expiresIn: string;
+      summary: { requested: number; signed: number; failed: number };
+      results: BatchItem[];
+    }>;
+  generateSignedUploadUrl(params: UploadParams & ({ filePath: string } | { prefix: string; mediaTypes?: MediaType | MediaType[] })):
+    Promise<{ success: true; uploadUrl: string; method: UploadMethod; metadata: SignedUploadUrlMetadata }>;
+  validateToken(signedUrl: string): Promise<
+    | { valid: true; tokenData: Record<string, unknown> }
+    | { valid: false; code: ErrorCode; reason: string; revocation?: Revocation }
+  >;
+  revokeToken(token: string): Promise<{ success: true; revocation: Revocation }>;
+  revokeUser(userId: string): Promise<{ success: true; revocation: Revocation }>;
+  revokePathPrefix(pathPrefix: string): Promise<{ success: true; revocation: Revocation }>;
+  listTokens(params?: { userId?: string; pathPrefix?: string; limit?: number }):
+    Promise<{ success: true; count: number; total: number; tokens: IssuedToken[] }>;
+  extendToken(token: string, expiresIn: number): Promise<{
+    success: true;
+    extension: { tokenId: string; expiresAt: number; previousExpiresAt: number; expiresIn: string; extendedAt: number };
+  }>;
+  getAuditLog(params?: { userId?: string; filePath?: string; from?: string | number; to?: string | number; limit?: number }):
+    Promise<{ success: true; count: number; entries: Record<string, unknown>[] }>;
+  getAccessTimeline(params?: { from?: string | number; to?: string | number; interval?: number }): Promise<{
+    success: true;
+    from: string;
+    to: string;
+    interval: number;
+    buckets: { start: string; counts: Record<string, number> }[];
+  }>;
+  listFlags(): Promise<{ success: true; count: number; flags: Record<string, unknown>[] }>;
+  clearFlag(userId: string): Promise<{ success: true; userId: string }>;
+  listWebhookDeadLetters(): Promise<{ success: true; count: number; deadLetters: WebhookDeadLetter[] }>;
+  retryWebhookDeadLetter(id: string): Promise<{ success: true; id: string; subscription: string; event: WebhookEventType }>;
+}
+
+export function createClient(options: ClientOptions): Client;
+
+export type WebhookEventType = 'url.issued' | 'url.extended' | 'url.revoked' | 'url.expired' | 'media.granted' | 'media.denied' | 'media.uploaded';
+
+export interface WebhookEvent {
+  id: string;
+  type: WebhookEventType;
+  createdAt: string;
+  data: Record<string, unknown>;
+}
+
+export interface WebhookDeadLetter {
+  id: string;
+  subscription: string;
+  url: string;
+  event: WebhookEvent;
+  attempts: number;
+  lastError: string;
+  failedAt: number;
+}
+
+/** Check X-Webhook-Signature against the raw request body and X-Webhook-Timestamp */
+export function verifyWebhookSignature(
+  secret: string,
+  delivery: { body: string | Buffer; signature?: string; timestamp?: string; toleranceSeconds?: number }
+): boolean;
+
+export interface ProtectOptions extends SignerOptions {
+  signer?: Signer;
+  isRevoked?(token: string, claims: SignedUrlClaims): unknown | Promise<unknown>;
+}
+
+declare global {
+  namespace Express {
+    interface Request {
+      signedUrl?: { token: string; claims: SignedUrlClaims };
+    }
+  }
+}
+
+/**
+ * Express (or Connect-compatible) middleware. Declared here rather than imported, so the
+ * SDK's types do not depend on @types/express being installed.
+ */
+export type RequestHandler = (req: any, res: any, next: (error?: unknown) => void) => Promise<void>;
+
+export function protect(options: ProtectOptions): RequestHandler;
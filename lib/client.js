@@ -0,0 +1,335 @@
+const { createNonce, signParams, verifyParams } = require('./signing');
+const { checkConstraints, parseConstraints } = require('./constraints');
+const { parseTransform } = require('./transform');
+const { parseWatermark } = require('./watermark');
+const { parseDisposition } = require('./disposition');
+const { VERIFICATION_ERROR_CODES, sendError, sendVerificationFailure } = require('./errors');
+const { verifyWebhookSignature } = require('./webhooks');
+
+// Client SDK for other services, exported as the package's "./client" entry point:
+//
+//   createSigner  signs and verifies media URLs offline with the shared signing keys
+//   createClient  calls the HTTP API with authentication, timeouts and retries
+//   protect       Express middleware that guards a route the way /media/* is guarded
+//   verifyWebhookSignature  checks the signature of a webhook delivery
+//
+// Nothing here loads the server or its configuration; keys and URLs are passed in.
+
+// Status codes worth retrying: rate limited, or the server (or a proxy) is briefly unavailable
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Error thrown by the HTTP client for failure responses. `code` is the stable error
+// code from the response (or NETWORK_ERROR / TIMEOUT when there was no response).
+class ApiError extends Error {
+  constructor(message, { code, status, requestId, body } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.requestId = requestId;
+    this.body = body;
+  }
+}
+
+// Helper function to build a keyring like the server's from { secret } or { keys, keyId }.
+// A lone secret gets the key ID "default", as SIGNING_SECRET does on the server.
+function createKeyring({ secret, keys, keyId }) {
+  const keyring = { keys: keys ? { ...keys } : {}, activeKeyId: keyId };
+  if (secret) {
+    keyring.keys.default = secret;
+  }
+  if (Object.keys(keyring.keys).length === 0) {
+    throw new Error('A signing secret or keys ({ keyId: secret }) is required');
+  }
+  keyring.activeKeyId = keyId || Object.keys(keyring.keys)[0];
+  if (!keyring.keys[keyring.activeKeyId]) {
+    throw new Error(`Signing key "${keyring.activeKeyId}" is not present in keys`);
+  }
+  return keyring;
+}
+
+// Offline signer sharing the server's signing keys. URLs point at `baseUrl` + `mediaPath`
+// (the server's /media by default, or the mount path of a route guarded with protect()).
+function createSigner({ secret, keys, keyId, baseUrl = '', mediaPath = '/media' } = {}) {
+  const keyring = createKeyring({ secret, keys, keyId });
+
+  // Sign a file path (or a directory prefix ending in "/") for a user.
+  // Options: userId, expiresIn (seconds, default 3600) or expires (Unix time), notBefore,
+  // maxUses, delivery ("redirect"), mediaTypes (prefixes only), allowedIps, userAgent, allowedReferrers,
+  // width, height, fit, format, quality to transform an image, watermark and watermarkEmail, and
+  // disposition and filename (transformations, watermarks and dispositions are applied by the server only).
+  // Returns { signedUrl, token, expires, params }; throws on invalid options.
+  function sign(filePath, options = {}) {
+    const { userId, expiresIn = 3600, notBefore, maxUses, delivery, mediaTypes } = options;
+    if (typeof filePath !== 'string' || !filePath.startsWith('/')) {
+      throw new TypeError('filePath must be an absolute path such as /videos/intro.mp4');
+    }
+    if (typeof userId !== 'string' || !userId) {
+      throw new TypeError('userId is required');
+    }
+    if (options.expires === undefined && !(Number.isInteger(expiresIn) && expiresIn > 0)) {
+      throw new TypeError('expiresIn must be a positive number of seconds');
+    }
+
+    const constraints = parseConstraints(options);
+    if (constraints.error) {
+      throw new TypeError(constraints.error);
+    }
+    const transform = parseTransform(options);
+    if (transform.error) {
+      throw new TypeError(transform.error);
+    }
+    const watermark = parseWatermark(options);
+    if (watermark.error) {
+      throw new TypeError(watermark.error);
+    }
+    const disposition = parseDisposition(options);
+    if (disposition.error) {
+      throw new TypeError(disposition.error);
+    }
+
+    const currentTime = Math.floor(Date.now() / 1000);
+    const expires = options.expires !== undefined
+      ? options.expires
+      : Math.max(currentTime, notBefore || 0) + expiresIn;
+    if (notBefore && notBefore >= expires) {
+      throw new TypeError('notBefore must be before expires');
+    }
+
+    // The same claims the server signs, so either side can verify the other's URLs
+    const claims = {
+      userId,
+      expires: String(expires),
+      iat: String(currentTime),
+      jti: createNonce(),
+      ...constraints.claims,
+      ...transform.claims,
+      ...watermark.claims,
+      ...disposition.claims
+    };
+    if (notBefore) {
+      claims.nbf = String(notBefore);
+    }
+    if (maxUses) {
+      claims.maxUses = String(maxUses);
+    }
+    if (delivery === 'redirect') {
+      claims.delivery = 'redirect';
+    }
+    if (filePath.endsWith('/')) {
+      claims.scope = filePath;
+      if (mediaTypes) {
+        claims.types = [].concat(mediaTypes).join(',');
+      }
+    }
+
+    const params = signParams(filePath, claims, keyring);
+    return {
+      signedUrl: `${baseUrl}${mediaPath}${filePath}?${new URLSearchParams(params)}`,
+      token: params.token,
+      expires,
+      params
+    };
+  }
+
+  // Verify a file path and the query parameters of a request for it.
+  // Returns { valid: true, claims } or { valid: false, reason, code, claims }.
+  function verifyRequest(filePath, query) {
+    const result = verifyParams(filePath, query, keyring);
+    return result.valid ? result : { ...result, code: VERIFICATION_ERROR_CODES[result.reason] };
+  }
+
+  // Verify a full signed URL (absolute, or a path with its query string).
+  // For a path-prefix token, pass the URL with the path of the file being fetched.
+  function verify(signedUrl) {
+    const url = new URL(signedUrl, 'http://localhost');
+    if (!url.pathname.startsWith(`${mediaPath}/`)) {
+      return { valid: false, reason: 'malformed', code: VERIFICATION_ERROR_CODES.malformed };
+    }
+    return verifyRequest(url.pathname.slice(mediaPath.length), Object.fromEntries(url.searchParams));
+  }
+
+  return { keyId: keyring.activeKeyId, sign, verify, verifyRequest };
+}
+
+// Helper function to wait before a retry
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Helper function to read a Retry-After header (seconds) as milliseconds, or null
+function parseRetryAfter(value) {
+  return value && /^\d+$/.test(value) ? parseInt(value, 10) * 1000 : null;
+}
+
+// HTTP client for the signed URL API. Authenticates with an API key (X-API-Key) or a
+// bearer token. Network errors, timeouts, 429 and 502-504 responses are retried up to
+// `retries` times, waiting for Retry-After when the server sends one and backing off
+// exponentially from `retryDelayMs` otherwise. Failures throw an ApiError.
+function createClient({
+  baseUrl,
+  apiKey,
+  bearerToken,
+  retries = 2,
+  retryDelayMs = 250,
+  maxRetryDelayMs = 10000,
+  timeoutMs = 10000,
+  fetch = globalThis.fetch
+} = {}) {
+  if (!baseUrl) {
+    throw new Error('baseUrl is required');
+  }
+
+  // Send one API request with retries. Resolves to the parsed JSON body.
+  async function request(method, path, { query, body } = {}) {
+    const url = new URL(path, baseUrl);
+    for (const [name, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(name, Array.isArray(value) ? value.join(',') : String(value));
+      }
+    }
+
+    const headers = { Accept: 'application/json' };
+    if (apiKey) headers['X-API-Key'] = apiKey;
+    if (bearerToken) headers.Authorization = `Bearer ${bearerToken}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    for (let attempt = 0; ; attempt++) {
+      const backoff = Math.min(retryDelayMs * 2 ** attempt, maxRetryDelayMs);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers,
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+      } catch (error) {
+        const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+        if (attempt < retries) {
+          await delay(backoff);
+          continue;
+        }
+        throw new ApiError(timedOut ? `Request timed out after ${timeoutMs}ms` : `Request failed: ${error.message}`, {
+          code: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR'
+        });
+      }
+
+      if (RETRYABLE_STATUSES.includes(response.status) && attempt < retries) {
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        await response.body?.cancel();
+        await delay(retryAfter !== null ? Math.min(retryAfter, maxRetryDelayMs) : backoff);
+        continue;
+      }
+
+      const text = await response.text();
+      let data;
+      try {
+        data = text ? JSON.parse(text) : {};
+      } catch (error) {
+        data = { error: text };
+      }
+
+      if (!response.ok) {
+        throw new ApiError(data.error || data.detail || `Request failed with status ${response.status}`, {
+          code: data.code,
+          status: response.status,
+          requestId: data.requestId || response.headers.get('x-request-id'),
+          body: data
+        });
+      }
+      return data;
+    }
+  }
+
+  return {
+    request,
+
+    // Sign one file ({ filePath }) or a directory ({ prefix, mediaTypes }) for a user.
+    // Resolves to { success, signedUrl, metadata }.
+    generateSignedUrl: params => request('GET', '/api/generate-signed-url', { query: params }),
+
+    // Sign a list of files ({ userId, filePaths }) or every file under a prefix.
+    // Resolves to { success, summary, results }; each result has its own success and code.
+    generateSignedUrls: params => request('POST', '/api/generate-signed-urls', { body: params }),
+
+    // Sign an upload URL for one file ({ filePath }) or files under a prefix ({ prefix, mediaTypes })
+    // with { method, maxSize, sha256, overwrite, expiresIn } (admin).
+    // Resolves to { success, uploadUrl, method, metadata }.
+    generateSignedUploadUrl: params => request('GET', '/api/generate-signed-upload-url', { query: params }),
+
+    // Check a signed URL on the server, including revocation and remaining uses.
+    // Resolves to { valid: true, tokenData } or { valid: false, code, reason }.
+    validateToken: signedUrl => request('GET', '/api/validate-token', { query: { url: signedUrl } }),
+
+    // Revoke one URL by its token, every URL of a user, or every URL under a path prefix (admin)
+    revokeToken: token => request('DELETE', `/api/tokens/${encodeURIComponent(token)}`),
+    revokeUser: userId => request('DELETE', '/api/tokens', { query: { userId } }),
+    revokePathPrefix: pathPrefix => request('DELETE', '/api/tokens', { query: { pathPrefix } }),
+
+    // Unexpired issued URLs ({ userId, pathPrefix, limit }), and keeping one valid longer (admin)
+    listTokens: (params = {}) => request('GET', '/api/tokens', { query: params }),
+    extendToken: (token, expiresIn) => request('POST', `/api/tokens/${encodeURIComponent(token)}/extend`, { body: { expiresIn } }),
+
+    // Issuance and access history ({ userId, filePath, from, to, limit })
+    getAuditLog: (params = {}) => request('GET', '/api/audit', { query: params }),
+
+    // Media access outcomes per interval ({ from, to, interval }) (admin)
+    getAccessTimeline: (params = {}) => request('GET', '/api/audit/timeline', { query: params }),
+
+    // Users flagged for fetching the same file from many IPs (admin)
+    listFlags: () => request('GET', '/api/flags'),
+    clearFlag: userId => request('DELETE', `/api/flags/${encodeURIComponent(userId)}`),
+
+    // Webhook deliveries that failed every attempt, and redelivering one (admin)
+    listWebhookDeadLetters: () => request('GET', '/api/webhooks/dead-letters'),
+    retryWebhookDeadLetter: id => request('POST', `/api/webhooks/dead-letters/${encodeURIComponent(id)}/retry`)
+  };
+}
+
+// Express middleware that only lets requests with a valid signed URL through, answering
+// failures with the same codes and bodies as /media/*. The signed path is `req.path`, so
+// mount it on the signer's mediaPath: app.use('/downloads', protect({ secret, mediaPath: '/downloads' })).
+// Options: the createSigner options (or a `signer`), and `isRevoked(token, claims)` resolving
+// to a revocation ({ revokedAt }) or a falsy value, e.g. backed by the shared token store.
+// Maximum uses and rate limits are counted by the server only and are not enforced here.
+// Verified requests get `req.signedUrl = { token, claims }`.
+function protect({ signer, isRevoked, ...signerOptions } = {}) {
+  const verifier = signer || createSigner(signerOptions);
+
+  return async (req, res, next) => {
+    try {
+      const result = verifier.verifyRequest(req.path, req.query);
+      if (!result.valid) {
+        return sendVerificationFailure(res, result.reason, { claims: result.claims });
+      }
+
+      const revocation = isRevoked ? await isRevoked(req.query.token, result.claims) : null;
+      if (revocation) {
+        return sendVerificationFailure(res, 'revoked', { revocation: revocation.revokedAt ? revocation : null });
+      }
+
+      const violation = checkConstraints(result.claims, req);
+      if (violation) {
+        return sendError(res, 'CONSTRAINT_VIOLATION', 'Access denied', {
+          constraint: violation.constraint,
+          message: violation.message
+        });
+      }
+
+      req.signedUrl = { token: req.query.token, claims: result.claims };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  ApiError,
+  createClient,
+  createSigner,
+  protect,
+  verifyWebhookSignature
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DELIVERY_MODES, parseModesByMediaType } = require('./delivery');
+const { parseSecondsByMediaType } = require('./expiry');
+const { parseRateLimits } = require('./ratelimit');
+const { ERROR_FORMATS } = require('./errors');
+
+// Helper function to parse the signing keyring from the environment.
+// SIGNING_KEYS holds comma separated "keyId:secret" pairs so old keys can stay
+// around for verification while SIGNING_KEY_ID selects the one used to sign.
+function parseSigningKeys(env) {
+  const keys = {};
+
+  if (env.SIGNING_KEYS) {
+    for (const entry of env.SIGNING_KEYS.split(',')) {
+      const separator = entry.indexOf(':');
+      const keyId = entry.slice(0, separator).trim();
+      const secret = entry.slice(separator + 1).trim();
+      if (separator > 0 && secret) {
+        keys[keyId] = secret;
+      }
+    }
+  } else if (env.SIGNING_SECRET) {
+    keys.default = env.SIGNING_SECRET;
+  }
+
+  if (Object.keys(keys).length === 0) {
+    // Fall back to a per-process secret so local development works out of the box.
+    // Links signed with it do not survive a restart or work across instances.
+    console.warn('⚠️  No SIGNING_KEYS or SIGNING_SECRET configured - using an ephemeral signing key');
+    keys.dev = crypto.randomBytes(32).toString('hex');
+  }
+
+  const activeKeyId = env.SIGNING_KEY_ID || Object.keys(keys)[0];
+  if (!keys[activeKeyId]) {
+    throw new Error(`SIGNING_KEY_ID "${activeKeyId}" is not present in SIGNING_KEYS`);
+  }
+
+  return { activeKeyId, keys };
+}
+
+// Helper function to read the CloudFront private key from the environment or a PEM file
+function readPrivateKey(env) {
+  if (env.CLOUDFRONT_PRIVATE_KEY) {
+    return env.CLOUDFRONT_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  if (env.CLOUDFRONT_PRIVATE_KEY_PATH) {
+    return fs.readFileSync(env.CLOUDFRONT_PRIVATE_KEY_PATH, 'utf8');
+  }
+  return undefined;
+}
+
+// Helper function to parse the delivery mode settings
+function parseDelivery(env) {
+  const defaultMode = env.DELIVERY_MODE || 'proxy';
+  if (!DELIVERY_MODES.includes(defaultMode)) {
+    throw new Error(`Unknown DELIVERY_MODE "${defaultMode}" (expected ${DELIVERY_MODES.join(', ')})`);
+  }
+
+  return {
+    defaultMode,
+    modesByMediaType: parseModesByMediaType(env.DELIVERY_MODES),
+    provider: env.PRESIGN_PROVIDER,
+    cdn: {
+      baseUrl: env.CDN_BASE_URL,
+      keyPairId: env.CLOUDFRONT_KEY_PAIR_ID,
+      privateKey: readPrivateKey(env),
+      secret: env.CDN_SIGNING_SECRET
+    }
+  };
+}
+
+// Helper function to parse TRUST_PROXY into Express' "trust proxy" setting
+// ("true", a hop count, or a comma separated list of proxy addresses/subnets)
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(entry => entry.trim());
+}
+
+// Helper function to parse ERROR_FORMAT, the error body format for clients that do not ask for one
+function parseErrorFormat(value) {
+  const format = value || 'json';
+  if (!ERROR_FORMATS.includes(format)) {
+    throw new Error(`Unknown ERROR_FORMAT "${format}" (expected ${ERROR_FORMATS.join(' or ')})`);
+  }
+  return format;
+}
+
+// Helper function to parse the signed URL lifetime settings
+function parseExpiry(env) {
+  const expiry = {
+    defaultSeconds: parseInt(env.EXPIRY_SECONDS || '120', 10),
+    minSeconds: parseInt(env.EXPIRY_MIN_SECONDS || '30', 10),
+    maxSeconds: parseInt(env.EXPIRY_MAX_SECONDS || '86400', 10),
+    secondsByMediaType: parseSecondsByMediaType(env.EXPIRY_DEFAULTS)
+  };
+
+  if (!(expiry.minSeconds > 0 && expiry.minSeconds <= expiry.maxSeconds)) {
+    throw new Error('EXPIRY_MIN_SECONDS must be positive and not above EXPIRY_MAX_SECONDS');
+  }
+  return expiry;
+}
+
+// Helper function to parse how long user and path prefix revocations are kept. They must
+// outlive every URL they cover, which may be released up to EXPIRY_MAX_SECONDS after the
+// revocation (notBefore) and then live for the longest lifetime a URL can be issued with;
+// a shorter REVOCATION_TTL_SECONDS is raised to that.
+function parseRevocation(env) {
+  const expiry = parseExpiry(env);
+  const longestLifetime = Math.max(
+    expiry.maxSeconds,
+    expiry.defaultSeconds,
+    ...Object.values(expiry.secondsByMediaType),
+    parseInt(env.UPLOAD_EXPIRY_SECONDS || '900', 10)
+  );
+  const ttlSeconds = parseInt(env.REVOCATION_TTL_SECONDS || String(7 * 24 * 60 * 60), 10);
+  return { ttlSeconds: Math.max(ttlSeconds, expiry.maxSeconds + longestLifetime) };
+}
+
+module.exports = {
+  port: process.env.PORT || 3000,
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  errors: {
+    format: parseErrorFormat(process.env.ERROR_FORMAT)
+  },
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    local: {
+      root: path.resolve(process.env.MEDIA_ROOT || path.join(__dirname, '..', 'media'))
+    },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX || ''
+    }
+  },
+  auth: {
+    apiKeys: process.env.API_KEYS,
+    jwt: {
+      secret: process.env.JWT_SECRET,
+      jwksPath: process.env.JWT_JWKS_PATH,
+      issuer: process.env.JWT_ISSUER,
+      audience: process.env.JWT_AUDIENCE,
+      userIdClaim: process.env.JWT_USER_CLAIM || 'sub'
+    }
+  },
+  batch: {
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS || '200', 10)
+  },
+  delivery: parseDelivery(process.env),
+  expiry: parseExpiry(process.env),
+  policy: {
+    path: process.env.POLICY_PATH
+  },
+  tokenStore: {
+    driver: process.env.TOKEN_STORE_DRIVER || 'memory',
+    sqlite: {
+      path: process.env.TOKEN_STORE_PATH || path.join(__dirname, '..', 'data', 'tokens.db')
+    },
+    redis: {
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      keyPrefix: process.env.REDIS_KEY_PREFIX || 'powerofaum:'
+    },
+    sweepIntervalSeconds: parseInt(process.env.TOKEN_SWEEP_INTERVAL_SECONDS || '60', 10)
+  },
+  audit: {
+    sink: process.env.AUDIT_SINK || 'memory',
+    memory: {
+      maxEntries: parseInt(process.env.AUDIT_MAX_ENTRIES || '10000', 10)
+    },
+    file: {
+      path: process.env.AUDIT_LOG_PATH || path.join(__dirname, '..', 'data', 'audit.log')
+    }
+  },
+  rateLimits: parseRateLimits(process.env.RATE_LIMITS),
+  abuse: {
+    maxIps: parseInt(process.env.ABUSE_MAX_IPS || '10', 10),
+    windowSeconds: parseInt(process.env.ABUSE_WINDOW_SECONDS || '3600', 10),
+    flagTtlSeconds: parseInt(process.env.ABUSE_FLAG_TTL_SECONDS || String(7 * 24 * 60 * 60), 10)
+  },
+  webhooks: {
+    path: process.env.WEBHOOKS_PATH,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+    retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS || '1000', 10),
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10),
+    deadLetterTtlSeconds: parseInt(process.env.WEBHOOK_DEAD_LETTER_TTL_SECONDS || String(7 * 24 * 60 * 60), 10)
+  },
+  images: {
+    cacheDir: path.resolve(process.env.IMAGE_CACHE_DIR || path.join(os.tmpdir(), 'powerofaum-image-cache')),
+    maxBytes: parseInt(process.env.IMAGE_CACHE_MAX_BYTES || String(1024 * 1024 * 1024), 10),
+    ttlSeconds: parseInt(process.env.IMAGE_CACHE_TTL_SECONDS || String(24 * 60 * 60), 10),
+    maxDimension: parseInt(process.env.IMAGE_MAX_DIMENSION || '4096', 10)
+  },
+  uploads: {
+    maxBytes: parseInt(process.env.UPLOAD_MAX_BYTES || String(2 * 1024 * 1024 * 1024), 10),
+    expiresIn: parseInt(process.env.UPLOAD_EXPIRY_SECONDS || '900', 10),
+    tmpDir: path.resolve(process.env.UPLOAD_TMP_DIR || os.tmpdir())
+  },
+  revocation: parseRevocation(process.env),
+  usage: {
+    maxUsesLimit: parseInt(process.env.MAX_USES_LIMIT || '1000', 10),
+    sessionSeconds: parseInt(process.env.PLAYBACK_SESSION_SECONDS || '1800', 10)
+  },
+  signingKeys: parseSigningKeys(process.env),
+  parseDelivery,
+  parseExpiry,
+  parseRevocation,
+  parseSigningKeys
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Optional client constraints carried as signed URL parameters:
+//   ip  - comma separated IP addresses or CIDR ranges the client must come from
+//   ua  - hash of the User-Agent the client must send
+//   ref - comma separated origins the Referer/Origin header must match
+
+// Helper function to hash a User-Agent so the URL does not carry it in clear text
+function hashUserAgent(userAgent) {
+  return crypto.createHash('sha256').update(userAgent).digest('base64url').slice(0, 22);
+}
+
+// Helper function to strip the IPv4-mapped IPv6 prefix (::ffff:10.0.0.1)
+function normalizeIp(address) {
+  return address && address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+}
+
+// Helper function to parse one "address" or "address/prefix" entry, returning null if invalid
+function parseIpRange(entry) {
+  const [address, prefix] = entry.split('/');
+  const family = net.isIP(address);
+  if (!family) return null;
+  if (prefix === undefined) return { address, family };
+
+  const bits = /^\d+$/.test(prefix) ? parseInt(prefix, 10) : NaN;
+  if (!(bits >= 0 && bits <= (family === 4 ? 32 : 128))) return null;
+  return { address, family, prefix: bits };
+}
+
+// Helper function to check a client address against the allowed ranges
+function isIpAllowed(allowed, clientIp) {
+  const address = normalizeIp(clientIp);
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  const blockList = new net.BlockList();
+  for (const entry of allowed.split(',')) {
+    const range = parseIpRange(entry);
+    const type = range.family === 4 ? 'ipv4' : 'ipv6';
+    if (range.prefix === undefined) {
+      blockList.addAddress(range.address, type);
+    } else {
+      blockList.addSubnet(range.address, range.prefix, type);
+    }
+  }
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Parse the constraint parameters of a signing request.
+// Returns { claims } with the signed parameters to add, or { error }.
+function parseConstraints({ allowedIps, userAgent, allowedReferrers }) {
+  const claims = {};
+
+  if (allowedIps !== undefined && allowedIps !== '') {
+    const entries = typeof allowedIps === 'string' ? allowedIps.split(',').map(entry => entry.trim()) : [];
+    if (entries.length === 0 || entries.some(entry => !parseIpRange(entry))) {
+      return { error: 'Invalid allowedIps. Must be comma separated IP addresses or CIDR ranges.' };
+    }
+    claims.ip = entries.join(',');
+  }
+
+  if (userAgent !== undefined && userAgent !== '') {
+    if (typeof userAgent !== 'string') {
+      return { error: 'Invalid userAgent. Must be the exact User-Agent string of the client.' };
+    }
+    claims.ua = hashUserAgent(userAgent);
+  }
+
+  if (allowedReferrers !== undefined && allowedReferrers !== '') {
+    const origins = [];
+    for (const entry of typeof allowedReferrers === 'string' ? allowedReferrers.split(',') : [null]) {
+      let origin = null;
+      try {
+        origin = new URL(entry.trim()).origin;
+      } catch (error) {
+        origin = null;
+      }
+      if (!origin || origin === 'null') {
+        return { error: 'Invalid allowedReferrers. Must be comma separated origins such as https://powerofaum.com.' };
+      }
+      origins.push(origin);
+    }
+    claims.ref = origins.join(',');
+  }
+
+  return { claims };
+}
+
+// Check a media request against the constraints in its verified claims.
+// Returns null when all pass, or { constraint, message } for the first one that fails.
+function checkConstraints(claims, req) {
+  if (claims.ip && !isIpAllowed(claims.ip, req.ip)) {
+    return { constraint: 'ip', message: `Client IP ${normalizeIp(req.ip)} is not allowed to use this URL` };
+  }
+
+  if (claims.ua && hashUserAgent(req.get('user-agent') || '') !== claims.ua) {
+    return { constraint: 'userAgent', message: 'This URL was issued for a different browser or device' };
+  }
+
+  if (claims.ref) {
+    const header = req.get('origin') || req.get('referer');
+    let origin = null;
+    try {
+      origin = header ? new URL(header).origin : null;
+    } catch (error) {
+      origin = null;
+    }
+    if (!origin) {
+      return { constraint: 'referrer', message: 'This URL can only be used from an allowed site, but no Referer or Origin was sent' };
+    }
+    if (!claims.ref.split(',').includes(origin)) {
+      return { constraint: 'referrer', message: `This URL cannot be embedded on ${origin}` };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  checkConstraints,
+  hashUserAgent,
+  parseConstraints
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { MAX_PRESIGN_SECONDS } = require('./storage/sigv4');
+
+// How a signed URL hands out the media:
+//   proxy    - /media/* verifies the signature and streams the bytes itself
+//   redirect - /media/* verifies the signature and 302-redirects to a presigned URL
+//   direct   - the presigned storage/CDN URL is returned to the caller straight away
+const DELIVERY_MODES = ['proxy', 'redirect', 'direct'];
+
+// Query parameter carrying the user the link was issued to on presigned URLs
+const USER_PARAM = 'x-user-id';
+
+// Helper function to encode a CloudFront signature/policy as URL-safe base64
+function toCloudFrontBase64(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/=/g, '_').replace(/\//g, '~');
+}
+
+// Helper function to build a CDN URL for a file path, keeping the user binding in the query
+function cdnUrl(baseUrl, filePath, userId) {
+  const url = new URL(baseUrl.replace(/\/$/, '') + filePath);
+  url.searchParams.set(USER_PARAM, userId);
+  return url;
+}
+
+// CloudFront signed URL with a canned policy (RSA-SHA1 over the policy statement).
+// The user binding is part of the resource URL, so it is covered by the signature.
+function signCloudFrontUrl({ baseUrl, keyPairId, privateKey }, filePath, { userId, expires }) {
+  const url = cdnUrl(baseUrl, filePath, userId);
+  const policy = JSON.stringify({
+    Statement: [{ Resource: url.toString(), Condition: { DateLessThan: { 'AWS:EpochTime': expires } } }]
+  });
+  const signature = crypto.createSign('RSA-SHA1').update(policy).sign(privateKey);
+
+  url.searchParams.set('Expires', String(expires));
+  url.searchParams.set('Signature', toCloudFrontBase64(signature));
+  url.searchParams.set('Key-Pair-Id', keyPairId);
+  return url.toString();
+}
+
+// Cloudflare-style timed HMAC token: verify=<expires>-<base64 HMAC-SHA256(path?query + expires)>
+function signCloudflareUrl({ baseUrl, secret }, filePath, { userId, expires }) {
+  const url = cdnUrl(baseUrl, filePath, userId);
+  const message = `${url.pathname}${url.search}${expires}`;
+  const mac = crypto.createHmac('sha256', secret).update(message).digest('base64');
+
+  url.searchParams.set('verify', `${expires}-${mac}`);
+  return url.toString();
+}
+
+// Create the presigner for the configured provider, or null if none is available.
+// The returned function maps (filePath, { userId, expires }) to a native URL with the same expiry.
+function createPresigner(options, storage) {
+  const provider = options.provider || (typeof storage.presign === 'function' ? 's3' : null);
+
+  switch (provider) {
+    case null:
+      return null;
+    case 's3':
+      if (typeof storage.presign !== 'function') {
+        throw new Error('PRESIGN_PROVIDER "s3" requires STORAGE_DRIVER=s3');
+      }
+      // SigV4 only takes lifetimes of 1 second to 7 days: a URL in its last second still gets
+      // one, and one extended past 7 days gets a presigned URL that runs out first
+      return (filePath, { userId, expires }) => storage.presign(filePath, {
+        expiresIn: Math.min(MAX_PRESIGN_SECONDS, Math.max(1, expires - Math.floor(Date.now() / 1000))),
+        query: { [USER_PARAM]: userId }
+      });
+    case 'cloudfront':
+      if (!options.cdn.baseUrl || !options.cdn.keyPairId || !options.cdn.privateKey) {
+        throw new Error('PRESIGN_PROVIDER "cloudfront" requires CDN_BASE_URL, CLOUDFRONT_KEY_PAIR_ID and CLOUDFRONT_PRIVATE_KEY');
+      }
+      return (filePath, claims) => signCloudFrontUrl(options.cdn, filePath, claims);
+    case 'cloudflare':
+      if (!options.cdn.baseUrl || !options.cdn.secret) {
+        throw new Error('PRESIGN_PROVIDER "cloudflare" requires CDN_BASE_URL and CDN_SIGNING_SECRET');
+      }
+      return (filePath, claims) => signCloudflareUrl(options.cdn, filePath, claims);
+    default:
+      throw new Error(`Unknown PRESIGN_PROVIDER "${provider}" (expected s3, cloudfront or cloudflare)`);
+  }
+}
+
+// Helper function to pick the delivery mode for a request.
+// An explicit mode wins, then the per-media-type default, then the global default.
+function resolveDeliveryMode(requested, mediaType, options) {
+  return requested || options.modesByMediaType[mediaType] || options.defaultMode;
+}
+
+// Helper function to parse "video:redirect,image:proxy" into { video: 'redirect', image: 'proxy' }
+function parseModesByMediaType(value) {
+  const modes = {};
+  for (const entry of (value || '').split(',')) {
+    const [mediaType, mode] = entry.split(':').map(part => part && part.trim());
+    if (!mediaType || !mode) continue;
+    if (!DELIVERY_MODES.includes(mode)) {
+      throw new Error(`Unknown delivery mode "${mode}" for ${mediaType} in DELIVERY_MODES`);
+    }
+    modes[mediaType] = mode;
+  }
+  return modes;
+}
+
+module.exports = {
+  DELIVERY_MODES,
+  createPresigner,
+  parseModesByMediaType,
+  resolveDeliveryMode,
+  signCloudFrontUrl,
+  signCloudflareUrl
+};
@@ -0,0 +1,59 @@
+const path = require('path');
+
+// Content-Disposition carried as signed URL parameters:
+//   disp - "inline" (show in the browser) or "attachment" (download)
+//   fn   - file name to save as; the served file's own name by default
+
+const DISPOSITIONS = ['inline', 'attachment'];
+
+// Parse the disposition parameters of a signing request. A filename alone means a download.
+// Returns { claims } with the signed parameters to add (none by default), or { error }.
+function parseDisposition({ disposition, filename }) {
+  const claims = {};
+
+  if (disposition !== undefined && disposition !== null && disposition !== '') {
+    if (!DISPOSITIONS.includes(disposition)) {
+      return { error: `Invalid disposition. Must be one of: ${DISPOSITIONS.join(', ')}.` };
+    }
+    claims.disp = disposition;
+  }
+
+  if (filename !== undefined && filename !== null && filename !== '') {
+    // No path separators, quotes or control characters, so the header cannot be split or escaped
+    if (typeof filename !== 'string' || filename.length > 200 || /[\\/"\u0000-\u001f\u007f]/.test(filename) || /^\.+$/.test(filename)) {
+      return { error: 'Invalid filename. Must be a file name of at most 200 characters without slashes, quotes or control characters.' };
+    }
+    claims.disp = claims.disp || 'attachment';
+    claims.fn = filename;
+  }
+
+  return { claims };
+}
+
+// True if signed claims set a Content-Disposition
+function hasDisposition(claims) {
+  return claims.disp !== undefined;
+}
+
+// Readable description of a disposition for API responses, or undefined without one
+function describeDisposition(claims) {
+  return hasDisposition(claims) ? { type: claims.disp, filename: claims.fn } : undefined;
+}
+
+// Content-Disposition header value for verified `claims`, naming the file after
+// `servedPath` unless the URL was signed with a filename. Names outside ASCII get
+// an RFC 6266 filename* with an ASCII fallback.
+function formatContentDisposition(claims, servedPath) {
+  const filename = claims.fn || path.posix.basename(servedPath);
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/[%;]/g, '_');
+  const header = `${claims.disp}; filename="${fallback}"`;
+  return fallback === filename ? header : `${header}; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+module.exports = {
+  DISPOSITIONS,
+  describeDisposition,
+  formatContentDisposition,
+  hasDisposition,
+  parseDisposition
+};
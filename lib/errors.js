@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { formatDuration } = require('./expiry');
+
+// Machine-readable error codes. Every failure response carries one of these codes,
+// always with the same HTTP status, so clients can branch on `code` instead of
+// matching the English `error` message. `title` is the RFC 7807 problem title.
+const ERRORS = {
+  MISSING_PARAM: { status: 400, title: 'Missing required parameter' },
+  INVALID_PARAM: { status: 400, title: 'Invalid parameter' },
+  INVALID_PATH: { status: 400, title: 'Invalid file path or prefix' },
+  INVALID_USER_ID: { status: 400, title: 'Invalid userId' },
+  INVALID_BODY: { status: 400, title: 'Invalid request body' },
+  BATCH_TOO_LARGE: { status: 400, title: 'Too many files in batch' },
+  DELIVERY_NOT_SUPPORTED: { status: 400, title: 'Delivery mode not supported for this request' },
+  CHECKSUM_MISMATCH: { status: 400, title: 'Upload does not match the signed checksum' },
+  UNAUTHENTICATED: { status: 401, title: 'Authentication required' },
+  FORBIDDEN: { status: 403, title: 'Caller may not perform this request' },
+  ADMIN_REQUIRED: { status: 403, title: 'Admin access required' },
+  ACCESS_DENIED: { status: 403, title: 'Access denied by entitlement policy' },
+  TOKEN_INVALID: { status: 401, title: 'Invalid signed URL' },
+  TOKEN_MISMATCH: { status: 403, title: 'Signed URL does not match the requested resource' },
+  TOKEN_NOT_YET_VALID: { status: 403, title: 'Signed URL is not yet valid' },
+  TOKEN_REVOKED: { status: 403, title: 'Signed URL has been revoked' },
+  CONSTRAINT_VIOLATION: { status: 403, title: 'Client does not meet the signed URL constraints' },
+  FILE_NOT_FOUND: { status: 404, title: 'Media file not found' },
+  NOT_FOUND: { status: 404, title: 'Resource not found' },
+  ROUTE_NOT_FOUND: { status: 404, title: 'Endpoint not found' },
+  METHOD_NOT_ALLOWED: { status: 405, title: 'Method not allowed for this signed URL' },
+  FILE_EXISTS: { status: 409, title: 'File already exists' },
+  TOKEN_ALREADY_REVOKED: { status: 409, title: 'Signed URL has been revoked and cannot be changed' },
+  TOKEN_EXPIRED: { status: 410, title: 'Signed URL has expired' },
+  TOKEN_USED_UP: { status: 410, title: 'Signed URL has been used up' },
+  UPLOAD_TOO_LARGE: { status: 413, title: 'Upload is larger than the signed maximum size' },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, title: 'Content type not allowed for this upload' },
+  RATE_LIMITED: { status: 429, title: 'Too many requests' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' },
+  MANIFEST_TOO_LARGE: { status: 500, title: 'Manifest is too large to sign' },
+  NOT_IMPLEMENTED: { status: 501, title: 'Not available with this configuration' },
+  DELIVERY_UNAVAILABLE: { status: 503, title: 'Delivery mode is not available' }
+};
+
+// Error codes for the failure reasons of verifyParams and the revocation/usage checks
+const VERIFICATION_ERROR_CODES = {
+  missing_params: 'MISSING_PARAM',
+  malformed: 'TOKEN_INVALID',
+  unknown_key: 'TOKEN_INVALID',
+  invalid_signature: 'TOKEN_MISMATCH',
+  expired: 'TOKEN_EXPIRED',
+  not_yet_valid: 'TOKEN_NOT_YET_VALID',
+  revoked: 'TOKEN_REVOKED',
+  used_up: 'TOKEN_USED_UP'
+};
+
+const ERROR_FORMATS = ['json', 'problem'];
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// Helper function to build a failure result for helpers that report errors to their caller:
+// { code, status, error, ...extra }
+function failure(code, error, extra = {}) {
+  return { code, status: ERRORS[code].status, error, ...extra };
+}
+
+// Middleware giving every request an ID (a sane incoming X-Request-Id or a new UUID),
+// echoed in the X-Request-Id header, and picking the error format: RFC 7807 when
+// `format` is "problem" or the client lists application/problem+json in Accept
+function requestContext({ format = 'json' } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const accept = req.get('accept') || '';
+    res.locals.errorFormat = format === 'problem' || accept.includes(PROBLEM_CONTENT_TYPE) ? 'problem' : 'json';
+    next();
+  };
+}
+
+// Send a failure response for `code`. `error` is the human readable message; `extra`
+// adds fields such as `message` (details) or `expiredAt`.
+//   json:    { success: false, error, code, requestId, ...extra }
+//   problem: { type, title, status, detail, instance, code, requestId, ...extra }
+function sendError(res, code, error, extra = {}) {
+  const { status, title } = ERRORS[code];
+  const requestId = res.req.id;
+
+  if (res.locals.errorFormat !== 'problem') {
+    return res.status(status).json({ success: false, error, code, requestId, ...extra });
+  }
+
+  const { message, ...members } = extra;
+  return res.status(status).type(PROBLEM_CONTENT_TYPE).json({
+    type: `urn:powerofaum:error:${code}`,
+    title,
+    status,
+    detail: message ? `${error}: ${message}` : error,
+    instance: res.req.originalUrl.split('?')[0],
+    code,
+    requestId,
+    ...members
+  });
+}
+
+// Helper function to turn a verification failure reason into a readable message
+function describeVerificationFailure(reason) {
+  switch (reason) {
+    case 'missing_params': return 'Missing required parameters: token, expires, userId';
+    case 'malformed': return 'Malformed signed URL parameters';
+    case 'unknown_key': return 'Signing key is unknown or has been retired';
+    case 'invalid_signature': return 'Signature does not match the requested resource';
+    case 'expired': return 'Token expired';
+    case 'not_yet_valid': return 'Token not yet valid';
+    case 'revoked': return 'Token revoked';
+    default: return 'This signed URL is no longer valid';
+  }
+}
+
+// Send the failure response for a signed URL that did not verify, as /media/* answers it.
+// `reason` is a verifyParams reason or "revoked"; `claims` and `revocation` add details.
+function sendVerificationFailure(res, reason, { claims, revocation } = {}) {
+  const currentTime = Math.floor(Date.now() / 1000);
+
+  if (reason === 'missing_params') {
+    return sendError(res, 'MISSING_PARAM', 'Invalid signed URL: Missing required parameters', {
+      required: ['token', 'expires', 'userId']
+    });
+  }
+
+  if (reason === 'expired') {
+    const validFrom = claims.notBefore || claims.issuedAt;
+    return sendError(res, 'TOKEN_EXPIRED', 'Signed URL has expired', {
+      message: validFrom
+        ? `This URL was only valid for ${formatDuration(claims.expires - validFrom)} and has now expired`
+        : 'This URL has expired',
+      expiredAt: new Date(claims.expires * 1000).toISOString(),
+      currentTime: new Date().toISOString()
+    });
+  }
+
+  // Scheduled content is not released yet
+  if (reason === 'not_yet_valid') {
+    return sendError(res, 'TOKEN_NOT_YET_VALID', 'Signed URL is not yet valid', {
+      message: `This URL becomes valid in ${formatDuration(claims.notBefore - currentTime)}`,
+      validFrom: new Date(claims.notBefore * 1000).toISOString(),
+      currentTime: new Date().toISOString()
+    });
+  }
+
+  // A signature that does not cover this path/user is a mismatch, not an unknown token
+  if (reason === 'invalid_signature') {
+    return sendError(res, 'TOKEN_MISMATCH', 'Access denied', {
+      message: 'Token does not match the requested resource'
+    });
+  }
+
+  if (reason === 'revoked') {
+    return sendError(res, 'TOKEN_REVOKED', 'Signed URL has been revoked', {
+      message: describeVerificationFailure('revoked'),
+      revokedAt: revocation ? new Date(revocation.revokedAt * 1000).toISOString() : undefined
+    });
+  }
+
+  return sendError(res, VERIFICATION_ERROR_CODES[reason] || 'TOKEN_INVALID', 'Invalid or expired token', {
+    message: describeVerificationFailure(reason)
+  });
+}
+
+module.exports = {
+  ERRORS,
+  ERROR_FORMATS,
+  VERIFICATION_ERROR_CODES,
+  describeVerificationFailure,
+  failure,
+  requestContext,
+  sendError,
+  sendVerificationFailure
+};
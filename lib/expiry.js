@@ -0,0 +1,93 @@
+// Helper function to format a number of seconds as readable text ("2 minutes", "1 hour 30 minutes")
+function formatDuration(seconds) {
+  const units = [
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60],
+    ['second', 1]
+  ];
+
+  const parts = [];
+  let remaining = Math.max(Math.floor(seconds), 0);
+  for (const [name, size] of units) {
+    const count = Math.floor(remaining / size);
+    if (count > 0) {
+      parts.push(`${count} ${name}${count === 1 ? '' : 's'}`);
+      remaining -= count * size;
+    }
+  }
+  return parts.length > 0 ? parts.slice(0, 2).join(' ') : '0 seconds';
+}
+
+// Helper function to parse "video:7200,document:300" into { video: 7200, document: 300 }
+function parseSecondsByMediaType(value) {
+  const seconds = {};
+  for (const entry of (value || '').split(',')) {
+    const [mediaType, amount] = entry.split(':').map(part => part && part.trim());
+    if (!mediaType || !amount) continue;
+    if (!/^\d+$/.test(amount)) {
+      throw new Error(`Invalid expiry "${amount}" for ${mediaType} in EXPIRY_DEFAULTS`);
+    }
+    seconds[mediaType] = parseInt(amount, 10);
+  }
+  return seconds;
+}
+
+// Resolve the lifetime of a signed URL in seconds.
+// An explicit expiresIn must be a whole number within the configured bounds;
+// otherwise the per-media-type default or the global default applies.
+// Returns { seconds } or { error }.
+function resolveExpiresIn(requested, mediaType, options) {
+  if (requested === undefined || requested === '') {
+    const seconds = options.secondsByMediaType[mediaType] || options.defaultSeconds;
+    return { seconds };
+  }
+
+  if (typeof requested !== 'string' || !/^\d+$/.test(requested)) {
+    return { error: 'Invalid expiresIn. Must be a whole number of seconds.' };
+  }
+
+  const seconds = parseInt(requested, 10);
+  if (seconds < options.minSeconds || seconds > options.maxSeconds) {
+    return {
+      error: `Invalid expiresIn. Must be between ${options.minSeconds} and ${options.maxSeconds} seconds ` +
+        `(${formatDuration(options.minSeconds)} to ${formatDuration(options.maxSeconds)}).`
+    };
+  }
+  return { seconds };
+}
+
+// Parse an absolute time parameter given as unix seconds or an ISO 8601 date.
+// Returns { timestamp } (undefined when absent) or { error } naming the parameter.
+function parseTimestamp(value, parameter) {
+  if (value === undefined || value === '') {
+    return { timestamp: undefined };
+  }
+
+  if (typeof value === 'string') {
+    const timestamp = /^\d+$/.test(value) ? parseInt(value, 10) : Math.floor(Date.parse(value) / 1000);
+    if (!isNaN(timestamp)) {
+      return { timestamp };
+    }
+  }
+  return { error: `Invalid ${parameter}. Must be a unix timestamp in seconds or an ISO 8601 date.` };
+}
+
+// Parse an absolute notBefore given as unix seconds or an ISO 8601 date. It may lie at most
+// `maxSeconds` (EXPIRY_MAX_SECONDS) ahead, which bounds how long revocations have to be kept.
+// Returns { timestamp } or { error }.
+function parseNotBefore(value, { maxSeconds }) {
+  const release = parseTimestamp(value, 'notBefore');
+  if (release.timestamp > Math.floor(Date.now() / 1000) + maxSeconds) {
+    return { error: `Invalid notBefore. Must be within ${formatDuration(maxSeconds)} from now.` };
+  }
+  return release;
+}
+
+module.exports = {
+  formatDuration,
+  parseNotBefore,
+  parseSecondsByMediaType,
+  parseTimestamp,
+  resolveExpiresIn
+};
@@ -0,0 +1,28 @@
+// Extensions let operators keep an issued URL working past the expiry signed into it.
+//
+// The signature still covers the original `expires`, so /media/* only consults an
+// extension once the signature has been verified and the URL has expired. Extensions
+// are kept in the token store until the new expiry, so every instance honors them,
+// and the URL's issuance record is moved to the new expiry as well.
+function createExtensionList({ store }) {
+  // Extend an issued URL to `expires` (unix seconds). `record` is its issuance record.
+  async function extend(token, record, expires) {
+    const entry = {
+      expires,
+      previousExpires: record.expires,
+      extendedAt: Math.floor(Date.now() / 1000)
+    };
+    await store.set(`extended:${token}`, entry, expires);
+    await store.set(`token:${token}`, { ...record, expires, extendedAt: entry.extendedAt }, expires);
+    return entry;
+  }
+
+  // The extension of a URL, or null
+  function check(token) {
+    return store.get(`extended:${token}`);
+  }
+
+  return { extend, check };
+}
+
+module.exports = { createExtensionList };
@@ -0,0 +1,114 @@
+// Adaptive streaming manifests (HLS playlists and DASH MPDs) served through /media/*.
+//
+// A manifest is only useful if the player can fetch what it references, so every
+// segment, sub-playlist, key and init URI is rewritten before the manifest is sent:
+//   HLS  - each URI becomes its own signed /media URL carrying the manifest's claims
+//   DASH - fixed URIs are signed like HLS ones; SegmentTemplate URIs ($Number$, $Time$, ...)
+//          cannot be signed one by one, so they carry a path-prefix token for the directory
+//          before their first identifier that only accepts files the template can name
+// URIs pointing at other hosts, and those the server refuses to sign, are left untouched.
+
+const { getExtension } = require('./media');
+
+const MANIFEST_EXTENSIONS = ['m3u8', 'mpd'];
+const SEGMENT_EXTENSIONS = ['ts', 'm4s'];
+
+// Manifests are read into memory to be rewritten; anything larger is not a real manifest
+const MAX_MANIFEST_BYTES = 5 * 1024 * 1024;
+
+// DASH attributes holding segment URLs or URL templates
+const DASH_URL_ATTRIBUTES = /\b(media|initialization|index|sourceURL)="([^"]*)"/g;
+
+// Helper function to check whether a path is an HLS playlist or DASH MPD
+function isManifest(filePath) {
+  return MANIFEST_EXTENSIONS.includes(getExtension(filePath));
+}
+
+// Helper function to check whether a path is a media segment referenced by manifests
+function isSegment(filePath) {
+  return SEGMENT_EXTENSIONS.includes(getExtension(filePath));
+}
+
+// Helper function to resolve a manifest URI against the manifest's own path.
+// Returns the media file path, or null for URIs on other hosts (or data: URIs).
+function resolveReference(manifestPath, uri) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(uri) || uri.startsWith('//')) {
+    return null;
+  }
+  return new URL(uri, `http://localhost${manifestPath}`).pathname;
+}
+
+// Helper function to get the directory prefix of a path, e.g. /videos/course/ for /videos/course/master.mpd
+function directoryOf(filePath) {
+  return filePath.slice(0, filePath.lastIndexOf('/') + 1);
+}
+
+// Helper function to check whether a resolved DASH URI is a template with identifiers
+function isTemplate(filePath) {
+  return filePath.includes('$');
+}
+
+// Helper function to split a resolved DASH template into the directory before its first
+// identifier and the template relative to it, e.g. /dash/$RepresentationID$/chunk-$Number$.m4s
+// into /dash/ and $RepresentationID$/chunk-$Number$.m4s
+function splitTemplate(filePath) {
+  const scope = directoryOf(filePath.slice(0, filePath.indexOf('$')));
+  return { scope, template: filePath.slice(scope.length) };
+}
+
+// Rewrite every URI line and URI="..." attribute of an HLS playlist.
+// `signPath(filePath)` returns the signed URL to use for a referenced file, or null to keep the URI.
+function rewriteHlsPlaylist(text, manifestPath, signPath) {
+  const rewrite = (uri) => {
+    const filePath = resolveReference(manifestPath, uri);
+    return (filePath && signPath(filePath)) || uri;
+  };
+
+  return text
+    .split('\n')
+    .map((line) => {
+      const trimmed = line.trim();
+      if (trimmed === '') return line;
+      if (trimmed.startsWith('#')) {
+        return line.replace(/URI="([^"]*)"/g, (match, uri) => `URI="${rewrite(uri)}"`);
+      }
+      return rewrite(trimmed);
+    })
+    .join('\n');
+}
+
+// Append a signed query string to every segment URL (template) of a DASH MPD.
+// `signQuery(filePath)` returns the URL-encoded query for a resolved URI or template, or null
+// to keep the URI.
+function rewriteDashManifest(text, manifestPath, signQuery) {
+  return text.replace(DASH_URL_ATTRIBUTES, (match, attribute, uri) => {
+    const filePath = resolveReference(manifestPath, uri);
+    const query = filePath && signQuery(filePath);
+    if (!query) return match;
+    const separator = uri.includes('?') ? '&amp;' : '?';
+    return `${attribute}="${uri}${separator}${query.replace(/&/g, '&amp;')}"`;
+  });
+}
+
+// Helper function to read a whole manifest stream as text
+async function readManifest(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+module.exports = {
+  MANIFEST_EXTENSIONS,
+  MAX_MANIFEST_BYTES,
+  SEGMENT_EXTENSIONS,
+  directoryOf,
+  isManifest,
+  isSegment,
+  isTemplate,
+  readManifest,
+  rewriteDashManifest,
+  rewriteHlsPlaylist,
+  splitTemplate
+};
@@ -0,0 +1,152 @@
+// Media type groups by file extension
+const MEDIA_TYPES = {
+  video: ['mp4', 'avi', 'mov', 'webm', 'm3u8', 'mpd', 'ts', 'm4s'],
+  audio: ['mp3', 'wav', 'ogg', 'aac'],
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif'],
+  document: ['pdf', 'doc', 'docx']
+};
+
+// Extensions whose MIME subtype differs from the extension itself
+const CONTENT_TYPE_OVERRIDES = {
+  avi: 'video/x-msvideo',
+  mov: 'video/quicktime',
+  m3u8: 'application/vnd.apple.mpegurl',
+  mpd: 'application/dash+xml',
+  ts: 'video/mp2t',
+  m4s: 'video/iso.segment',
+  mp3: 'audio/mpeg',
+  jpg: 'image/jpeg',
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Helper function to determine media type
+function getMediaType(extension) {
+  for (const [mediaType, extensions] of Object.entries(MEDIA_TYPES)) {
+    if (extensions.includes(extension)) return mediaType;
+  }
+  return 'file';
+}
+
+// Helper function to derive the Content-Type header from the media type
+function getContentType(extension) {
+  if (CONTENT_TYPE_OVERRIDES[extension]) return CONTENT_TYPE_OVERRIDES[extension];
+
+  const mediaType = getMediaType(extension);
+  if (mediaType === 'video' || mediaType === 'audio' || mediaType === 'image') {
+    return `${mediaType}/${extension}`;
+  }
+  return 'application/octet-stream';
+}
+
+// Helper function to get the lowercase extension of a path
+function getExtension(filePath) {
+  return filePath.split('.').pop().toLowerCase();
+}
+
+// Helper function to parse a single "bytes=" Range header.
+// Returns null when the header should be ignored (absent, multiple or malformed ranges),
+// { unsatisfiable: true } when it cannot be served, or { start, end } inclusive.
+function parseRange(header, size) {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0) return { unsatisfiable: true };
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return { unsatisfiable: true };
+  }
+  return { start, end };
+}
+
+// Helper function to build a weak ETag from the file size and modification time
+function buildEtag(stats) {
+  return `W/"${stats.size.toString(16)}-${new Date(stats.mtime).getTime().toString(16)}"`;
+}
+
+// Helper function to check conditional request headers against the current validators
+function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  if (!isNaN(ifModifiedSince)) {
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+  }
+  return false;
+}
+
+// Serve a media file with Content-Type, validators and Range/206 support.
+// `stats` needs size and mtime; `openStream({ start, end })` returns a readable stream
+// (see the storage driver interface in lib/storage).
+function sendMedia(req, res, filePath, stats, openStream) {
+  const etag = buildEtag(stats);
+  const lastModified = new Date(stats.mtime);
+
+  res.setHeader('Content-Type', getContentType(getExtension(filePath)));
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', lastModified.toUTCString());
+  res.setHeader('Cache-Control', 'private');
+
+  if (isNotModified(req, etag, lastModified)) {
+    return res.status(304).end();
+  }
+
+  // If-Range only allows a partial response while the representation is unchanged
+  const ifRange = req.headers['if-range'];
+  const rangeAllowed = !ifRange || ifRange === etag || ifRange === lastModified.toUTCString();
+  const range = rangeAllowed ? parseRange(req.headers.range, stats.size) : null;
+
+  if (range && range.unsatisfiable) {
+    res.setHeader('Content-Range', `bytes */${stats.size}`);
+    return res.status(416).end();
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : stats.size - 1;
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+  } else {
+    res.status(200);
+  }
+  res.setHeader('Content-Length', stats.size === 0 ? 0 : end - start + 1);
+
+  if (req.method === 'HEAD' || stats.size === 0) {
+    return res.end();
+  }
+
+  const stream = openStream({ start, end });
+  stream.on('error', (error) => {
+    console.error('Error streaming media:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  getMediaType,
+  getContentType,
+  getExtension,
+  parseRange,
+  sendMedia
+};
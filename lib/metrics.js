@@ -0,0 +1,161 @@
+// Metrics registry rendered in the Prometheus text exposition format (version 0.0.4).
+// Counters and histograms live in process memory: every instance exposes its own
+// /metrics and Prometheus sums them across instances.
+
+// Default latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Helper function to escape a label value (backslash, double quote and newline)
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Helper function to render a label set as {name="value",...}, or '' without labels
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Helper function to format a sample value the way Prometheus expects
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+// Helper function to pick the declared labels in declaration order, so the same
+// label set always maps to the same series key
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+  }
+  return picked;
+}
+
+function createMetrics() {
+  const families = [];
+
+  // Helper function to register a metric family; names must be unique
+  function register(family) {
+    if (families.some(existing => existing.name === family.name)) {
+      throw new Error(`Metric "${family.name}" is already registered`);
+    }
+    families.push(family);
+    return family;
+  }
+
+  // A counter only goes up. `labelNames` lists the labels every series carries.
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+
+    function inc(labels, value = 1) {
+      if (value < 0) throw new Error(`Counter "${name}" cannot be decreased`);
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    }
+
+    // Every series as { labels, value }
+    function values() {
+      return [...series.values()].map(entry => ({ labels: { ...entry.labels }, value: entry.value }));
+    }
+
+    function render() {
+      return values().map(entry => `${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+    }
+
+    register({ name, help, type: 'counter', render });
+    return { inc, values };
+  }
+
+  // A gauge is read when metrics are rendered: `collect()` resolves to a number,
+  // or to [{ labels, value }] for gauges with labels
+  function gauge(name, help, collect) {
+    async function render() {
+      const collected = await collect();
+      const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+      return samples.map(sample => `${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+
+    register({ name, help, type: 'gauge', render });
+  }
+
+  // A histogram counts observations into cumulative `le` buckets, plus their sum and count
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+
+    function observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 };
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    }
+
+    // Every series as { labels, sum, count }
+    function values() {
+      return [...series.values()].map(entry => ({ labels: { ...entry.labels }, sum: entry.sum, count: entry.count }));
+    }
+
+    function render() {
+      const lines = [];
+      for (const entry of series.values()) {
+        bounds.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+      return lines;
+    }
+
+    register({ name, help, type: 'histogram', render });
+    return { observe, values };
+  }
+
+  // Render every registered family as Prometheus text
+  async function render() {
+    const lines = [];
+    for (const family of families) {
+      lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      lines.push(...(await family.render()));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// Content-Type of the text exposition format
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Helper function to total a counter's series, optionally grouped by one label
+function sumCounter(counter, groupBy) {
+  if (!groupBy) {
+    return counter.values().reduce((total, entry) => total + entry.value, 0);
+  }
+  const totals = {};
+  for (const entry of counter.values()) {
+    const group = entry.labels[groupBy];
+    totals[group] = (totals[group] || 0) + entry.value;
+  }
+  return totals;
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  METRICS_CONTENT_TYPE,
+  createMetrics,
+  sumCounter
+};
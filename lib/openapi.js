@@ -0,0 +1,216 @@
+const { sendError } = require('./errors');
+
+// OpenAPI 3.1 description of the HTTP API, assembled from the routes as they are
+// registered, and request validation driven by the same operations.
+//
+// Routes are registered through createApi(...).get/post/put/delete instead of app.get etc.
+// Every route needs an operation keyed by "METHOD /express/path"; its parameters and
+// requestBody schemas validate the request before the route's final handler runs.
+// Schemas use a JSON Schema subset: type (one or a list), enum, pattern, minLength,
+// maxLength, minimum, maximum, items, minItems, maxItems, properties and required.
+// `x-error-code` on a schema picks the error code for invalid values (default INVALID_PARAM).
+
+// Helper function to turn an Express path into an OpenAPI path template.
+// The wildcard routes in this API (/media/*, /upload/*) stand for a file path.
+function toOpenApiPath(expressPath) {
+  return expressPath
+    .replace(/:(\w+)/g, '{$1}')
+    .replace('*', '{filePath}');
+}
+
+// Helper function to describe the JSON type of a value the way schemas name them
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+// Helper function to read a query/path string as the type a schema asks for.
+// Returns undefined when the text is not a valid value of that type.
+function fromText(type, text) {
+  if (type === 'integer') return /^-?\d+$/.test(text) ? parseInt(text, 10) : undefined;
+  if (type === 'number') return text.trim() !== '' && !isNaN(Number(text)) ? Number(text) : undefined;
+  if (type === 'boolean') return text === 'true' ? true : text === 'false' ? false : undefined;
+  if (type === 'string') return text;
+  return undefined;
+}
+
+// Helper function to name the expected types in messages
+function describeTypes(types) {
+  const names = { string: 'a string', integer: 'a whole number', number: 'a number', boolean: 'true or false', array: 'a list', object: 'an object' };
+  return types.map(type => names[type] || type).join(' or ');
+}
+
+function createValidator(components = {}) {
+  // Helper function to follow a local $ref such as #/components/schemas/UserId
+  function resolve(schema) {
+    if (!schema || !schema.$ref) return schema;
+    const target = schema.$ref.replace(/^#\/components\//, '').split('/')
+      .reduce((node, key) => (node ? node[key] : undefined), components);
+    if (!target) throw new Error(`Unresolved schema reference ${schema.$ref}`);
+    return resolve(target);
+  }
+
+  // Check `value` against `schema`. Query and path values are text, so with `fromQuery`
+  // they are read as the schema's type first. Returns null when the value is valid,
+  // or the end of a sentence saying what it must be.
+  function check(schemaOrRef, value, fromQuery = false) {
+    const schema = resolve(schemaOrRef);
+    const types = schema.type === undefined ? null : [].concat(schema.type);
+
+    let typed = value;
+    if (types) {
+      if (fromQuery && typeof value === 'string') {
+        typed = types.map(type => fromText(type, value)).find(converted => converted !== undefined);
+      }
+      const actual = typeOf(typed);
+      if (typed === undefined || !types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+        return `Must be ${describeTypes(types)}.`;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(typed)) {
+      return `Must be one of: ${schema.enum.join(', ')}.`;
+    }
+
+    if (typeof typed === 'string') {
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(typed)) {
+        return schema.description || `Must match ${schema.pattern}.`;
+      }
+      if ((schema.minLength !== undefined && typed.length < schema.minLength) ||
+        (schema.maxLength !== undefined && typed.length > schema.maxLength)) {
+        return schema.description || `Must be ${schema.minLength || 0}-${schema.maxLength} characters long.`;
+      }
+    }
+
+    if (typeof typed === 'number' &&
+      ((schema.minimum !== undefined && typed < schema.minimum) || (schema.maximum !== undefined && typed > schema.maximum))) {
+      return `Must be ${describeTypes(types || ['number'])} between ${schema.minimum} and ${schema.maximum}.`;
+    }
+
+    if (Array.isArray(typed)) {
+      if (schema.minItems !== undefined && typed.length < schema.minItems) {
+        return schema.description || `Must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}.`;
+      }
+      if (schema.maxItems !== undefined && typed.length > schema.maxItems) {
+        return `Must have at most ${schema.maxItems} items.`;
+      }
+      if (schema.items) {
+        for (const item of typed) {
+          const problem = check(schema.items, item);
+          if (problem) return schema.description || `Every item: ${problem}`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Helper function to find the error code for an invalid value
+  function errorCode(schema) {
+    return resolve(schema)['x-error-code'] || 'INVALID_PARAM';
+  }
+
+  // Validate one named value. Empty query values and null body values count as absent.
+  // Returns null or { code, message }.
+  function validateField(name, schema, value, { required = false, fromQuery = false } = {}) {
+    if (value === undefined || value === null || (fromQuery && value === '')) {
+      return required ? { code: 'MISSING_PARAM', message: `Missing required parameter: ${name}` } : null;
+    }
+    const problem = check(schema, value, fromQuery);
+    return problem ? { code: errorCode(schema), message: `Invalid ${name}. ${problem}` } : null;
+  }
+
+  // Validate a request against an operation's parameters and JSON requestBody.
+  // Returns the first problem as { code, message }, or null.
+  function validateRequest(operation, req) {
+    for (const parameter of operation.parameters || []) {
+      const source = parameter.in === 'path' ? req.params : parameter.in === 'query' ? req.query : null;
+      if (!source) continue;
+      const problem = validateField(parameter.name, parameter.schema, source[parameter.name], {
+        required: parameter.required,
+        fromQuery: true
+      });
+      if (problem) return problem;
+    }
+
+    const bodySchema = operation.requestBody && resolve(operation.requestBody.content['application/json'].schema);
+    if (bodySchema) {
+      const body = req.body || {};
+      if (typeOf(body) !== 'object') {
+        return { code: 'INVALID_BODY', message: 'Invalid request body. Must be a JSON object.' };
+      }
+      const required = bodySchema.required || [];
+      for (const [name, schema] of Object.entries(bodySchema.properties || {})) {
+        const problem = validateField(name, schema, body[name], { required: required.includes(name) });
+        if (problem) return problem;
+      }
+    }
+
+    return null;
+  }
+
+  // True if `value` is valid for a component schema, for checks outside requests
+  function matches(schemaOrRef, value) {
+    return value !== undefined && value !== null && check(schemaOrRef, value) === null;
+  }
+
+  return { matches, resolve, validateRequest };
+}
+
+// Register routes on `app` and collect their operations into an OpenAPI document.
+// `operations` maps "METHOD /express/path" to OpenAPI operation objects; an operation
+// with `validate: false` is documented but its requests are not validated.
+function createApi(app, { info, servers, components, operations }) {
+  const validator = createValidator(components);
+  const paths = {};
+  const registered = [];
+
+  function register(method, path, handlers) {
+    const key = `${method.toUpperCase()} ${path}`;
+    if (!operations[key]) {
+      throw new Error(`Route ${key} has no OpenAPI operation`);
+    }
+    const { validate = true, ...operation } = operations[key];
+
+    const openApiPath = toOpenApiPath(path);
+    paths[openApiPath] = { ...paths[openApiPath], [method]: operation };
+    registered.push({ method: method.toUpperCase(), path: openApiPath, summary: operation.summary });
+
+    // Validation runs after authentication and rate limiting, right before the handler
+    const validation = (req, res, next) => {
+      const problem = validator.validateRequest(operation, req);
+      if (problem) return sendError(res, problem.code, problem.message);
+      next();
+    };
+    const middleware = handlers.slice(0, -1);
+    app[method](path, ...middleware, ...(validate ? [validation] : []), handlers[handlers.length - 1]);
+  }
+
+  // The OpenAPI document for every route registered so far
+  function document() {
+    return { openapi: '3.1.0', info, servers, paths, components };
+  }
+
+  // Every registered route as { method, path, summary }, in registration order
+  function endpoints() {
+    return registered.map(endpoint => ({ ...endpoint }));
+  }
+
+  return {
+    get: (path, ...handlers) => register('get', path, handlers),
+    post: (path, ...handlers) => register('post', path, handlers),
+    put: (path, ...handlers) => register('put', path, handlers),
+    delete: (path, ...handlers) => register('delete', path, handlers),
+    matches: validator.matches,
+    document,
+    endpoints
+  };
+}
+
+module.exports = {
+  createApi,
+  createValidator,
+  toOpenApiPath
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Entitlement policy deciding which users may sign which paths.
+//
+// The policy file (JSON or YAML) looks like:
+//   users:                      # optional attributes for users without JWT claims
+//     USER_001: { tier: premium, roles: [instructor] }
+//   rules:                      # evaluated in order, first match wins
+//     - id: premium-content
+//       tiers: [premium]        # any of users / roles / tiers; omit all to match everyone
+//       paths: [/premium/]      # path prefixes ("/" for everything)
+//       mediaTypes: [video]     # optional filter on getMediaType()
+//       effect: allow           # allow (default) or deny
+// Requests no rule matches are denied.
+
+// Helper function to read and validate a policy file
+function loadPolicyFile(policyPath) {
+  const source = fs.readFileSync(policyPath, 'utf8');
+  const document = /\.ya?ml$/i.test(policyPath) ? yaml.load(source) : JSON.parse(source);
+
+  if (!document || !Array.isArray(document.rules)) {
+    throw new Error(`Policy file ${policyPath} must contain a "rules" list`);
+  }
+
+  const rules = document.rules.map((rule, index) => {
+    const id = rule.id || `rule-${index + 1}`;
+    if (!Array.isArray(rule.paths) || rule.paths.length === 0) {
+      throw new Error(`Policy rule "${id}" must list at least one path prefix`);
+    }
+    if (rule.effect && rule.effect !== 'allow' && rule.effect !== 'deny') {
+      throw new Error(`Policy rule "${id}" has unknown effect "${rule.effect}"`);
+    }
+    return {
+      id,
+      effect: rule.effect || 'allow',
+      users: rule.users,
+      roles: rule.roles,
+      tiers: rule.tiers,
+      paths: rule.paths,
+      mediaTypes: rule.mediaTypes
+    };
+  });
+
+  return { users: document.users || {}, rules };
+}
+
+// Helper function to check that a file path lies under a prefix.
+// "/videos" and "/videos/" both cover "/videos/intro.mp4" but not "/videos-old/intro.mp4".
+function isUnderPrefix(filePath, prefix) {
+  if (prefix === '/' || filePath === prefix) return true;
+  const directory = prefix.endsWith('/') ? prefix : prefix + '/';
+  return filePath.startsWith(directory);
+}
+
+// Helper function to check whether a rule applies to a subject
+function matchesSubject(rule, subject) {
+  if (!rule.users && !rule.roles && !rule.tiers) return true;
+  if (rule.users && (rule.users.includes('*') || rule.users.includes(subject.userId))) return true;
+  if (rule.roles && rule.roles.some(role => subject.roles.includes(role))) return true;
+  if (rule.tiers && subject.tier && rule.tiers.includes(subject.tier)) return true;
+  return false;
+}
+
+// Helper function to describe a subject in denial reasons
+function describeSubject(subject) {
+  const details = [];
+  if (subject.tier) details.push(`tier ${subject.tier}`);
+  if (subject.roles.length > 0) details.push(`roles ${subject.roles.join(', ')}`);
+  return details.length > 0 ? `${subject.userId} (${details.join('; ')})` : subject.userId;
+}
+
+// Create the policy from a file path, re-reading the file when it changes.
+// Without a path every request is allowed and `enabled` is false.
+function createPolicy({ path: policyPath, reloadIntervalMs = 1000 } = {}) {
+  if (!policyPath) {
+    return {
+      enabled: false,
+      evaluate: () => ({ allowed: true, rule: null })
+    };
+  }
+
+  const resolvedPath = path.resolve(policyPath);
+  let policy = loadPolicyFile(resolvedPath);
+  let loadedVersion = fileVersion();
+  let lastCheck = Date.now();
+
+  function fileVersion() {
+    const stats = fs.statSync(resolvedPath);
+    return `${stats.mtimeMs}:${stats.size}`;
+  }
+
+  // Helper function to pick up edits to the policy file without a restart.
+  // A broken edit keeps the previous policy in place.
+  function reloadIfChanged() {
+    if (Date.now() - lastCheck < reloadIntervalMs) return;
+    lastCheck = Date.now();
+
+    try {
+      const version = fileVersion();
+      if (version === loadedVersion) return;
+      policy = loadPolicyFile(resolvedPath);
+      loadedVersion = version;
+      console.log(`🔄 Reloaded entitlement policy from ${resolvedPath}`);
+    } catch (error) {
+      console.error('Error reloading entitlement policy, keeping the previous one:', error.message);
+    }
+  }
+
+  // Decide whether `user` ({ userId, claims }) may access a file of the given media type.
+  // With `prefix: true` the path is a directory and the question is whether the user may
+  // access every file of that type under it: a deny rule for any part of the directory
+  // denies it, and an allow rule must cover the whole directory. `grantedBy` lists rules
+  // known to apply to the user already (e.g. signed into a URL when the token's roles or
+  // tier are no longer at hand).
+  // Returns { allowed, rule, reason }.
+  function evaluate(user, filePath, mediaType, { prefix = false, grantedBy = [] } = {}) {
+    reloadIfChanged();
+
+    const claims = user.claims || {};
+    const attributes = policy.users[user.userId] || {};
+    const claimRoles = Array.isArray(claims.roles) ? claims.roles : (claims.role ? [claims.role] : []);
+    const subject = {
+      userId: user.userId,
+      roles: [...new Set([...(attributes.roles || []), ...claimRoles])],
+      tier: claims.tier || attributes.tier
+    };
+
+    for (const rule of policy.rules) {
+      if (!matchesSubject(rule, subject) && !grantedBy.includes(rule.id)) continue;
+      if (rule.mediaTypes && !rule.mediaTypes.includes(mediaType)) continue;
+
+      const covers = rule.paths.some(rulePath => isUnderPrefix(filePath, rulePath));
+      const overlaps = prefix && rule.paths.some(rulePath => isUnderPrefix(rulePath, filePath));
+      if (!covers && !overlaps) continue;
+
+      if (rule.effect === 'deny') {
+        return { allowed: false, rule: rule.id, reason: `Access to ${filePath} is denied by policy rule "${rule.id}"` };
+      }
+      if (covers) {
+        return { allowed: true, rule: rule.id };
+      }
+    }
+
+    return {
+      allowed: false,
+      rule: null,
+      reason: `No policy rule entitles ${describeSubject(subject)} to ${mediaType} ${filePath}`
+    };
+  }
+
+  return { enabled: true, evaluate };
+}
+
+module.exports = { createPolicy, isUnderPrefix };
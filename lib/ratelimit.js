@@ -0,0 +1,129 @@
+const { sendError } = require('./errors');
+
+// Fixed window rate limits, counted in the token store so they hold across instances
+// when the store is shared. Each limit allows `capacity` requests per `periodSeconds`
+// window; the count is a single atomic increment, so concurrent requests on different
+// instances cannot both take the last slot. A client may still fit up to twice the
+// capacity around a window boundary.
+//
+// Limits are named by endpoint group and what they are keyed by:
+//   sign.user, sign.ip               - /api/generate-signed-url(s) and /api/generate-signed-upload-url per user and per client IP
+//   media.ip, media.user, media.file - /media/* per client IP, per (verified) user and per file;
+//   uploads to /upload/* count towards media.ip
+
+const RATE_LIMIT_NAMES = ['sign.user', 'sign.ip', 'media.ip', 'media.user', 'media.file'];
+
+// Defaults, overridden per limit by RATE_LIMITS
+const DEFAULT_RATE_LIMITS = 'sign.user:120/60,sign.ip:600/60,media.ip:1200/60,media.user:1200/60,media.file:6000/60';
+
+// Helper function to parse "sign.user:60/60,media.file:off" ("requests/seconds" or "off")
+// on top of the defaults into { name: { capacity, periodSeconds } }
+function parseRateLimits(value) {
+  const limits = {};
+  for (const entry of `${DEFAULT_RATE_LIMITS},${value || ''}`.split(',')) {
+    const [name, spec] = entry.split(':').map(part => part && part.trim());
+    if (!name) continue;
+    if (!RATE_LIMIT_NAMES.includes(name)) {
+      throw new Error(`Unknown rate limit "${name}" in RATE_LIMITS (expected ${RATE_LIMIT_NAMES.join(', ')})`);
+    }
+    if (spec === 'off') {
+      delete limits[name];
+      continue;
+    }
+
+    const match = /^(\d+)\/(\d+)$/.exec(spec || '');
+    if (!match || parseInt(match[1], 10) < 1 || parseInt(match[2], 10) < 1) {
+      throw new Error(`Invalid rate limit "${entry.trim()}" in RATE_LIMITS (expected name:requests/seconds or name:off)`);
+    }
+    limits[name] = { capacity: parseInt(match[1], 10), periodSeconds: parseInt(match[2], 10) };
+  }
+  return limits;
+}
+
+function createRateLimiter({ store, limits }) {
+  // Helper function to count one request against the current window of a limit
+  async function take(name, key, { capacity, periodSeconds }) {
+    const now = Math.floor(Date.now() / 1000);
+    const windowStart = now - (now % periodSeconds);
+    const windowEnd = windowStart + periodSeconds;
+
+    const count = await store.increment(`ratelimit:${name}:${key}:${windowStart}`, windowEnd);
+    const allowed = count <= capacity;
+
+    return {
+      allowed,
+      name,
+      capacity,
+      periodSeconds,
+      remaining: Math.max(0, capacity - count),
+      resetSeconds: windowEnd - now,
+      retryAfterSeconds: allowed ? 0 : windowEnd - now
+    };
+  }
+
+  // Count the request against each subject's limit ({ limit, key }; subjects without a key
+  // or whose limit is off are skipped). Resolves to { allowed, limit } where `limit`
+  // describes the limit that refused the request, or the one with the fewest requests left.
+  async function consume(subjects) {
+    let tightest = null;
+    for (const { limit: name, key } of subjects) {
+      if (!limits[name] || key === undefined || key === null || key === '') continue;
+
+      const state = await take(name, key, limits[name]);
+      if (!state.allowed) {
+        return { allowed: false, limit: state };
+      }
+      if (!tightest || state.remaining < tightest.remaining) {
+        tightest = state;
+      }
+    }
+    return { allowed: true, limit: tightest };
+  }
+
+  return { consume };
+}
+
+// Helper function to describe a limit's budget for rate limit responses
+function describeLimit(limit) {
+  return `${limit.capacity} requests per ${limit.periodSeconds} seconds (${limit.name})`;
+}
+
+// Set the RateLimit-* headers (IETF draft) for the tightest limit. Refused requests
+// get a 429 with Retry-After; returns false in that case so callers can stop.
+function applyRateLimit(res, { allowed, limit }) {
+  if (!limit) return true;
+
+  res.set('RateLimit-Limit', String(limit.capacity));
+  res.set('RateLimit-Remaining', String(limit.remaining));
+  res.set('RateLimit-Reset', String(limit.resetSeconds));
+  res.set('RateLimit-Policy', `${limit.capacity};w=${limit.periodSeconds}`);
+  if (allowed) return true;
+
+  res.set('Retry-After', String(limit.retryAfterSeconds));
+  sendError(res, 'RATE_LIMITED', 'Too many requests', {
+    message: `Rate limit exceeded: ${describeLimit(limit)}. Retry in ${limit.retryAfterSeconds} seconds.`,
+    retryAfter: limit.retryAfterSeconds
+  });
+  return false;
+}
+
+// Express middleware enforcing the limits named by `subjects(req)`
+function rateLimit(limiter, subjects) {
+  return async (req, res, next) => {
+    try {
+      if (applyRateLimit(res, await limiter.consume(subjects(req)))) {
+        next();
+      }
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_NAMES,
+  applyRateLimit,
+  createRateLimiter,
+  parseRateLimits,
+  rateLimit
+};
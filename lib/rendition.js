@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { TRANSFORM_CLAIMS, hasTransform } = require('./transform');
+const { stampPdf, watermarkSvg } = require('./watermark');
+
+// Renditions are the files /media/* serves in place of a stored file when its signed
+// URL asks for an image transformation (lib/transform) or a watermark (lib/watermark).
+// They are rendered on first request into `cacheDir`, named by a hash of the path, the
+// source version (size and mtime), the transformation and the watermark text, so a
+// replaced source file is rendered again. Watermarks make renditions per URL, so the
+// cache is pruned: entries unused for `ttlSeconds` go first, then the least recently
+// used ones until it fits in `maxBytes`. Images need the optional sharp package.
+
+// Pruning lists the whole cache directory, so it runs at most this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Helper function to read a whole stream into a buffer
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function createRenderer({ cacheDir, maxBytes, ttlSeconds }) {
+  let sharp = null;
+  try {
+    sharp = require('sharp');
+  } catch (error) {
+    sharp = null;
+  }
+
+  // Renders in progress by cache file, so concurrent requests share one
+  const pending = new Map();
+  let lastPrune = 0;
+
+  // Helper function to transform and/or watermark an image into `format`
+  async function renderImage(source, claims, watermark, format) {
+    let image = sharp(source, { failOn: 'error' }).rotate();
+    if (claims.w || claims.h) {
+      image = image.resize({
+        width: claims.w ? parseInt(claims.w, 10) : undefined,
+        height: claims.h ? parseInt(claims.h, 10) : undefined,
+        fit: claims.fit || 'inside',
+        withoutEnlargement: true
+      });
+    }
+
+    // The stamp is sized for the final image, so resize first
+    if (watermark) {
+      const { data, info } = await image.png().toBuffer({ resolveWithObject: true });
+      image = sharp(data).composite([{ input: watermarkSvg(info.width, info.height, watermark) }]);
+    }
+
+    return image.toFormat(format, claims.q ? { quality: parseInt(claims.q, 10) } : {}).toBuffer();
+  }
+
+  // Remove expired and least recently used renditions (by access time, which cache hits
+  // refresh) until the cache fits in `maxBytes`. Resolves to the number of files removed.
+  async function prune() {
+    lastPrune = Date.now();
+    const cutoff = lastPrune - ttlSeconds * 1000;
+    const entries = [];
+    for (const name of await fs.promises.readdir(cacheDir).catch(() => [])) {
+      const file = path.join(cacheDir, name);
+      const stats = await fs.promises.stat(file).catch(() => null);
+      if (stats) entries.push({ file, size: stats.size, usedAt: stats.atimeMs, partial: name.endsWith('.tmp') });
+    }
+
+    let kept = 0;
+    let removed = 0;
+    for (const entry of entries.sort((a, b) => b.usedAt - a.usedAt)) {
+      // Partial files belong to renders in progress unless they are left over from a crash
+      if (entry.partial ? entry.usedAt >= cutoff : entry.usedAt >= cutoff && kept + entry.size <= maxBytes) {
+        kept += entry.partial ? 0 : entry.size;
+        continue;
+      }
+      await fs.promises.rm(entry.file, { force: true });
+      removed++;
+    }
+    return removed;
+  }
+
+  // Helper function to prune the cache in the background, at most every PRUNE_INTERVAL_MS
+  function schedulePrune() {
+    if (Date.now() - lastPrune < PRUNE_INTERVAL_MS) return;
+    prune().catch((error) => {
+      console.error('Error pruning the rendition cache:', error.message);
+    });
+  }
+
+  // True if files with `extension` can be rendered with `claims` on this server
+  function canRender(extension, claims) {
+    return extension === 'pdf' ? !hasTransform(claims) : Boolean(sharp);
+  }
+
+  // Render `filePath` (whose storage stats are `stats`) as its signed `claims` ask,
+  // stamped with `watermark` text if given. `openSource()` returns a readable stream
+  // of the stored file. Resolves to { path, stats, extension } of the cached rendition.
+  async function render(filePath, stats, claims, openSource, { watermark } = {}) {
+    const sourceExtension = path.extname(filePath).slice(1).toLowerCase();
+    if (!canRender(sourceExtension, claims)) {
+      throw new Error(`Cannot render ${sourceExtension} files${sourceExtension === 'pdf' ? '' : ' without the optional sharp package (npm install sharp)'}`);
+    }
+
+    const extension = sourceExtension === 'pdf' ? 'pdf' : claims.fmt || (sourceExtension === 'jpg' ? 'jpeg' : sourceExtension);
+    const key = [filePath, `${stats.size}-${new Date(stats.mtime).getTime()}`]
+      .concat(TRANSFORM_CLAIMS.map(claim => `${claim}=${claims[claim] || ''}`), `watermark=${watermark || ''}`)
+      .join('\n');
+    const target = path.join(cacheDir, `${crypto.createHash('sha256').update(key).digest('hex')}.${extension}`);
+
+    schedulePrune();
+    const cached = await fs.promises.stat(target).catch(() => null);
+    if (cached) {
+      // Mark the rendition as used; its mtime stays, as the ETag is built from it
+      await fs.promises.utimes(target, new Date(), cached.mtime).catch(() => {});
+      return { path: target, stats: cached, extension };
+    }
+
+    if (!pending.has(target)) {
+      const rendering = (async () => {
+        const source = await readStream(openSource());
+        const output = extension === 'pdf'
+          ? await stampPdf(source, watermark)
+          : await renderImage(source, claims, watermark, extension);
+
+        // Write next to the target and rename, so readers never see a partial file
+        await fs.promises.mkdir(cacheDir, { recursive: true });
+        const partial = `${target}.${crypto.randomUUID()}.tmp`;
+        try {
+          await fs.promises.writeFile(partial, output);
+          await fs.promises.rename(partial, target);
+        } catch (error) {
+          await fs.promises.rm(partial, { force: true });
+          throw error;
+        }
+      })().finally(() => pending.delete(target));
+      pending.set(target, rendering);
+    }
+    await pending.get(target);
+    return { path: target, stats: await fs.promises.stat(target), extension };
+  }
+
+  return { canRender, render, prune };
+}
+
+module.exports = { createRenderer };
@@ -0,0 +1,79 @@
+const path = require('path');
+const { isUnderPrefix } = require('./policy');
+
+// Revocation list for stateless signed URLs, kept in the token store so every
+// instance sees the same revocations.
+//
+// Individual URLs are revoked by their signature. Users and path prefixes are
+// revoked as of a point in time: every URL issued at or before that second stops
+// working, while URLs issued afterwards (e.g. after a renewed subscription) work again.
+// Entries expire after `ttlSeconds`, by which time the URLs they cover have expired (the
+// configuration raises it to the latest expiry a URL issued by the server can have).
+// Path prefixes are kept as fields of one map key, so checks read a single key instead
+// of scanning the store; the key expires `ttlSeconds` after the latest prefix revocation.
+// Revoked URLs cannot be extended (see /api/tokens/:token/extend), so no URL outlives its entry.
+function createRevocationList({ ttlSeconds, store }) {
+  // Revoke one URL. When its expiry is known the entry only lives that long.
+  async function revokeToken(token, expires) {
+    const currentTime = Math.floor(Date.now() / 1000);
+    const entry = { type: 'token', token, revokedAt: currentTime, expiresAt: expires || currentTime + ttlSeconds };
+    await store.set(`revoked:token:${token}`, entry, entry.expiresAt);
+    return entry;
+  }
+
+  // Revoke every URL issued to a user so far
+  async function revokeUser(userId) {
+    const currentTime = Math.floor(Date.now() / 1000);
+    const entry = { type: 'user', userId, revokedAt: currentTime, expiresAt: currentTime + ttlSeconds };
+    await store.set(`revoked:user:${userId}`, entry, entry.expiresAt);
+    return entry;
+  }
+
+  // Revoke every URL issued so far for files under a path prefix
+  async function revokePathPrefix(pathPrefix) {
+    const currentTime = Math.floor(Date.now() / 1000);
+    const entry = { type: 'pathPrefix', pathPrefix: normalizePath(pathPrefix), revokedAt: currentTime, expiresAt: currentTime + ttlSeconds };
+    await store.setField('revoked:prefixes', entry.pathPrefix, entry, entry.expiresAt);
+    return entry;
+  }
+
+  // Find the revocation covering a verified URL, or null.
+  // `claims` are the verified signing claims (filePath, userId, issuedAt, parent).
+  async function check(token, claims) {
+    const [tokenEntry, parentEntry, userEntry, prefixEntries] = await Promise.all([
+      store.get(`revoked:token:${token}`),
+      // Segment URLs signed into a manifest fall with the manifest URL they came from
+      claims.parent ? store.get(`revoked:token:${claims.parent}`) : null,
+      store.get(`revoked:user:${claims.userId}`),
+      store.getFields('revoked:prefixes')
+    ]);
+
+    if (tokenEntry) return tokenEntry;
+    if (parentEntry) return parentEntry;
+
+    // URLs without an issue time predate revocations by time and are covered by them
+    const issuedAt = claims.issuedAt || 0;
+    const filePath = normalizePath(claims.filePath);
+    if (userEntry && issuedAt <= userEntry.revokedAt) {
+      return userEntry;
+    }
+
+    const currentTime = Math.floor(Date.now() / 1000);
+    for (const entry of Object.values(prefixEntries)) {
+      if (entry.expiresAt >= currentTime && issuedAt <= entry.revokedAt && isUnderPrefix(filePath, entry.pathPrefix)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  return { revokeToken, revokeUser, revokePathPrefix, check };
+}
+
+// Helper function to resolve dot and empty segments so that "/videos//a/../b.mp4"
+// falls under a revocation of "/videos/b.mp4" (a trailing slash is kept)
+function normalizePath(filePath) {
+  return path.posix.normalize(`/${filePath}`);
+}
+
+module.exports = { createRevocationList };
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { getExtension, getMediaType } = require('./media');
+
+// Query parameters that carry the signature itself and are never signed
+const SIGNATURE_PARAM = 'token';
+
+// Signed parameter naming what a URL may be used for. Media URLs leave it out;
+// upload URLs (see lib/upload) carry op=upload, so neither can stand in for the other.
+const OPERATION_PARAM = 'op';
+
+// Helper function to read the server's keyring only when no keyring is passed, so the
+// client SDK can sign and verify with its own keys without loading the server config
+function defaultKeyring() {
+  return require('./config').signingKeys;
+}
+
+// Random ID (`jti`) signed into every issued URL, so URLs for the same file and user issued
+// in the same second still get their own token, use budget and revocation
+function createNonce() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+// Helper function to build the canonical string covered by the signature.
+// Every query parameter except the signature is included, sorted by name, so
+// adding a new constraint to a signed URL automatically makes it tamper-proof.
+function canonicalize(filePath, params) {
+  const lines = Object.keys(params)
+    .filter(key => key !== SIGNATURE_PARAM)
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`);
+
+  return [encodeURIComponent(filePath), ...lines].join('\n');
+}
+
+// Helper function to compute the HMAC signature for a file path and its parameters
+function computeSignature(secret, filePath, params) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(canonicalize(filePath, params))
+    .digest('hex');
+}
+
+// Sign a file path with the given parameters (userId, expires, ...).
+// Returns the full set of query parameters to append to the media URL.
+function signParams(filePath, params, keyring = defaultKeyring()) {
+  const keyId = keyring.activeKeyId;
+  const signed = { ...params, kid: keyId };
+
+  return {
+    ...signed,
+    [SIGNATURE_PARAM]: computeSignature(keyring.keys[keyId], filePath, signed)
+  };
+}
+
+// True if a file path is in canonical form: no dot segments, empty segments, backslashes
+// or percent-escapes (which could hide "%2e%2e" or "%2f"). Storage normalizes those, so a
+// path such as /videos/../premium/a.mp4 would be checked as one path and served as another.
+function isCanonicalPath(filePath) {
+  if (typeof filePath !== 'string' || !filePath.startsWith('/')) return false;
+  if (/[%\\]/.test(filePath)) return false;
+
+  const segments = filePath.slice(1).split('/');
+  return !segments.some(segment => segment === '' || segment === '.' || segment === '..');
+}
+
+// Helper function to check that a requested path lies inside a token's path-prefix scope.
+// Non-canonical paths are refused outright, since storage would normalize them past the prefix.
+function isWithinScope(filePath, scope) {
+  if (!scope.startsWith('/') || !scope.endsWith('/')) return false;
+  return isCanonicalPath(filePath) && filePath.startsWith(scope);
+}
+
+// Helper function to check a path-prefix token's optional media type filter (`types`)
+function isAllowedType(filePath, types) {
+  return !types || types.split(',').includes(getMediaType(getExtension(filePath)));
+}
+
+// Helper function to check a path-prefix token's optional DASH segment template (`template`,
+// relative to the scope). Identifiers such as $Number$ or $Time%05d$ match within one path segment.
+function matchesTemplate(relativePath, template) {
+  if (template === undefined) return true;
+  const pattern = template
+    .split(/(\$[A-Za-z]*(?:%0\d+[dxXo])?\$)/)
+    .map((part, index) => {
+      if (index % 2 === 0) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return part === '$$' ? '\\$' : '[^/]+';
+    })
+    .join('');
+  return new RegExp(`^${pattern}$`).test(relativePath);
+}
+
+// Helper function to check that a path-prefix token covers the requested path:
+// the prefix itself (as handed out), or a file below it of an allowed media type
+function isCoveredByScope(filePath, params) {
+  if (filePath === params.scope) return true;
+  return isWithinScope(filePath, params.scope)
+    && isAllowedType(filePath, params.types)
+    && matchesTemplate(filePath.slice(params.scope.length), params.template);
+}
+
+// Helper function to verify a signed URL issued for `operation` ("read" or "upload")
+function verifyOperation(operation, filePath, query, keyring) {
+  const { [SIGNATURE_PARAM]: token, ...params } = query;
+
+  if (!token || !params.expires || !params.userId) {
+    return { valid: false, reason: 'missing_params' };
+  }
+
+  // Repeated or nested query parameters cannot be part of a signed URL
+  const values = [token, ...Object.values(params)];
+  if (values.some(value => typeof value !== 'string')) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const keyId = params.kid;
+  const secret = keyId && keyring.keys[keyId];
+  if (!secret) {
+    return { valid: false, reason: 'unknown_key' };
+  }
+
+  if (params.scope !== undefined && !isCoveredByScope(filePath, params)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  const signedPath = params.scope !== undefined ? params.scope : filePath;
+  const expected = Buffer.from(computeSignature(secret, signedPath, params), 'hex');
+  const actual = Buffer.from(token, 'hex');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  // A valid signature for the other operation does not cover this request
+  if ((params[OPERATION_PARAM] || 'read') !== operation) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  const expires = parseInt(params.expires, 10);
+  const claims = {
+    ...params,
+    filePath,
+    userId: params.userId,
+    expires,
+    issuedAt: params.iat ? parseInt(params.iat, 10) : undefined,
+    notBefore: params.nbf ? parseInt(params.nbf, 10) : undefined,
+    keyId
+  };
+
+  const currentTime = Math.floor(Date.now() / 1000);
+  if (currentTime > expires) {
+    return { valid: false, reason: 'expired', claims };
+  }
+
+  if (claims.notBefore && currentTime < claims.notBefore) {
+    return { valid: false, reason: 'not_yet_valid', claims };
+  }
+
+  return { valid: true, claims };
+}
+
+// Verify the query parameters of a signed media URL without any store lookup.
+// A `scope` parameter makes the URL a path-prefix token: the signature covers the
+// scope instead of the file path, and any file below the scope (of the media types
+// listed in `types` and matching the DASH segment `template`, if given) is accepted.
+// Returns { valid: true, claims } or { valid: false, reason } where reason is
+// one of: missing_params, malformed, unknown_key, invalid_signature, expired, not_yet_valid.
+function verifyParams(filePath, query, keyring = defaultKeyring()) {
+  return verifyOperation('read', filePath, query, keyring);
+}
+
+// Verify the query parameters of a signed upload URL for `filePath`, like verifyParams
+function verifyUploadParams(filePath, query, keyring = defaultKeyring()) {
+  return verifyOperation('upload', filePath, query, keyring);
+}
+
+// Helper function to split a full signed URL into its media path and query parameters
+function parseSignedUrl(signedUrl) {
+  const url = new URL(signedUrl, 'http://localhost');
+  if (!url.pathname.startsWith('/media/')) {
+    return null;
+  }
+
+  return {
+    filePath: url.pathname.slice('/media'.length),
+    query: Object.fromEntries(url.searchParams)
+  };
+}
+
+module.exports = {
+  createNonce,
+  isCanonicalPath,
+  isWithinScope,
+  signParams,
+  verifyParams,
+  verifyUploadParams,
+  parseSignedUrl
+};
@@ -0,0 +1,33 @@
+const { createLocalStorage } = require('./local');
+const { createMemoryStorage } = require('./memory');
+const { createS3Storage } = require('./s3');
+
+// Storage drivers share one interface:
+//   stat(filePath)                         -> Promise<{ size, mtime } | null>
+//   createReadStream(filePath, { start, end }) -> Readable (end is inclusive)
+//   list(prefix)                           -> Promise<Array<{ filePath, size, mtime }>>
+//   write(filePath, stream, { size, contentType, sha256 }) -> Promise<{ size, mtime }>
+//     stores a complete file of `size` bytes (whose SHA-256 hex digest is `sha256`),
+//     replacing any existing one; readers never see a partial file
+// Drivers that can hand out native URLs also implement:
+//   presign(filePath, { expiresIn, query })  -> presigned URL string
+// File paths always start with "/" and are relative to the storage root.
+function createStorage(options) {
+  switch (options.driver) {
+    case 'local':
+      return createLocalStorage(options.local);
+    case 'memory':
+      return createMemoryStorage(options.memory);
+    case 's3':
+      return createS3Storage(options.s3);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${options.driver}" (expected local, s3 or memory)`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  createLocalStorage,
+  createMemoryStorage,
+  createS3Storage
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Helper function to map a URL file path onto the storage root.
+// Returns null if the path would escape the root.
+function resolveMediaPath(root, filePath) {
+  const resolved = path.resolve(root, '.' + path.posix.normalize('/' + filePath));
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    return null;
+  }
+  return resolved;
+}
+
+// Helper function to recursively collect files below a directory
+async function walk(directory, results) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return results;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      await walk(fullPath, results);
+    } else if (entry.isFile()) {
+      results.push(fullPath);
+    }
+  }
+  return results;
+}
+
+// Local filesystem storage driver serving files below `root`
+function createLocalStorage({ root }) {
+  const storageRoot = path.resolve(root);
+
+  async function stat(filePath) {
+    const resolved = resolveMediaPath(storageRoot, filePath);
+    if (!resolved) return null;
+
+    try {
+      const stats = await fs.promises.stat(resolved);
+      return stats.isFile() ? { size: stats.size, mtime: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+      throw error;
+    }
+  }
+
+  function createReadStream(filePath, { start, end } = {}) {
+    return fs.createReadStream(resolveMediaPath(storageRoot, filePath), { start, end });
+  }
+
+  async function list(prefix = '/') {
+    // Only walk the directory that can contain the prefix
+    const directory = prefix.endsWith('/') ? prefix : path.posix.dirname(prefix);
+    const resolved = resolveMediaPath(storageRoot, directory);
+    if (!resolved) return [];
+
+    const files = await walk(resolved, []);
+    const objects = [];
+    for (const file of files) {
+      const filePath = '/' + path.relative(storageRoot, file).split(path.sep).join('/');
+      if (filePath.startsWith(prefix)) {
+        const stats = await fs.promises.stat(file);
+        objects.push({ filePath, size: stats.size, mtime: stats.mtime });
+      }
+    }
+    return objects.sort((a, b) => a.filePath.localeCompare(b.filePath));
+  }
+
+  async function write(filePath, stream) {
+    const resolved = resolveMediaPath(storageRoot, filePath);
+    if (!resolved || resolved === storageRoot) {
+      throw new Error(`Invalid storage path: ${filePath}`);
+    }
+
+    // Write next to the target and rename, so readers never see a partial file
+    await fs.promises.mkdir(path.dirname(resolved), { recursive: true });
+    const partial = `${resolved}.${crypto.randomUUID()}.tmp`;
+    try {
+      await pipeline(stream, fs.createWriteStream(partial));
+      await fs.promises.rename(partial, resolved);
+    } catch (error) {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    }
+
+    const stats = await fs.promises.stat(resolved);
+    return { size: stats.size, mtime: stats.mtime };
+  }
+
+  return { driver: 'local', stat, createReadStream, list, write };
+}
+
+module.exports = { createLocalStorage, resolveMediaPath };
@@ -0,0 +1,51 @@
+const { Readable } = require('stream');
+
+// In-memory storage driver, mainly for tests and demos.
+// `objects` may seed the store with { '/path': Buffer | string }.
+function createMemoryStorage({ objects = {} } = {}) {
+  const store = new Map();
+
+  function put(filePath, body) {
+    store.set(filePath, { body: Buffer.from(body), mtime: new Date() });
+  }
+
+  for (const [filePath, body] of Object.entries(objects)) {
+    put(filePath, body);
+  }
+
+  async function stat(filePath) {
+    const object = store.get(filePath);
+    return object ? { size: object.body.length, mtime: object.mtime } : null;
+  }
+
+  function createReadStream(filePath, { start = 0, end } = {}) {
+    const object = store.get(filePath);
+    if (!object) {
+      const stream = new Readable({ read() {} });
+      process.nextTick(() => stream.destroy(Object.assign(new Error(`Object not found: ${filePath}`), { code: 'ENOENT' })));
+      return stream;
+    }
+    const last = end === undefined ? object.body.length - 1 : end;
+    return Readable.from([object.body.subarray(start, last + 1)]);
+  }
+
+  async function list(prefix = '/') {
+    return [...store.entries()]
+      .filter(([filePath]) => filePath.startsWith(prefix))
+      .map(([filePath, object]) => ({ filePath, size: object.body.length, mtime: object.mtime }))
+      .sort((a, b) => a.filePath.localeCompare(b.filePath));
+  }
+
+  async function write(filePath, stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    put(filePath, Buffer.concat(chunks));
+    return stat(filePath);
+  }
+
+  return { driver: 'memory', stat, createReadStream, list, put, write };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,164 @@
+const http = require('http');
+const https = require('https');
+const { PassThrough } = require('stream');
+const { UNSIGNED_PAYLOAD, presignUrl, signRequest, uriEncode } = require('./sigv4');
+
+// Helper function to decode the XML entities S3 uses in list responses
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Helper function to read a single XML element's text
+function xmlValue(xml, tag) {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return match ? decodeXml(match[1]) : null;
+}
+
+// S3-compatible storage driver (AWS S3, MinIO, R2, ...).
+// With an `endpoint` requests use path-style URLs (http://host/bucket/key),
+// otherwise virtual-hosted AWS URLs (https://bucket.s3.region.amazonaws.com/key).
+function createS3Storage({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, prefix = '' }) {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket');
+  }
+
+  const credentials = { accessKeyId, secretAccessKey, region, service: 's3' };
+  const baseUrl = endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  // Helper function to turn a media file path into an object key
+  function toKey(filePath) {
+    return prefix + filePath.replace(/^\//, '');
+  }
+
+  // Helper function to turn an object key back into a media file path
+  function toFilePath(key) {
+    return '/' + key.slice(prefix.length);
+  }
+
+  function objectUrl(filePath) {
+    return new URL(`${baseUrl}/${toKey(filePath).split('/').map(uriEncode).join('/')}`);
+  }
+
+  // Helper function to send a signed request and resolve with the raw response.
+  // A `body` stream is uploaded as the request payload, whose SHA-256 is `payloadHash`.
+  function send(method, url, headers = {}, { body, payloadHash } = {}) {
+    const signedHeaders = signRequest({ method, url, headers, payloadHash, credentials });
+    const transport = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers: signedHeaders }, resolve);
+      req.on('error', reject);
+      if (!body) return req.end();
+      body.on('error', error => req.destroy(error));
+      body.pipe(req);
+    });
+  }
+
+  // Helper function to buffer a response body as text
+  function readBody(response) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks).toString()));
+      response.on('error', reject);
+    });
+  }
+
+  async function stat(filePath) {
+    const response = await send('HEAD', objectUrl(filePath));
+    response.resume();
+
+    if (response.statusCode === 404) return null;
+    if (response.statusCode !== 200) {
+      throw new Error(`S3 HEAD ${toKey(filePath)} failed with status ${response.statusCode}`);
+    }
+
+    return {
+      size: parseInt(response.headers['content-length'], 10),
+      mtime: new Date(response.headers['last-modified'])
+    };
+  }
+
+  function createReadStream(filePath, { start, end } = {}) {
+    const stream = new PassThrough();
+    const headers = start !== undefined ? { range: `bytes=${start}-${end === undefined ? '' : end}` } : {};
+
+    send('GET', objectUrl(filePath), headers)
+      .then(async (response) => {
+        if (response.statusCode !== 200 && response.statusCode !== 206) {
+          const body = await readBody(response);
+          throw new Error(`S3 GET ${toKey(filePath)} failed with status ${response.statusCode}: ${xmlValue(body, 'Code') || body}`);
+        }
+        response.on('error', error => stream.destroy(error));
+        response.pipe(stream);
+      })
+      .catch(error => stream.destroy(error));
+
+    return stream;
+  }
+
+  async function list(listPrefix = '/') {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const url = new URL(`${baseUrl}/`);
+      url.searchParams.set('list-type', '2');
+      url.searchParams.set('prefix', toKey(listPrefix));
+      if (continuationToken) url.searchParams.set('continuation-token', continuationToken);
+
+      const response = await send('GET', url);
+      const body = await readBody(response);
+      if (response.statusCode !== 200) {
+        throw new Error(`S3 list ${listPrefix} failed with status ${response.statusCode}: ${xmlValue(body, 'Code') || body}`);
+      }
+
+      const contents = body.match(/<Contents>[\s\S]*?<\/Contents>/g) || [];
+      for (const entry of contents) {
+        objects.push({
+          filePath: toFilePath(xmlValue(entry, 'Key')),
+          size: parseInt(xmlValue(entry, 'Size'), 10),
+          mtime: new Date(xmlValue(entry, 'LastModified'))
+        });
+      }
+
+      continuationToken = xmlValue(body, 'IsTruncated') === 'true' ? xmlValue(body, 'NextContinuationToken') : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  // Native presigned GET URL, so clients can fetch the object without going through us.
+  // `query` parameters (e.g. the user the link was issued to) are covered by the signature.
+  function presign(filePath, { expiresIn, query = {} }) {
+    const url = objectUrl(filePath);
+    for (const [key, value] of Object.entries(query)) {
+      url.searchParams.set(key, value);
+    }
+    return presignUrl({ url, expiresIn, credentials });
+  }
+
+  // Upload with a signed payload hash when known, so S3 rejects a body altered on the way
+  async function write(filePath, stream, { size, contentType, sha256 }) {
+    const headers = { 'content-length': size };
+    if (contentType) headers['content-type'] = contentType;
+
+    const response = await send('PUT', objectUrl(filePath), headers, { body: stream, payloadHash: sha256 || UNSIGNED_PAYLOAD });
+    const body = await readBody(response);
+    if (response.statusCode !== 200) {
+      throw new Error(`S3 PUT ${toKey(filePath)} failed with status ${response.statusCode}: ${xmlValue(body, 'Code') || body}`);
+    }
+    return { size, mtime: new Date() };
+  }
+
+  return { driver: 's3', stat, createReadStream, list, presign, write };
+}
+
+module.exports = { createS3Storage };
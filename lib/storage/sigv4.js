@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// Longest lifetime SigV4 accepts for a presigned URL (7 days)
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+// Helper function for RFC 3986 encoding as required by SigV4
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+// Helper function to format a date as the SigV4 timestamp (20130524T000000Z)
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Helper function to derive the signing key for a date/region/service scope
+function deriveSigningKey(secretAccessKey, dateStamp, region, service) {
+  const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const regionKey = hmac(dateKey, region);
+  const serviceKey = hmac(regionKey, service);
+  return hmac(serviceKey, 'aws4_request');
+}
+
+// Helper function to build the canonical query string from URLSearchParams
+function canonicalQuery(searchParams) {
+  return [...searchParams.entries()]
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+// Helper function to compute the signature over a canonical request
+function computeSignature({ method, url, headers, payloadHash, credentials, amzDate }) {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${credentials.region}/${credentials.service}/aws4_request`;
+
+  const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+  );
+
+  const canonicalRequest = [
+    method,
+    url.pathname.split('/').map(segment => uriEncode(decodeURIComponent(segment))).join('/'),
+    canonicalQuery(url.searchParams),
+    headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = deriveSigningKey(credentials.secretAccessKey, dateStamp, credentials.region, credentials.service);
+
+  return {
+    scope,
+    signedHeaders: headerNames.join(';'),
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  };
+}
+
+// Sign a request with an Authorization header.
+// Returns the headers to send, including host, x-amz-date and x-amz-content-sha256.
+function signRequest({ method = 'GET', url, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH, credentials, date = new Date() }) {
+  const amzDate = toAmzDate(date);
+  const signedHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+
+  const result = computeSignature({ method, url, headers: signedHeaders, payloadHash, credentials, amzDate });
+
+  return {
+    ...signedHeaders,
+    authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${result.scope}, SignedHeaders=${result.signedHeaders}, Signature=${result.signature}`
+  };
+}
+
+// Presign a URL with query string authentication, valid for `expiresIn` seconds.
+// Extra query parameters already on `url` are covered by the signature.
+function presignUrl({ method = 'GET', url, expiresIn, credentials, date = new Date() }) {
+  if (!(expiresIn >= 1 && expiresIn <= MAX_PRESIGN_SECONDS)) {
+    throw new RangeError(`Presigned URL lifetime must be between 1 and ${MAX_PRESIGN_SECONDS} seconds`);
+  }
+
+  const amzDate = toAmzDate(date);
+  const presigned = new URL(url);
+  const scope = `${amzDate.slice(0, 8)}/${credentials.region}/${credentials.service}/aws4_request`;
+  presigned.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+  presigned.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${scope}`);
+  presigned.searchParams.set('X-Amz-Date', amzDate);
+  presigned.searchParams.set('X-Amz-Expires', String(expiresIn));
+  presigned.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const result = computeSignature({
+    method,
+    url: presigned,
+    headers: { host: presigned.host },
+    payloadHash: UNSIGNED_PAYLOAD,
+    credentials,
+    amzDate
+  });
+
+  presigned.searchParams.set('X-Amz-Signature', result.signature);
+  return presigned.toString();
+}
+
+module.exports = {
+  EMPTY_PAYLOAD_HASH,
+  MAX_PRESIGN_SECONDS,
+  UNSIGNED_PAYLOAD,
+  presignUrl,
+  signRequest,
+  uriEncode
+};
@@ -0,0 +1,49 @@
+const { createMemoryTokenStore } = require('./memory');
+const { createSqliteTokenStore } = require('./sqlite');
+const { createRedisTokenStore } = require('./redis');
+
+// Token store drivers keep the server-side state of signed URLs (issuance records,
+// revocations, use counters) and share one promise-based interface:
+//   get(key)                    -> value | null
+//   set(key, value, expiresAt)  -> stores a JSON value until expiresAt (unix seconds, omit to keep)
+//   delete(key)                 -> true if the key existed
+//   list(keyPrefix)             -> Array<{ key, value }> of unexpired entries
+//   increment(key, expiresAt)   -> atomically adds one to a counter and returns the new value; the
+//                                 counter starts over once expiresAt (unix seconds, omit to keep) passes
+//   setField(key, field, value, expiresAt) -> stores a JSON value under one field of a map key,
+//                                 keeping the whole key until expiresAt (omit to keep)
+//   getFields(key)              -> { field: value } of a map key, {} if there is none
+//   sweep()                     -> number of expired entries removed
+//   close()
+// Expired entries are never returned, even before a sweep removes them.
+function createTokenStore(options) {
+  switch (options.driver) {
+    case 'memory':
+      return createMemoryTokenStore();
+    case 'sqlite':
+      return createSqliteTokenStore(options.sqlite);
+    case 'redis':
+      return createRedisTokenStore(options.redis);
+    default:
+      throw new Error(`Unknown TOKEN_STORE_DRIVER "${options.driver}" (expected memory, sqlite or redis)`);
+  }
+}
+
+// Periodically remove expired entries in the background. Returns a function to stop it.
+function startSweeper(store, intervalMs) {
+  const timer = setInterval(() => {
+    store.sweep().catch((error) => {
+      console.error('Error sweeping expired tokens:', error.message);
+    });
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  createTokenStore,
+  createMemoryTokenStore,
+  createSqliteTokenStore,
+  createRedisTokenStore,
+  startSweeper
+};
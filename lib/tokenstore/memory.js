@@ -0,0 +1,76 @@
+// In-memory token store driver: the default, and for tests. State is lost on
+// restart and not shared between instances.
+function createMemoryTokenStore() {
+  const entries = new Map();
+
+  // Helper function to copy values in and out, like the serializing drivers do
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // Helper function to check whether an entry is still live at `currentTime`
+  function isLive(entry, currentTime) {
+    return entry.expiresAt === null || entry.expiresAt >= currentTime;
+  }
+
+  async function get(key) {
+    const entry = entries.get(key);
+    if (!entry || !isLive(entry, Math.floor(Date.now() / 1000))) return null;
+    return clone(entry.value);
+  }
+
+  async function set(key, value, expiresAt) {
+    entries.set(key, { value: clone(value), expiresAt: expiresAt || null });
+  }
+
+  async function remove(key) {
+    return entries.delete(key);
+  }
+
+  async function list(keyPrefix) {
+    const currentTime = Math.floor(Date.now() / 1000);
+    const results = [];
+    for (const [key, entry] of entries.entries()) {
+      if (key.startsWith(keyPrefix) && isLive(entry, currentTime)) {
+        results.push({ key, value: clone(entry.value) });
+      }
+    }
+    return results;
+  }
+
+  async function increment(key, expiresAt) {
+    const entry = entries.get(key);
+    const value = (entry && isLive(entry, Math.floor(Date.now() / 1000)) ? entry.value : 0) + 1;
+    entries.set(key, { value, expiresAt: expiresAt || null });
+    return value;
+  }
+
+  async function setField(key, field, value, expiresAt) {
+    const entry = entries.get(key);
+    const fields = entry && isLive(entry, Math.floor(Date.now() / 1000)) ? entry.value : {};
+    fields[field] = clone(value);
+    entries.set(key, { value: fields, expiresAt: expiresAt || null });
+  }
+
+  async function getFields(key) {
+    return (await get(key)) || {};
+  }
+
+  async function sweep() {
+    const currentTime = Math.floor(Date.now() / 1000);
+    let removed = 0;
+    for (const [key, entry] of entries.entries()) {
+      if (!isLive(entry, currentTime)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async function close() {}
+
+  return { get, set, delete: remove, list, increment, setField, getFields, sweep, close };
+}
+
+module.exports = { createMemoryTokenStore };
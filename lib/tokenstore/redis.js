@@ -0,0 +1,229 @@
+const net = require('net');
+
+// Redis token store driver, shared by every instance talking to the same Redis.
+// Speaks RESP over a single connection, so no client library is needed; entries
+// expire through Redis' own key TTLs.
+
+// Helper function to encode a command as a RESP array of bulk strings
+function encodeCommand(args) {
+  let encoded = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    encoded += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return encoded;
+}
+
+// Helper function to parse one RESP value from `buffer` at `offset`.
+// Returns { value, offset } past the value, or null when more data is needed.
+// Error replies are returned as Error instances.
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
+  }
+}
+
+// Minimal Redis client: `command(...args)` resolves with the reply.
+// Connects lazily and reconnects on the next command after the connection drops.
+function createRedisClient({ url }) {
+  const target = new URL(url);
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  // Helper function to fail every command waiting on a broken connection. Events of a
+  // connection that has already been replaced are ignored, so they cannot fail the
+  // commands of its successor.
+  function failPending(connection, error) {
+    if (connection !== socket) return;
+    const waiting = pending;
+    pending = [];
+    socket = null;
+    buffer = Buffer.alloc(0);
+    for (const { reject } of waiting) reject(error);
+  }
+
+  function connect() {
+    const connection = net.createConnection({ host: target.hostname, port: parseInt(target.port || '6379', 10) });
+    socket = connection;
+    connection.on('data', (chunk) => {
+      if (connection !== socket) return;
+      buffer = Buffer.concat([buffer, chunk]);
+      let reply;
+      while (pending.length > 0 && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const { resolve, reject } = pending.shift();
+        if (reply.value instanceof Error) {
+          reject(reply.value);
+        } else {
+          resolve(reply.value);
+        }
+      }
+    });
+    connection.on('error', error => failPending(connection, new Error(`Redis connection failed: ${error.message}`)));
+    connection.on('close', () => failPending(connection, new Error('Redis connection closed')));
+
+    // Authenticate and pick the database before anything else is sent
+    const password = decodeURIComponent(target.password);
+    if (password) {
+      const username = decodeURIComponent(target.username);
+      send(username ? ['AUTH', username, password] : ['AUTH', password]).catch(() => {});
+    }
+    const database = target.pathname.slice(1);
+    if (database) {
+      send(['SELECT', database]).catch(() => {});
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function command(...args) {
+    if (!socket) connect();
+    return send(args);
+  }
+
+  async function quit() {
+    if (!socket) return;
+    await command('QUIT').catch(() => {});
+    if (socket) socket.destroy();
+  }
+
+  return { command, quit };
+}
+
+// Helper function to escape glob characters for SCAN MATCH
+function escapePattern(value) {
+  return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+function createRedisTokenStore({ url, keyPrefix = '' }) {
+  const client = createRedisClient({ url });
+
+  async function get(key) {
+    const value = await client.command('GET', keyPrefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async function set(key, value, expiresAt) {
+    if (!expiresAt) {
+      await client.command('SET', keyPrefix + key, JSON.stringify(value));
+      return;
+    }
+    // Entries that are already expired are not worth storing
+    const ttlSeconds = expiresAt - Math.floor(Date.now() / 1000) + 1;
+    if (ttlSeconds <= 0) {
+      await client.command('DEL', keyPrefix + key);
+      return;
+    }
+    await client.command('SET', keyPrefix + key, JSON.stringify(value), 'EX', ttlSeconds);
+  }
+
+  async function remove(key) {
+    return (await client.command('DEL', keyPrefix + key)) > 0;
+  }
+
+  async function list(prefix) {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await client.command('SCAN', cursor, 'MATCH', `${escapePattern(keyPrefix + prefix)}*`, 'COUNT', 500);
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    const uniqueKeys = [...new Set(keys)];
+    if (uniqueKeys.length === 0) return [];
+
+    // Keys may expire between SCAN and MGET
+    const values = await client.command('MGET', ...uniqueKeys);
+    return uniqueKeys
+      .map((key, index) => ({ key: key.slice(keyPrefix.length), value: values[index] }))
+      .filter(entry => entry.value !== null)
+      .map(entry => ({ key: entry.key, value: JSON.parse(entry.value) }));
+  }
+
+  // INCR is atomic across instances. Every caller of a counter passes the same expiresAt,
+  // so setting it again on each increment is harmless.
+  async function increment(key, expiresAt) {
+    const value = await client.command('INCR', keyPrefix + key);
+    if (expiresAt) {
+      await client.command('EXPIREAT', keyPrefix + key, expiresAt + 1);
+    }
+    return value;
+  }
+
+  // Map keys are Redis hashes, so fields written by different instances never overwrite each other
+  async function setField(key, field, value, expiresAt) {
+    await client.command('HSET', keyPrefix + key, field, JSON.stringify(value));
+    if (expiresAt) {
+      await client.command('EXPIREAT', keyPrefix + key, expiresAt + 1);
+    } else {
+      await client.command('PERSIST', keyPrefix + key);
+    }
+  }
+
+  async function getFields(key) {
+    const reply = await client.command('HGETALL', keyPrefix + key);
+    const fields = {};
+    for (let index = 0; index < reply.length; index += 2) {
+      fields[reply[index]] = JSON.parse(reply[index + 1]);
+    }
+    return fields;
+  }
+
+  // Redis evicts expired keys itself
+  async function sweep() {
+    return 0;
+  }
+
+  async function close() {
+    await client.quit();
+  }
+
+  return { get, set, delete: remove, list, increment, setField, getFields, sweep, close };
+}
+
+module.exports = {
+  createRedisClient,
+  createRedisTokenStore,
+  encodeCommand,
+  parseReply
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// SQLite token store driver keeping entries in a single database file, so they
+// survive restarts and are shared by every process on the same host.
+// Uses the optional better-sqlite3 package.
+function createSqliteTokenStore({ path: databasePath }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('TOKEN_STORE_DRIVER=sqlite needs the optional better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  if (databasePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(databasePath)), { recursive: true });
+  }
+
+  const db = new Database(databasePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS token_store (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS token_store_expires_at ON token_store (expires_at);
+  `);
+
+  const live = '(expires_at IS NULL OR expires_at >= @now)';
+  const statements = {
+    get: db.prepare(`SELECT value FROM token_store WHERE key = @key AND ${live}`),
+    set: db.prepare(`
+      INSERT INTO token_store (key, value, expires_at) VALUES (@key, @value, @expiresAt)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+    `),
+    delete: db.prepare('DELETE FROM token_store WHERE key = @key'),
+    list: db.prepare(`SELECT key, value FROM token_store WHERE substr(key, 1, length(@prefix)) = @prefix AND ${live}`),
+    increment: db.prepare(`
+      INSERT INTO token_store (key, value, expires_at) VALUES (@key, '1', @expiresAt)
+      ON CONFLICT (key) DO UPDATE SET
+        value = CASE WHEN ${live} THEN CAST(value AS INTEGER) + 1 ELSE 1 END,
+        expires_at = excluded.expires_at
+      RETURNING value
+    `),
+    sweep: db.prepare('DELETE FROM token_store WHERE expires_at < @now')
+  };
+
+  // Helper function to get the current time in unix seconds
+  function now() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  async function get(key) {
+    const row = statements.get.get({ key, now: now() });
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async function set(key, value, expiresAt) {
+    statements.set.run({ key, value: JSON.stringify(value), expiresAt: expiresAt || null });
+  }
+
+  async function remove(key) {
+    return statements.delete.run({ key }).changes > 0;
+  }
+
+  async function list(keyPrefix) {
+    return statements.list
+      .all({ prefix: keyPrefix, now: now() })
+      .map(row => ({ key: row.key, value: JSON.parse(row.value) }));
+  }
+
+  async function increment(key, expiresAt) {
+    return parseInt(statements.increment.get({ key, expiresAt: expiresAt || null, now: now() }).value, 10);
+  }
+
+  // Read and write the map in one transaction, so concurrent writers never drop each other's fields
+  const writeField = db.transaction((key, field, value, expiresAt) => {
+    const row = statements.get.get({ key, now: now() });
+    const fields = row ? JSON.parse(row.value) : {};
+    fields[field] = value;
+    statements.set.run({ key, value: JSON.stringify(fields), expiresAt: expiresAt || null });
+  });
+
+  async function setField(key, field, value, expiresAt) {
+    writeField.immediate(key, field, value, expiresAt);
+  }
+
+  async function getFields(key) {
+    return (await get(key)) || {};
+  }
+
+  async function sweep() {
+    return statements.sweep.run({ now: now() }).changes;
+  }
+
+  async function close() {
+    db.close();
+  }
+
+  return { get, set, delete: remove, list, increment, setField, getFields, sweep, close };
+}
+
+module.exports = { createSqliteTokenStore };
@@ -0,0 +1,90 @@
+// Image transformations carried as signed URL parameters, so a URL only ever
+// produces the rendition it was issued for:
+//   w, h - target width/height in pixels (images are never enlarged)
+//   fit  - how the image fits both dimensions (cover, contain, fill, inside, outside)
+//   fmt  - output format (jpeg, png, webp, avif); the source format by default
+//   q    - output quality, 1-100
+// Results are rendered with the optional sharp package and cached on disk (see lib/rendition).
+
+const TRANSFORMABLE_EXTENSIONS = ['jpg', 'jpeg', 'png'];
+const TRANSFORM_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const TRANSFORM_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+
+// Signed parameter names, in the order they make up the cache key
+const TRANSFORM_CLAIMS = ['w', 'h', 'fit', 'fmt', 'q'];
+
+// Helper function to parse a positive integer option, returning NaN if invalid
+function parseInteger(value) {
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+}
+
+// Parse the transformation parameters of a signing request.
+// Returns { claims } with the signed parameters to add (none without a transformation), or { error }.
+function parseTransform({ width, height, fit, format, quality }, { maxDimension = 4096 } = {}) {
+  const claims = {};
+  const isSet = value => value !== undefined && value !== null && value !== '';
+
+  for (const [name, claim, value] of [['width', 'w', width], ['height', 'h', height]]) {
+    if (!isSet(value)) continue;
+    const pixels = parseInteger(value);
+    if (!(pixels >= 1 && pixels <= maxDimension)) {
+      return { error: `Invalid ${name}. Must be a whole number of pixels from 1 to ${maxDimension}.` };
+    }
+    claims[claim] = String(pixels);
+  }
+
+  if (isSet(fit)) {
+    if (!TRANSFORM_FITS.includes(fit)) {
+      return { error: `Invalid fit. Must be one of: ${TRANSFORM_FITS.join(', ')}.` };
+    }
+    if (!claims.w || !claims.h) {
+      return { error: 'Invalid fit. It needs both width and height.' };
+    }
+    claims.fit = fit;
+  }
+
+  if (isSet(format)) {
+    const normalized = format === 'jpg' ? 'jpeg' : format;
+    if (!TRANSFORM_FORMATS.includes(normalized)) {
+      return { error: `Invalid format. Must be one of: ${TRANSFORM_FORMATS.join(', ')}.` };
+    }
+    claims.fmt = normalized;
+  }
+
+  if (isSet(quality)) {
+    const level = parseInteger(quality);
+    if (!(level >= 1 && level <= 100)) {
+      return { error: 'Invalid quality. Must be a whole number from 1 to 100.' };
+    }
+    claims.q = String(level);
+  }
+
+  return { claims };
+}
+
+// True if signed claims ask for a transformation
+function hasTransform(claims) {
+  return TRANSFORM_CLAIMS.some(claim => claims[claim] !== undefined);
+}
+
+// Readable description of a transformation for API responses, or undefined without one
+function describeTransform(claims) {
+  if (!hasTransform(claims)) return undefined;
+  return {
+    width: claims.w ? parseInt(claims.w, 10) : undefined,
+    height: claims.h ? parseInt(claims.h, 10) : undefined,
+    fit: claims.fit,
+    format: claims.fmt,
+    quality: claims.q ? parseInt(claims.q, 10) : undefined
+  };
+}
+
+module.exports = {
+  TRANSFORMABLE_EXTENSIONS,
+  TRANSFORM_CLAIMS,
+  TRANSFORM_FITS,
+  TRANSFORM_FORMATS,
+  describeTransform,
+  hasTransform,
+  parseTransform
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { MEDIA_TYPES, getContentType } = require('./media');
+
+// Signed upload URLs let clients send a file straight to /upload/* instead of through
+// the service that authorized them. Their constraints are signed URL parameters:
+//   op      - always "upload"; media URLs cannot be used to upload and vice versa
+//   method  - the HTTP method the file is sent with (PUT or POST, body is the raw file)
+//   maxSize - largest accepted body in bytes
+//   sha256  - optional hex SHA-256 the file must have
+//   overwrite - "1" to allow replacing an existing file
+// Content types follow from the target path: its extension must be in one of the
+// media type lists (lib/media) and the upload must be sent with its Content-Type.
+
+const UPLOAD_METHODS = ['PUT', 'POST'];
+
+// Parse the upload parameters of a signing request. `maxBytes` caps maxSize and is its default.
+// Returns { claims } with the signed parameters to add, or { error }.
+function parseUploadOptions({ method, maxSize, sha256, overwrite }, { maxBytes }) {
+  const claims = { op: 'upload', method: 'PUT', maxSize: String(maxBytes) };
+  const isSet = value => value !== undefined && value !== null && value !== '';
+
+  if (isSet(method)) {
+    const normalized = String(method).toUpperCase();
+    if (!UPLOAD_METHODS.includes(normalized)) {
+      return { error: `Invalid method. Must be one of: ${UPLOAD_METHODS.join(', ')}.` };
+    }
+    claims.method = normalized;
+  }
+
+  if (isSet(maxSize)) {
+    const bytes = /^\d+$/.test(String(maxSize)) ? parseInt(maxSize, 10) : NaN;
+    if (!(bytes >= 1 && bytes <= maxBytes)) {
+      return { error: `Invalid maxSize. Must be a whole number of bytes from 1 to ${maxBytes}.` };
+    }
+    claims.maxSize = String(bytes);
+  }
+
+  if (isSet(sha256)) {
+    if (!/^[a-fA-F0-9]{64}$/.test(sha256)) {
+      return { error: 'Invalid sha256. Must be the 64 character hex SHA-256 of the file.' };
+    }
+    claims.sha256 = sha256.toLowerCase();
+  }
+
+  const replace = isSet(overwrite) ? String(overwrite) : 'false';
+  if (!['true', 'false'].includes(replace)) {
+    return { error: 'Invalid overwrite. Must be true or false.' };
+  }
+  if (replace === 'true') {
+    claims.overwrite = '1';
+  }
+
+  return { claims };
+}
+
+// Readable description of an upload URL's constraints for API responses
+function describeUpload(claims) {
+  return {
+    method: claims.method,
+    maxSize: parseInt(claims.maxSize, 10),
+    sha256: claims.sha256,
+    overwrite: claims.overwrite === '1'
+  };
+}
+
+// Content types an upload of files of `mediaTypes` may be sent with
+function uploadContentTypes(mediaTypes) {
+  const types = mediaTypes.flatMap(mediaType => MEDIA_TYPES[mediaType].map(getContentType));
+  return [...new Set(types)];
+}
+
+// Helper function to read the media type of a Content-Type header without its parameters
+function parseContentType(header) {
+  return (header || '').split(';')[0].trim().toLowerCase();
+}
+
+// Stream an upload `body` into a temporary file below `tmpDir`, computing its SHA-256
+// on the way. Reading stops once more than `maxSize` bytes arrive. Resolves to
+// { path, size, sha256 }, or { tooLarge: true } after removing the temporary file.
+async function spoolUpload(body, { maxSize, tmpDir }) {
+  await fs.promises.mkdir(tmpDir, { recursive: true });
+  const target = path.join(tmpDir, `powerofaum-upload-${crypto.randomUUID()}.tmp`);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxSize) {
+        return callback(Object.assign(new Error(`Upload is larger than ${maxSize} bytes`), { code: 'UPLOAD_TOO_LARGE' }));
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  // The body is piped rather than part of the pipeline, so a refused upload leaves the
+  // request open for the error response; a client that disconnects ends the spooling
+  body.on('close', () => {
+    if (!body.complete) meter.destroy(new Error('Upload was aborted by the client'));
+  });
+  body.pipe(meter);
+
+  try {
+    await pipeline(meter, fs.createWriteStream(target));
+  } catch (error) {
+    body.unpipe(meter);
+    await fs.promises.rm(target, { force: true });
+    if (error.code === 'UPLOAD_TOO_LARGE') return { tooLarge: true };
+    throw error;
+  }
+  return { path: target, size, sha256: hash.digest('hex') };
+}
+
+module.exports = {
+  UPLOAD_METHODS,
+  describeUpload,
+  parseContentType,
+  parseUploadOptions,
+  spoolUpload,
+  uploadContentTypes
+};
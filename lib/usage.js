@@ -0,0 +1,49 @@
+// Use counters for signed URLs issued with maxUses, kept in the token store.
+//
+// A "use" is a playback session rather than an HTTP request: the first request
+// from a client opens a session and burns one use, and Range requests (seeking,
+// resuming) from the same client reuse it for `sessionSeconds` after it opened.
+// Sessions are not extended by use, and a request without a Range header always
+// opens a new one, so a one-time link cannot be downloaded again in full.
+// Counters are keyed by the URL signature and expire with the URL.
+// Counting is read-modify-write, so two instances racing on the very first request
+// of different sessions may both let it through.
+function createUsageTracker({ sessionSeconds = 1800, store }) {
+  // Record a request against a URL's budget; `continuation` is true for Range requests.
+  // Resolves to { allowed, remaining }.
+  async function consume(token, { maxUses, expires, sessionKey, continuation = false }) {
+    const currentTime = Math.floor(Date.now() / 1000);
+    const key = `usage:${token}`;
+    const entry = (await store.get(key)) || { used: 0, sessions: {} };
+
+    // Forget closed sessions so the entry does not grow with every client
+    for (const [session, openedAt] of Object.entries(entry.sessions)) {
+      if (currentTime - openedAt > sessionSeconds) {
+        delete entry.sessions[session];
+      }
+    }
+
+    if (continuation && entry.sessions[sessionKey] !== undefined) {
+      return { allowed: true, remaining: maxUses - entry.used };
+    }
+
+    if (entry.used >= maxUses) {
+      return { allowed: false, remaining: 0 };
+    }
+
+    entry.used += 1;
+    entry.sessions[sessionKey] = currentTime;
+    await store.set(key, entry, expires);
+    return { allowed: true, remaining: maxUses - entry.used };
+  }
+
+  // Number of uses left for a URL without consuming one
+  async function remaining(token, maxUses) {
+    const entry = await store.get(`usage:${token}`);
+    return Math.max(maxUses - (entry ? entry.used : 0), 0);
+  }
+
+  return { consume, remaining };
+}
+
+module.exports = { createUsageTracker };
@@ -0,0 +1,112 @@
+const { PDFDocument, StandardFonts, degrees, rgb } = require('pdf-lib');
+
+// Per-user watermarks carried as signed URL parameters, so a leaked copy names the
+// user it was issued to:
+//   wm  - "1" to stamp the file
+//   wme - optional email address to stamp next to the userId
+// The stamp reads "Licensed to <userId> (<email>) - <issue time> - <tokenId>" and is
+// drawn across the middle of every PDF page or image and along its bottom edge.
+
+const WATERMARKABLE_EXTENSIONS = ['pdf', 'jpg', 'jpeg', 'png'];
+
+// Deliberately plain so every PDF standard font can draw it
+const EMAIL_PATTERN = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+
+// Parse the watermark parameters of a signing request.
+// Returns { claims } with the signed parameters to add (none without a watermark), or { error }.
+function parseWatermark({ watermark, watermarkEmail }) {
+  const value = watermark === undefined || watermark === null || watermark === '' ? 'false' : String(watermark);
+  if (!['true', 'false'].includes(value)) {
+    return { error: 'Invalid watermark. Must be true or false.' };
+  }
+  const enabled = value === 'true';
+
+  if (watermarkEmail !== undefined && watermarkEmail !== null && watermarkEmail !== '') {
+    if (!enabled) {
+      return { error: 'Invalid watermarkEmail. It is only used with watermark=true.' };
+    }
+    if (typeof watermarkEmail !== 'string' || watermarkEmail.length > 254 || !EMAIL_PATTERN.test(watermarkEmail)) {
+      return { error: 'Invalid watermarkEmail. Must be an email address.' };
+    }
+    return { claims: { wm: '1', wme: watermarkEmail } };
+  }
+
+  return { claims: enabled ? { wm: '1' } : {} };
+}
+
+// True if signed claims ask for a watermark
+function hasWatermark(claims) {
+  return claims.wm === '1';
+}
+
+// Readable description of a watermark for API responses, or undefined without one
+function describeWatermark(claims) {
+  return hasWatermark(claims) ? { email: claims.wme } : undefined;
+}
+
+// Text stamped onto files served for verified `claims`. `issuedAt` is the signing time
+// and `tokenId` identifies the exact URL in the audit log.
+function buildWatermarkText(claims, tokenId) {
+  const issuedAt = claims.issuedAt ? new Date(claims.issuedAt * 1000).toISOString().replace(/\.\d+Z$/, 'Z') : 'unknown time';
+  return `Licensed to ${claims.userId}${claims.wme ? ` (${claims.wme})` : ''} - ${issuedAt} - ${tokenId.slice(0, 12)}`;
+}
+
+// Helper function to escape text for an SVG document
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// SVG overlay of `text` for an image of `width` x `height` pixels
+function watermarkSvg(width, height, text) {
+  const escaped = escapeXml(text);
+  const diagonal = Math.max(10, Math.min(width / (text.length * 0.6), height / 4));
+  const footer = Math.max(8, Math.min(width / (text.length * 0.65), 14));
+  return Buffer.from([
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`,
+    `<text x="${width / 2}" y="${height / 2}" font-family="sans-serif" font-size="${diagonal.toFixed(1)}" text-anchor="middle" dominant-baseline="middle"`,
+    ` fill="#ffffff" fill-opacity="0.4" stroke="#000000" stroke-opacity="0.25" stroke-width="0.5"`,
+    ` transform="rotate(${(-Math.atan2(height, width) * 180 / Math.PI).toFixed(1)} ${width / 2} ${height / 2})">${escaped}</text>`,
+    `<text x="${width - 4}" y="${height - 4}" font-family="sans-serif" font-size="${footer.toFixed(1)}" text-anchor="end"`,
+    ` fill="#ffffff" fill-opacity="0.8" stroke="#000000" stroke-opacity="0.5" stroke-width="0.3">${escaped}</text>`,
+    '</svg>'
+  ].join(''));
+}
+
+// Stamp `text` onto every page of a PDF. Resolves to the stamped PDF.
+// The text is also written to the document's Subject, where tools can read it back.
+async function stampPdf(source, text) {
+  const pdf = await PDFDocument.load(source);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+
+  for (const page of pdf.getPages()) {
+    const { width, height } = page.getSize();
+    const angle = Math.atan2(height, width);
+    const size = Math.max(10, Math.min(48, (Math.hypot(width, height) * 0.8) / font.widthOfTextAtSize(text, 1)));
+    const textWidth = font.widthOfTextAtSize(text, size);
+
+    // Centered along the diagonal, light enough to read the page through
+    page.drawText(text, {
+      x: width / 2 - (Math.cos(angle) * textWidth) / 2,
+      y: height / 2 - (Math.sin(angle) * textWidth) / 2,
+      size,
+      font,
+      color: rgb(0.6, 0.6, 0.6),
+      opacity: 0.3,
+      rotate: degrees((angle * 180) / Math.PI)
+    });
+    page.drawText(text, { x: 24, y: 12, size: 7, font, color: rgb(0.4, 0.4, 0.4), opacity: 0.8 });
+  }
+
+  pdf.setSubject(text);
+  return Buffer.from(await pdf.save());
+}
+
+module.exports = {
+  WATERMARKABLE_EXTENSIONS,
+  buildWatermarkText,
+  describeWatermark,
+  hasWatermark,
+  parseWatermark,
+  stampPdf,
+  watermarkSvg
+};
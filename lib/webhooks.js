@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+// Webhooks: JSON events POSTed to subscribed URLs when signed URLs are issued, used,
+// refused, revoked or expire.
+//
+// Subscriptions come from a JSON or YAML file (WEBHOOKS_PATH):
+//
+//   webhooks:
+//     - id: analytics
+//       url: https://analytics.internal/hooks/media
+//       secret: shared-secret
+//       events: [url.issued, media.granted, media.denied]   # omit for every event
+//
+// Each delivery is signed: X-Webhook-Signature is "sha256=" + HMAC-SHA256(secret,
+// "<X-Webhook-Timestamp>.<body>") in hex. Deliveries run in the background; failures
+// (network errors, timeouts, non-2xx answers) are retried with exponential backoff and,
+// after `maxAttempts`, kept as dead letters in the token store for an admin to retry.
+// Pending retries live in process memory and are lost on restart.
+
+const WEBHOOK_EVENTS = ['url.issued', 'url.extended', 'url.revoked', 'url.expired', 'media.granted', 'media.denied', 'media.uploaded'];
+
+// Helper function to compute the signature of a delivery body
+function computeWebhookSignature(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Check the signature of a received delivery against the raw request body. Deliveries
+// older than `toleranceSeconds` are refused so a captured request cannot be replayed.
+function verifyWebhookSignature(secret, { body, signature, timestamp, toleranceSeconds = 300 }) {
+  if (!signature || !timestamp || !/^\d+$/.test(timestamp)) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(computeWebhookSignature(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Helper function to read and check the subscriptions file
+function loadWebhookFile(webhooksPath) {
+  const source = fs.readFileSync(webhooksPath, 'utf8');
+  const document = /\.ya?ml$/i.test(webhooksPath) ? yaml.load(source) : JSON.parse(source);
+
+  if (!document || !Array.isArray(document.webhooks)) {
+    throw new Error(`Webhooks file ${webhooksPath} must contain a "webhooks" list`);
+  }
+
+  const ids = new Set();
+  return document.webhooks.map((subscription, index) => {
+    const { id, url, secret, events = WEBHOOK_EVENTS } = subscription || {};
+    const name = `Webhook ${id || index + 1} in ${webhooksPath}`;
+
+    if (typeof id !== 'string' || !/^[\w-]+$/.test(id) || ids.has(id)) {
+      throw new Error(`${name} needs a unique "id" of letters, digits, _ and -`);
+    }
+    ids.add(id);
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+      throw new Error(`${name} needs an http(s) "url"`);
+    }
+    if (typeof secret !== 'string' || !secret) {
+      throw new Error(`${name} needs a "secret" to sign deliveries with`);
+    }
+    const unknown = [].concat(events).filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`${name} subscribes to unknown events: ${unknown.join(', ')} (expected ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+
+    return { id, url, secret, events: [].concat(events) };
+  });
+}
+
+function createWebhooks({ path: webhooksPath, store, maxAttempts, retryDelayMs, timeoutMs, deadLetterTtlSeconds }) {
+  const subscriptions = webhooksPath ? loadWebhookFile(webhooksPath) : [];
+
+  // True if any subscription wants `type` events
+  function wants(type) {
+    return subscriptions.some(subscription => subscription.events.includes(type));
+  }
+
+  // Helper function to POST one delivery. Resolves to null on a 2xx answer, else the failure.
+  async function send(subscription, event) {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PowerOfAum-Webhooks/1.0',
+          'X-Webhook-Id': event.id,
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': computeWebhookSignature(subscription.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      await response.body?.cancel();
+      return response.ok ? null : `Receiver answered ${response.status}`;
+    } catch (error) {
+      return error.name === 'TimeoutError' ? `No answer within ${timeoutMs}ms` : error.message;
+    }
+  }
+
+  // Helper function to deliver an event to one subscription, retrying after 1, 2, 4, ...
+  // times `retryDelayMs` and dead-lettering it after the last attempt
+  async function deliver(subscription, event, deliveryId = crypto.randomUUID(), attempt = 1) {
+    const failure = await send(subscription, event);
+    if (!failure) return;
+
+    if (attempt < maxAttempts) {
+      const timer = setTimeout(() => startDelivery(subscription, event, deliveryId, attempt + 1), retryDelayMs * 2 ** (attempt - 1));
+      timer.unref();
+      return;
+    }
+
+    console.warn(`⚠️  Webhook ${subscription.id} gave up on ${event.type} event ${event.id}: ${failure}`);
+    const currentTime = Math.floor(Date.now() / 1000);
+    await store.set(`webhook:dead:${deliveryId}`, {
+      id: deliveryId,
+      subscription: subscription.id,
+      url: subscription.url,
+      event,
+      attempts: attempt,
+      lastError: failure,
+      failedAt: currentTime
+    }, currentTime + deadLetterTtlSeconds);
+  }
+
+  // Helper function to run a delivery in the background
+  function startDelivery(subscription, event, deliveryId, attempt) {
+    deliver(subscription, event, deliveryId, attempt).catch((error) => {
+      console.error(`Error delivering webhook ${subscription.id}:`, error.message);
+    });
+  }
+
+  // Send an event of `type` with `data` to every subscription that wants it.
+  // Returns immediately; delivery failures never reach the caller.
+  function emit(type, data) {
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+    for (const subscription of subscriptions) {
+      if (subscription.events.includes(type)) {
+        startDelivery(subscription, event);
+      }
+    }
+  }
+
+  // Send an event unless one was already sent under `key` before `expiresAt`, so that
+  // e.g. a playback session is reported once rather than once per Range request.
+  async function emitOnce(key, type, data, expiresAt) {
+    if (!wants(type) || (await store.get(`webhook:sent:${key}`))) return;
+    await store.set(`webhook:sent:${key}`, true, expiresAt);
+    emit(type, data);
+  }
+
+  // Remember an issued URL so url.expired can be sent once it expires. Entries outlive
+  // the URL by a day so any instance's watcher can pick them up.
+  async function trackExpiry(id, data, expiresAt) {
+    if (!wants('url.expired')) return;
+    await store.set(`webhook:expiry:${id}`, { ...data, expiresAt }, expiresAt + 24 * 60 * 60);
+  }
+
+  // Send url.expired for every tracked URL past its expiry. Removing the entry first
+  // makes sure only one instance sends each event. Resolves to the number sent.
+  async function checkExpired() {
+    const currentTime = Math.floor(Date.now() / 1000);
+    let sent = 0;
+    for (const { key, value } of await store.list('webhook:expiry:')) {
+      if (value.expiresAt > currentTime || !(await store.delete(key))) continue;
+      emit('url.expired', value);
+      sent++;
+    }
+    return sent;
+  }
+
+  // Dead letters, newest first
+  async function listDeadLetters() {
+    const entries = (await store.list('webhook:dead:')).map(entry => entry.value);
+    return entries.sort((a, b) => b.failedAt - a.failedAt);
+  }
+
+  // Drop a dead letter. Resolves to true if there was one.
+  function deleteDeadLetter(id) {
+    return store.delete(`webhook:dead:${id}`);
+  }
+
+  // Deliver a dead letter again with a fresh set of attempts. Resolves to the dead
+  // letter, or null if it does not exist or its subscription has been removed.
+  async function retryDeadLetter(id) {
+    const deadLetter = await store.get(`webhook:dead:${id}`);
+    const subscription = deadLetter && subscriptions.find(candidate => candidate.id === deadLetter.subscription);
+    if (!subscription || !(await store.delete(`webhook:dead:${id}`))) return null;
+
+    startDelivery(subscription, deadLetter.event, id);
+    return deadLetter;
+  }
+
+  return {
+    enabled: subscriptions.length > 0,
+    // Subscriptions without their secrets, for the admin API
+    subscriptions: subscriptions.map(({ id, url, events }) => ({ id, url, events })),
+    wants,
+    emit,
+    emitOnce,
+    trackExpiry,
+    checkExpired,
+    listDeadLetters,
+    deleteDeadLetter,
+    retryDeadLetter
+  };
+}
+
+// Periodically send url.expired events in the background. Returns a function to stop it.
+function startExpiryWatcher(webhooks, intervalMs) {
+  const timer = setInterval(() => {
+    webhooks.checkExpired().catch((error) => {
+      console.error('Error checking for expired URLs:', error.message);
+    });
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  computeWebhookSignature,
+  createWebhooks,
+  startExpiryWatcher,
+  verifyWebhookSignature
+};
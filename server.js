@@ -1,127 +1,864 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const crypto = require('crypto');
+const config = require('./lib/config');
+const { createNonce, isCanonicalPath, isWithinScope, signParams, verifyParams, verifyUploadParams, parseSignedUrl } = require('./lib/signing');
+const { MEDIA_TYPES, getMediaType, getExtension, getContentType, sendMedia } = require('./lib/media');
+const {
+  MAX_MANIFEST_BYTES,
+  directoryOf,
+  isManifest,
+  isSegment,
+  isTemplate,
+  readManifest,
+  rewriteDashManifest,
+  rewriteHlsPlaylist,
+  splitTemplate
+} = require('./lib/manifest');
+const { createStorage } = require('./lib/storage');
+const { createPresigner, resolveDeliveryMode } = require('./lib/delivery');
+const { formatDuration, parseNotBefore, parseTimestamp, resolveExpiresIn } = require('./lib/expiry');
+const { AuthError, createAuthenticator, isAdmin, resolveUserId } = require('./lib/auth');
+const { createPolicy, isUnderPrefix } = require('./lib/policy');
+const { createUsageTracker } = require('./lib/usage');
+const { createRevocationList } = require('./lib/revocation');
+const { createExtensionList } = require('./lib/extension');
+const { createTokenStore, startSweeper } = require('./lib/tokenstore');
+const { createAuditLog, tokenId } = require('./lib/audit');
+const { applyRateLimit, createRateLimiter, rateLimit } = require('./lib/ratelimit');
+const { createAbuseDetector } = require('./lib/abuse');
+const { METRICS_CONTENT_TYPE, createMetrics, sumCounter } = require('./lib/metrics');
+const {
+  VERIFICATION_ERROR_CODES,
+  describeVerificationFailure,
+  failure,
+  requestContext,
+  sendError,
+  sendVerificationFailure
+} = require('./lib/errors');
+const { createApi } = require('./lib/openapi');
+const { buildApiSpec } = require('./lib/apispec');
+const { checkConstraints, parseConstraints } = require('./lib/constraints');
+const { TRANSFORMABLE_EXTENSIONS, describeTransform, hasTransform, parseTransform } = require('./lib/transform');
+const {
+  WATERMARKABLE_EXTENSIONS,
+  buildWatermarkText,
+  describeWatermark,
+  hasWatermark,
+  parseWatermark
+} = require('./lib/watermark');
+const { describeDisposition, formatContentDisposition, hasDisposition, parseDisposition } = require('./lib/disposition');
+const { createRenderer } = require('./lib/rendition');
+const { describeUpload, parseContentType, parseUploadOptions, spoolUpload, uploadContentTypes } = require('./lib/upload');
+const { WEBHOOK_EVENTS, createWebhooks, startExpiryWatcher } = require('./lib/webhooks');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+// Storage backend the media files are read from (STORAGE_DRIVER)
+const storage = createStorage(config.storage);
+
+// Native storage/CDN URL signer for the redirect and direct delivery modes (null if unavailable)
+const presign = createPresigner(config.delivery, storage);
+
+// Transformed images and watermarked files bound into signed URLs, cached on disk (IMAGE_CACHE_DIR)
+const renderer = createRenderer(config.images);
+
+// Client IPs come from X-Forwarded-For only behind trusted proxies (TRUST_PROXY)
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
+app.use(requestContext(config.errors));
 app.use(cors());
 app.use(express.json());
 
-// In-memory store for tracking generated URLs (for demonstration)
-const urlStore = new Map();
+// Callers of the signing endpoint authenticate with an API key or a bearer JWT
+const authenticator = createAuthenticator(config.auth);
+if (!authenticator.enabled) {
+  console.warn('⚠️  No API_KEYS, JWT_SECRET or JWT_JWKS_PATH configured - anyone can sign URLs for any user');
+}
+
+// Entitlement rules deciding which users may sign which paths (POLICY_PATH)
+const policy = createPolicy(config.policy);
 
-// Helper function to generate a secure token
-function generateToken() {
-  return crypto.randomBytes(32).toString('hex');
+// Server-side state of signed URLs, shared across instances (TOKEN_STORE_DRIVER).
+// Signed URLs are verified cryptographically; the store holds issuance records for
+// stats, revocations and use counters. Expired entries are swept in the background.
+const tokenStore = createTokenStore(config.tokenStore);
+startSweeper(tokenStore, config.tokenStore.sweepIntervalSeconds * 1000);
+
+// Audit trail of every issuance and access attempt (AUDIT_SINK)
+const audit = createAuditLog(config.audit);
+
+// Token bucket limits per user, client IP and file (RATE_LIMITS)
+const rateLimiter = createRateLimiter({ store: tokenStore, limits: config.rateLimits });
+
+// Flags users fetching one file from many IPs (ABUSE_MAX_IPS)
+const abuseDetector = createAbuseDetector({ ...config.abuse, store: tokenStore });
+
+// Use counters for links issued with maxUses
+const usageTracker = createUsageTracker({ ...config.usage, store: tokenStore });
+
+// Revoked URLs, users and path prefixes
+const revocations = createRevocationList({ ...config.revocation, store: tokenStore });
+
+// Expiry extensions granted by operators
+const extensions = createExtensionList({ store: tokenStore });
+
+// Signed event deliveries to other services (WEBHOOKS_PATH); expiry is checked with the sweep
+const webhooks = createWebhooks({ ...config.webhooks, store: tokenStore });
+if (webhooks.wants('url.expired')) {
+  startExpiryWatcher(webhooks, config.tokenStore.sweepIntervalSeconds * 1000);
 }
 
-// Helper function to calculate expiry timestamp (2 minutes from now)
-function getExpiryTimestamp() {
-  return Math.floor(Date.now() / 1000) + (2 * 60); // 2 minutes
+// Prometheus metrics served on /metrics; /api/stats summarizes the same counters
+const metrics = createMetrics();
+const urlsIssued = metrics.counter('powerofaum_urls_issued_total', 'Signed URLs issued', ['kind', 'media_type', 'delivery']);
+const mediaRequests = metrics.counter('powerofaum_media_requests_total', 'Requests to /media/* by response status, outcome and media type', ['status', 'outcome', 'media_type']);
+const bytesServed = metrics.counter('powerofaum_media_bytes_served_total', 'Media bytes streamed by /media/*', ['media_type']);
+const requestDuration = metrics.histogram('powerofaum_http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route', 'status']);
+metrics.gauge('powerofaum_active_urls', 'Issued signed URLs that have not expired yet', async () => (await tokenStore.list('token:')).length);
+metrics.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds', () => Math.floor(Date.now() / 1000 - process.uptime()));
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+
+// Request latency is labelled with the matched route pattern, never the raw path
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('close', () => {
+    requestDuration.observe(
+      { method: req.method, route: req.route ? req.route.path : 'unmatched', status: res.statusCode },
+      Number(process.hrtime.bigint() - start) / 1e9
+    );
+  });
+  next();
+});
+
+// Routes are registered through `api`, which builds the OpenAPI document served at
+// /openapi.json from them and validates their parameters against it
+const apiSpec = buildApiSpec(config);
+const api = createApi(app, apiSpec);
+
+// Helper function to calculate expiry timestamp (lifetime counted from notBefore when scheduled)
+function getExpiryTimestamp(expiresIn, notBefore) {
+  const validFrom = Math.max(Math.floor(Date.now() / 1000), notBefore || 0);
+  return validFrom + expiresIn;
 }
 
-// Helper function to validate file path
+// Helper function to validate a file path against the FilePath schema. Entitlements and
+// revocations match path prefixes, so dot and empty segments are refused as well.
 function isValidFilePath(filePath) {
-  // Basic validation: should start with / and contain valid characters
-  const pathRegex = /^\/[a-zA-Z0-9\/\-_.]+\.(mp4|mp3|wav|avi|mov|pdf|jpg|jpeg|png)$/i;
-  return pathRegex.test(filePath);
+  return api.matches({ $ref: '#/components/schemas/FilePath' }, filePath) && isCanonicalPath(filePath);
 }
 
-// Helper function to validate user ID
+// Helper function to split the (schema-validated) media type filter of a path-prefix token ("video,audio")
+function parseMediaTypes(mediaTypes) {
+  if (!mediaTypes) return undefined;
+  return [...new Set(mediaTypes.split(',').map(entry => entry.trim()))];
+}
+
+// Helper function to validate a user ID against the UserId schema
 function isValidUserId(userId) {
-  // Basic validation: alphanumeric with underscores, 3-50 characters
-  const userIdRegex = /^[a-zA-Z0-9_]{3,50}$/;
-  return userIdRegex.test(userId);
+  return api.matches({ $ref: '#/components/schemas/UserId' }, userId);
+}
+
+// Middleware to authenticate callers before they can sign URLs
+function requireCaller(req, res, next) {
+  try {
+    req.auth = authenticator.authenticate(req);
+    next();
+  } catch (error) {
+    if (!(error instanceof AuthError)) return next(error);
+    if (error.status === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+    sendError(res, error.code, error.message);
+  }
+}
+
+// Middleware to restrict operator endpoints to service API keys and admin tokens
+function requireAdmin(req, res, next) {
+  requireCaller(req, res, () => {
+    if (authenticator.enabled && !isAdmin(req.auth)) {
+      return sendError(res, 'ADMIN_REQUIRED', 'Admin access required: use a service API key or a token with the admin role');
+    }
+    next();
+  });
+}
+
+// Rate limits for the signing endpoints: per caller (or named) user and per client IP
+const limitSigning = rateLimit(rateLimiter, req => [
+  { limit: 'sign.user', key: (req.auth && req.auth.userId) || req.query.userId || (req.body && req.body.userId) },
+  { limit: 'sign.ip', key: req.ip }
+]);
+
+// Helper function to validate the optional maxUses parameter
+function parseMaxUses(maxUses) {
+  if (maxUses === undefined || maxUses === '') return { value: undefined };
+
+  const value = typeof maxUses === 'string' && /^\d+$/.test(maxUses) ? parseInt(maxUses, 10) : NaN;
+  if (!(value >= 1 && value <= config.usage.maxUsesLimit)) {
+    return { error: `Invalid maxUses. Must be a whole number between 1 and ${config.usage.maxUsesLimit}.` };
+  }
+  return { value };
+}
+
+// Helper function to honor an operator's extension of a URL past its signed expiry.
+// /media/* only looks up URLs whose signature verified and that have expired; pass
+// `includeValid` to report the extended expiry of URLs that are still valid as well.
+// URLs signed into a manifest follow the extension of the manifest URL (their `parent`).
+async function applyExtension(token, result, { includeValid = false } = {}) {
+  if (result.reason !== 'expired' && !(includeValid && result.valid)) return result;
+  const extension = (await extensions.check(token)) || (result.claims.parent && await extensions.check(result.claims.parent));
+  if (!extension) return result;
+  return { valid: true, claims: { ...result.claims, expires: extension.expires, extendedAt: extension.extendedAt } };
+}
+
+// Helper function to burn one use of a maxUses link for the current playback session.
+// Range requests from the same client (IP and user agent) share a session, so seeking does not count.
+// URLs signed into a manifest draw on the manifest URL's budget and continue its sessions.
+async function consumeUse(req, claims) {
+  if (!claims.maxUses) return { allowed: true };
+
+  const sessionKey = crypto
+    .createHash('sha256')
+    .update(`${req.ip}\n${req.get('user-agent') || ''}`)
+    .digest('hex');
+
+  return usageTracker.consume(claims.parent || req.query.token, {
+    maxUses: parseInt(claims.maxUses, 10),
+    expires: claims.expires,
+    sessionKey,
+    continuation: Boolean(req.headers.range || claims.parent)
+  });
+}
+
+// Helper function to parse the signing options shared by single and batch requests
+// (their formats are checked by the request schemas). Returns { options } or { error }.
+function parseSigningOptions({ delivery, expiresIn, notBefore, maxUses, allowedIps, userAgent, allowedReferrers, ...rest }) {
+  const release = parseNotBefore(notBefore, config.expiry);
+  if (release.error) return { error: release.error };
+
+  const uses = parseMaxUses(maxUses);
+  if (uses.error) return { error: uses.error };
+
+  // Optional client constraints (IP/CIDR, User-Agent, Referer/Origin)
+  const constraints = parseConstraints({ allowedIps, userAgent, allowedReferrers });
+  if (constraints.error) return { error: constraints.error };
+
+  // Image transformation (width, height, fit, format, quality)
+  const transform = parseTransform(rest, config.images);
+  if (transform.error) return { error: transform.error };
+
+  // Per-user watermark (watermark, watermarkEmail) and Content-Disposition (disposition, filename)
+  const watermark = parseWatermark(rest);
+  if (watermark.error) return { error: watermark.error };
+
+  const disposition = parseDisposition(rest);
+  if (disposition.error) return { error: disposition.error };
+
+  return {
+    options: {
+      delivery,
+      expiresIn,
+      notBefore: release.timestamp,
+      maxUses: uses.value,
+      constraints: constraints.claims,
+      transform: transform.claims,
+      watermark: watermark.claims,
+      disposition: disposition.claims
+    }
+  };
+}
+
+// Helper function to record an issued URL for stats until it expires
+async function recordIssuance(token, record) {
+  await tokenStore.set(`token:${token}`, { ...record, createdAt: Date.now() }, record.expires);
+  const isPrefix = record.filePath.endsWith('/');
+  urlsIssued.inc({
+    kind: isPrefix ? 'prefix' : 'file',
+    media_type: isPrefix ? '' : getMediaType(getExtension(record.filePath)),
+    delivery: record.delivery
+  });
+}
+
+// Helper function to build the signed claims shared by file and prefix URLs
+function buildClaims(userId, expires, rule, deliveryMode, options) {
+  const claims = {
+    userId,
+    expires: String(expires),
+    iat: String(Math.floor(Date.now() / 1000)),
+    jti: createNonce(),
+    ...options.constraints,
+    ...options.transform,
+    ...options.watermark,
+    ...options.disposition
+  };
+  if (options.notBefore) {
+    claims.nbf = String(options.notBefore);
+  }
+  if (rule) {
+    claims.rule = rule;
+  }
+  if (options.maxUses) {
+    claims.maxUses = String(options.maxUses);
+  }
+  if (deliveryMode === 'redirect') {
+    claims.delivery = 'redirect';
+  }
+  return claims;
+}
+
+// Sign one file for a user after the format, entitlement and existence checks.
+// `options` come from parseSigningOptions; batches also pass a shared `expires`/`lifetimeSeconds`.
+// Returns { signedUrl, metadata } or a failure ({ code, status, error, reason }).
+async function signMediaFile(filePath, userId, authClaims, options) {
+  // Validate file path format
+  if (!isValidFilePath(filePath)) {
+    return failure('INVALID_PATH', 'Invalid filePath format. Must be a valid path to a media file.');
+  }
+
+  const mediaType = getMediaType(getExtension(filePath));
+
+  // Check the user is entitled to this path and media type
+  const entitlement = policy.evaluate({ userId, claims: authClaims }, filePath, mediaType);
+  if (!entitlement.allowed) {
+    return failure('ACCESS_DENIED', 'Access denied', { reason: entitlement.reason });
+  }
+
+  // Fall back to the default delivery mode for this media type
+  const deliveryMode = resolveDeliveryMode(options.delivery, mediaType, config.delivery);
+  if (deliveryMode !== 'proxy' && !presign) {
+    return failure('DELIVERY_NOT_SUPPORTED', `Delivery mode "${deliveryMode}" is not available: no presigned URL provider is configured.`);
+  }
+
+  // Resolve the lifetime unless the batch already fixed it
+  const lifetime = options.lifetimeSeconds
+    ? { seconds: options.lifetimeSeconds }
+    : resolveExpiresIn(options.expiresIn, mediaType, config.expiry);
+  if (lifetime.error) {
+    return failure('INVALID_PARAM', lifetime.error);
+  }
+
+  // Transformations, watermarks and dispositions are applied by /media/*, so they are always proxied
+  const fileExtension = getExtension(filePath);
+  if (hasTransform(options.transform) && !TRANSFORMABLE_EXTENSIONS.includes(fileExtension)) {
+    return failure('INVALID_PARAM', `Image transformations apply to ${TRANSFORMABLE_EXTENSIONS.join(', ')} files only.`);
+  }
+  if (hasWatermark(options.watermark) && !WATERMARKABLE_EXTENSIONS.includes(fileExtension)) {
+    return failure('INVALID_PARAM', `Watermarks apply to ${WATERMARKABLE_EXTENSIONS.join(', ')} files only.`);
+  }
+  if (hasDisposition(options.disposition) && isManifest(filePath)) {
+    return failure('INVALID_PARAM', 'Streaming manifests are played, not downloaded: disposition and filename are not supported for them.');
+  }
+  const rendered = hasTransform(options.transform) || hasWatermark(options.watermark);
+  if ((rendered || hasDisposition(options.disposition)) && deliveryMode !== 'proxy') {
+    return failure('DELIVERY_NOT_SUPPORTED', `Transformations, watermarks and dispositions are applied by this server and cannot use ${deliveryMode} delivery. Use proxy delivery instead.`);
+  }
+  if (rendered && !renderer.canRender(fileExtension, options.transform)) {
+    return failure('NOT_IMPLEMENTED', 'Rendering images needs the optional sharp package on the server.');
+  }
+
+  // Release times, use counting and client constraints are enforced by /media/*,
+  // which direct delivery bypasses
+  if (deliveryMode === 'direct') {
+    if (isManifest(filePath)) {
+      return failure('DELIVERY_NOT_SUPPORTED', 'Streaming manifests cannot use direct delivery: their segment URIs are signed by /media/*. Use proxy or redirect delivery instead.');
+    }
+    if (options.notBefore) {
+      return failure('DELIVERY_NOT_SUPPORTED', 'notBefore is not supported with direct delivery. Use proxy or redirect delivery instead.');
+    }
+    if (options.maxUses) {
+      return failure('DELIVERY_NOT_SUPPORTED', 'maxUses is not supported with direct delivery. Use proxy or redirect delivery instead.');
+    }
+    if (Object.keys(options.constraints).length > 0) {
+      return failure('DELIVERY_NOT_SUPPORTED', 'Client constraints are not supported with direct delivery. Use proxy or redirect delivery instead.');
+    }
+  }
+
+  // Only sign URLs for files that actually exist in storage
+  if (!(await storage.stat(filePath))) {
+    return failure('FILE_NOT_FOUND', 'File not found: no media exists at the given filePath');
+  }
+
+  // Sign the path, user and expiry with the active key
+  const expires = options.expires || getExpiryTimestamp(lifetime.seconds, options.notBefore);
+  const params = signParams(filePath, buildClaims(userId, expires, entitlement.rule, deliveryMode, options));
+  const token = params.token;
+
+  // Create signed URL (using our own domain for demonstration), or hand out
+  // the presigned storage/CDN URL directly so the bytes bypass this server
+  let signedUrl;
+  try {
+    signedUrl = deliveryMode === 'direct'
+      ? presign(filePath, { userId, expires })
+      : `https://candidate-001-powerofaum-module-sig-five.vercel.app/media${filePath}?${new URLSearchParams(params)}`;
+  } catch (error) {
+    if (!(error instanceof RangeError)) throw error;
+    return failure('INVALID_PARAM', `Invalid expiresIn for direct delivery: ${error.message}`);
+  }
+
+  // Record the issuance for stats
+  await recordIssuance(token, {
+    filePath,
+    userId,
+    expires,
+    issuedAt: parseInt(params.iat, 10),
+    keyId: params.kid,
+    delivery: deliveryMode
+  });
+
+  return {
+    signedUrl,
+    token,
+    metadata: {
+      filePath: filePath,
+      userId: userId,
+      expiresAt: expires,
+      expiresIn: formatDuration(lifetime.seconds),
+      expiresInSeconds: lifetime.seconds,
+      notBefore: options.notBefore,
+      keyId: params.kid,
+      delivery: deliveryMode,
+      grantedBy: entitlement.rule,
+      maxUses: options.maxUses,
+      constraints: describeConstraints(options.constraints),
+      transform: describeTransform(options.transform),
+      watermark: describeWatermark(options.watermark),
+      disposition: describeDisposition(options.disposition),
+      generatedAt: new Date().toISOString()
+    }
+  };
+}
+
+// Sign a path-prefix token unlocking every file under a directory (optionally only
+// files of `mediaTypes`) for a user. Returns { signedUrl, metadata } or a failure ({ code, status, error, reason }).
+async function signMediaPrefix(prefix, userId, authClaims, options, mediaTypes) {
+  const coveredTypes = mediaTypes || Object.keys(MEDIA_TYPES);
+
+  if (hasTransform(options.transform)) {
+    return failure('INVALID_PARAM', 'Image transformations apply to single image files, not path-prefix tokens.');
+  }
+  if (options.disposition.fn) {
+    return failure('INVALID_PARAM', 'A filename applies to a single file, not path-prefix tokens. Files under the prefix keep their own names.');
+  }
+
+  // The user must be entitled to every media type the token unlocks anywhere under the prefix
+  const rules = new Set();
+  for (const mediaType of coveredTypes) {
+    const entitlement = policy.evaluate({ userId, claims: authClaims }, prefix, mediaType, { prefix: true });
+    if (!entitlement.allowed) {
+      return failure('ACCESS_DENIED', 'Access denied', { reason: entitlement.reason });
+    }
+    if (entitlement.rule) rules.add(entitlement.rule);
+  }
+
+  // Presigned URLs name one object, so prefix tokens are always checked by /media/*
+  const deliveryMode = resolveDeliveryMode(options.delivery, coveredTypes.length === 1 ? coveredTypes[0] : undefined, config.delivery);
+  if (deliveryMode === 'direct') {
+    return failure('DELIVERY_NOT_SUPPORTED', 'Prefix tokens cannot use direct delivery. Use proxy or redirect delivery instead.');
+  }
+  if (deliveryMode === 'redirect' && !presign) {
+    return failure('DELIVERY_NOT_SUPPORTED', 'Delivery mode "redirect" is not available: no presigned URL provider is configured.');
+  }
+  if (deliveryMode === 'redirect' && (hasWatermark(options.watermark) || hasDisposition(options.disposition))) {
+    return failure('DELIVERY_NOT_SUPPORTED', 'Watermarks and dispositions are applied by this server and cannot use redirect delivery. Use proxy delivery instead.');
+  }
+
+  // The requested lifetime, or the longest default among the covered media types
+  const lifetime = options.expiresIn !== undefined
+    ? resolveExpiresIn(options.expiresIn, coveredTypes[0], config.expiry)
+    : { seconds: Math.max(...coveredTypes.map(mediaType => resolveExpiresIn(undefined, mediaType, config.expiry).seconds)) };
+  if (lifetime.error) {
+    return failure('INVALID_PARAM', lifetime.error);
+  }
+
+  if ((await storage.list(prefix)).length === 0) {
+    return failure('FILE_NOT_FOUND', `No media files found under prefix ${prefix}`);
+  }
+
+  const expires = getExpiryTimestamp(lifetime.seconds, options.notBefore);
+  const grantedBy = rules.size > 0 ? [...rules].join(',') : undefined;
+  const claims = { ...buildClaims(userId, expires, grantedBy, deliveryMode, options), scope: prefix };
+  if (mediaTypes) {
+    claims.types = mediaTypes.join(',');
+  }
+  const params = signParams(prefix, claims);
+
+  // Record the issuance for stats
+  await recordIssuance(params.token, {
+    filePath: prefix,
+    userId,
+    expires,
+    issuedAt: parseInt(params.iat, 10),
+    keyId: params.kid,
+    delivery: deliveryMode
+  });
+
+  // The URL points at the prefix itself; clients swap in the path of each file under it
+  return {
+    signedUrl: `https://candidate-001-powerofaum-module-sig-five.vercel.app/media${prefix}?${new URLSearchParams(params)}`,
+    token: params.token,
+    metadata: {
+      prefix: prefix,
+      mediaTypes: mediaTypes,
+      userId: userId,
+      expiresAt: expires,
+      expiresIn: formatDuration(lifetime.seconds),
+      expiresInSeconds: lifetime.seconds,
+      notBefore: options.notBefore,
+      keyId: params.kid,
+      delivery: deliveryMode,
+      grantedBy: grantedBy,
+      maxUses: options.maxUses,
+      constraints: describeConstraints(options.constraints),
+      watermark: describeWatermark(options.watermark),
+      disposition: describeDisposition(options.disposition),
+      generatedAt: new Date().toISOString()
+    }
+  };
+}
+
+// Sign an upload URL for `target` (a file path, or a prefix the uploader names files
+// under, optionally only of `mediaTypes`). `upload` holds the claims from parseUploadOptions.
+// Returns { signedUrl, metadata } or a failure ({ code, status, error }).
+async function signUpload(target, userId, upload, { mediaTypes, expiresIn }) {
+  const isPrefix = target.endsWith('/');
+  const coveredTypes = isPrefix ? mediaTypes || Object.keys(MEDIA_TYPES) : [getMediaType(getExtension(target))];
+  if (!isPrefix && mediaTypes) {
+    return failure('INVALID_PARAM', 'mediaTypes limits uploads under a prefix; a filePath has the media type of its extension.');
+  }
+
+  // Uploads are refused up front when they could not be stored anyway
+  if (!storage.write) {
+    return failure('NOT_IMPLEMENTED', `The ${storage.driver} storage driver does not support uploads.`);
+  }
+  if (!isPrefix && !upload.overwrite && (await storage.stat(target))) {
+    return failure('FILE_EXISTS', 'A file already exists at the given filePath. Sign with overwrite=true to replace it.');
+  }
+
+  const lifetimeSeconds = expiresIn !== undefined ? parseInt(expiresIn, 10) : config.uploads.expiresIn;
+  const expires = getExpiryTimestamp(lifetimeSeconds);
+  const claims = { ...buildClaims(userId, expires, undefined, 'proxy', {}), ...upload };
+  if (isPrefix) {
+    claims.scope = target;
+    if (mediaTypes) claims.types = mediaTypes.join(',');
+  }
+  const params = signParams(target, claims);
+
+  // Record the issuance for stats and the admin dashboard
+  await recordIssuance(params.token, {
+    filePath: target,
+    userId,
+    expires,
+    issuedAt: parseInt(params.iat, 10),
+    keyId: params.kid,
+    delivery: 'upload'
+  });
+
+  const metadata = {
+    filePath: isPrefix ? undefined : target,
+    prefix: isPrefix ? target : undefined,
+    mediaTypes: coveredTypes,
+    contentTypes: isPrefix ? uploadContentTypes(coveredTypes) : [getContentType(getExtension(target))],
+    userId: userId,
+    ...describeUpload(claims),
+    expiresAt: expires,
+    expiresIn: formatDuration(lifetimeSeconds),
+    expiresInSeconds: lifetimeSeconds,
+    keyId: params.kid,
+    delivery: 'upload',
+    generatedAt: new Date().toISOString()
+  };
+
+  // A prefix URL points at the prefix itself; clients append the name of the file they send
+  return {
+    signedUrl: `https://candidate-001-powerofaum-module-sig-five.vercel.app/upload${target}?${new URLSearchParams(params)}`,
+    token: params.token,
+    metadata
+  };
+}
+
+// Helper function to audit the outcome of signing one file or prefix for a user,
+// and tell webhook subscribers about issued URLs
+function auditIssuance(req, userId, filePath, result) {
+  audit.record({
+    event: 'issue',
+    outcome: result.error ? 'refused' : 'issued',
+    status: result.error ? result.status : 200,
+    userId,
+    filePath,
+    tokenId: result.token ? tokenId(result.token) : undefined,
+    expiresAt: result.metadata ? result.metadata.expiresAt : undefined,
+    delivery: result.metadata ? result.metadata.delivery : undefined,
+    reason: result.error ? result.reason || result.error : undefined,
+    issuer: req.auth ? req.auth.type : undefined,
+    ip: req.ip,
+    requestId: req.id
+  });
+
+  if (result.error) return;
+  const issued = { tokenId: tokenId(result.token), userId, filePath, expiresAt: result.metadata.expiresAt };
+  webhooks.emit('url.issued', {
+    ...issued,
+    delivery: result.metadata.delivery,
+    grantedBy: result.metadata.grantedBy,
+    maxUses: result.metadata.maxUses,
+    issuer: req.auth ? req.auth.type : undefined,
+    requestId: req.id
+  });
+  webhooks.trackExpiry(issued.tokenId, issued, issued.expiresAt).catch((error) => {
+    console.error('Error tracking URL expiry:', error.message);
+  });
+}
+
+// Helper function to run an async function over items with limited concurrency, keeping order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
 // Main API endpoint: Generate Signed URL
-app.get('/api/generate-signed-url', (req, res) => {
+api.get('/api/generate-signed-url', requireCaller, limitSigning, async (req, res) => {
   try {
-    const { filePath, userId } = req.query;
+    const { filePath, prefix } = req.query;
+
+    // Authenticated users sign for themselves; only service keys may name another user
+    let userId;
+    try {
+      userId = resolveUserId(req.auth, req.query.userId);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      return sendError(res, error.code, error.message);
+    }
 
     // Validate required parameters
-    if (!filePath) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter: filePath'
-      });
+    if (!filePath && !prefix) {
+      return sendError(res, 'MISSING_PARAM', 'Missing required parameter: filePath (or prefix for a path-prefix token)');
     }
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameter: userId'
-      });
+    if (filePath && prefix) {
+      return sendError(res, 'INVALID_PARAM', 'Provide either filePath or prefix, not both');
     }
 
-    // Validate file path format
-    if (!isValidFilePath(filePath)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid filePath format. Must be a valid path to a media file.'
-      });
+    if (!userId) {
+      return sendError(res, 'MISSING_PARAM', 'Missing required parameter: userId');
     }
 
-    // Validate user ID format
+    // Query userIds are checked by the schema; this covers the one taken from the credentials
     if (!isValidUserId(userId)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid userId format. Must be alphanumeric with underscores, 3-50 characters.'
-      });
+      return sendError(res, 'INVALID_USER_ID', 'Invalid userId format. Must be alphanumeric with underscores, 3-50 characters.');
     }
 
-    // Generate token and expiry
-    const token = generateToken();
-    const expires = getExpiryTimestamp();
-    
-    // Extract filename from path
-    const filename = filePath.split('/').pop();
-    
-    // Create signed URL (using our own domain for demonstration)
-    const signedUrl = `https://candidate-001-powerofaum-module-sig-five.vercel.app/media${filePath}?token=${token}&expires=${expires}&userId=${userId}`;
-    
-    // Store in memory for potential validation (optional)
-    urlStore.set(token, {
-      filePath,
-      userId,
-      expires,
-      createdAt: Date.now()
-    });
+    const parsed = parseSigningOptions(req.query);
+    if (parsed.error) {
+      return sendError(res, 'INVALID_PARAM', parsed.error);
+    }
 
-    // Clean up expired tokens (basic cleanup)
-    const currentTime = Math.floor(Date.now() / 1000);
-    for (const [key, value] of urlStore.entries()) {
-      if (value.expires < currentTime) {
-        urlStore.delete(key);
-      }
+    // A prefix signs one token for every file under a directory, optionally of some media types only
+    let result;
+    if (prefix) {
+      const mediaTypes = parseMediaTypes(req.query.mediaTypes);
+      result = await signMediaPrefix(prefix, userId, req.auth ? req.auth.claims : {}, parsed.options, mediaTypes);
+    } else {
+      result = await signMediaFile(filePath, userId, req.auth ? req.auth.claims : {}, parsed.options);
+    }
+    auditIssuance(req, userId, prefix || filePath, result);
+
+    if (result.error) {
+      return sendError(res, result.code, result.error, { reason: result.reason });
     }
 
     // Return successful response
     res.json({
       success: true,
-      signedUrl: signedUrl,
-      metadata: {
-        filePath: filePath,
-        userId: userId,
-        expiresAt: expires,
-        expiresIn: '2 minutes',
-        generatedAt: new Date().toISOString()
-      }
+      signedUrl: result.signedUrl,
+      metadata: result.metadata
     });
 
   } catch (error) {
     console.error('Error generating signed URL:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error while generating signed URL'
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while generating signed URL');
+  }
+});
+
+// Batch endpoint: sign a list of files (or every file under a prefix) for one user.
+// All URLs share one expiry; failures are reported per item.
+api.post('/api/generate-signed-urls', requireCaller, limitSigning, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { filePaths, prefix } = body;
+
+    let userId;
+    try {
+      userId = resolveUserId(req.auth, body.userId);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      return sendError(res, error.code, error.message);
+    }
+
+    if (!userId) {
+      return sendError(res, 'MISSING_PARAM', 'Missing required parameter: userId');
+    }
+
+    if (!isValidUserId(userId)) {
+      return sendError(res, 'INVALID_USER_ID', 'Invalid userId format. Must be alphanumeric with underscores, 3-50 characters.');
+    }
+
+    // Their formats are checked by the request schema; null counts as absent
+    const hasFilePaths = filePaths !== undefined && filePaths !== null;
+    if (hasFilePaths === (prefix !== undefined && prefix !== null)) {
+      return sendError(res, 'INVALID_PARAM', 'Provide exactly one of filePaths (a list of paths) or prefix (a directory such as /courses/yoga-101/)');
+    }
+
+    // Query-style options may arrive as JSON numbers
+    const optionFields = [
+      'delivery', 'expiresIn', 'notBefore', 'maxUses', 'allowedIps', 'userAgent', 'allowedReferrers',
+      'width', 'height', 'fit', 'format', 'quality', 'watermark', 'watermarkEmail', 'disposition', 'filename'
+    ];
+    const rawOptions = {};
+    for (const field of optionFields) {
+      if (body[field] !== undefined && body[field] !== null) {
+        rawOptions[field] = typeof body[field] === 'number' ? String(body[field]) : body[field];
+      }
+    }
+
+    const parsed = parseSigningOptions(rawOptions);
+    if (parsed.error) {
+      return sendError(res, 'INVALID_PARAM', parsed.error);
+    }
+
+    // A prefix expands to the signable media files stored under it; streaming
+    // segments are left out since their manifests sign them on playback
+    const paths = hasFilePaths
+      ? [...new Set(filePaths)]
+      : (await storage.list(prefix))
+        .map(object => object.filePath)
+        .filter(filePath => isValidFilePath(filePath) && !isSegment(filePath));
+
+    if (paths.length === 0) {
+      return sendError(res, 'FILE_NOT_FOUND', `No media files found under prefix ${prefix}`);
+    }
+
+    if (paths.length > config.batch.maxItems) {
+      return sendError(res, 'BATCH_TOO_LARGE', `Too many files: a batch may sign at most ${config.batch.maxItems} URLs, got ${paths.length}.`);
+    }
+
+    // One lifetime for the whole batch: the requested one, or the longest media type default
+    const mediaTypes = paths.map(item => getMediaType(getExtension(item)));
+    const lifetime = parsed.options.expiresIn !== undefined
+      ? resolveExpiresIn(parsed.options.expiresIn, mediaTypes[0], config.expiry)
+      : { seconds: Math.max(...mediaTypes.map(mediaType => resolveExpiresIn(undefined, mediaType, config.expiry).seconds)) };
+    if (lifetime.error) {
+      return sendError(res, 'INVALID_PARAM', lifetime.error);
+    }
+
+    const options = {
+      ...parsed.options,
+      lifetimeSeconds: lifetime.seconds,
+      expires: getExpiryTimestamp(lifetime.seconds, parsed.options.notBefore)
+    };
+    const authClaims = req.auth ? req.auth.claims : {};
+
+    const results = await mapWithConcurrency(paths, 10, async (filePath) => {
+      const result = await signMediaFile(filePath, userId, authClaims, options);
+      auditIssuance(req, userId, filePath, result);
+      return result.error
+        ? { filePath, success: false, status: result.status, code: result.code, error: result.error, reason: result.reason }
+        : { filePath, success: true, signedUrl: result.signedUrl, metadata: result.metadata };
+    });
+
+    const signed = results.filter(item => item.success).length;
+    res.json({
+      success: true,
+      userId: userId,
+      expiresAt: options.expires,
+      expiresIn: formatDuration(lifetime.seconds),
+      summary: {
+        requested: paths.length,
+        signed: signed,
+        failed: paths.length - signed
+      },
+      results: results
     });
+
+  } catch (error) {
+    console.error('Error generating signed URLs:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while generating signed URLs');
+  }
+});
+
+// Upload endpoint: sign a URL a client can send one file (or files under a prefix) to.
+// Only services and admins may choose where users store files.
+api.get('/api/generate-signed-upload-url', requireAdmin, limitSigning, async (req, res) => {
+  try {
+    const { filePath, prefix } = req.query;
+
+    let userId;
+    try {
+      userId = resolveUserId(req.auth, req.query.userId);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      return sendError(res, error.code, error.message);
+    }
+
+    if (!filePath && !prefix) {
+      return sendError(res, 'MISSING_PARAM', 'Missing required parameter: filePath (or prefix to let the uploader name the file)');
+    }
+
+    if (filePath && prefix) {
+      return sendError(res, 'INVALID_PARAM', 'Provide either filePath or prefix, not both');
+    }
+
+    if (!userId) {
+      return sendError(res, 'MISSING_PARAM', 'Missing required parameter: userId');
+    }
+
+    if (!isValidUserId(userId)) {
+      return sendError(res, 'INVALID_USER_ID', 'Invalid userId format. Must be alphanumeric with underscores, 3-50 characters.');
+    }
+
+    const upload = parseUploadOptions(req.query, config.uploads);
+    if (upload.error) {
+      return sendError(res, 'INVALID_PARAM', upload.error);
+    }
+
+    const result = await signUpload(prefix || filePath, userId, upload.claims, {
+      mediaTypes: parseMediaTypes(req.query.mediaTypes),
+      expiresIn: req.query.expiresIn
+    });
+    auditIssuance(req, userId, prefix || filePath, result);
+
+    if (result.error) {
+      return sendError(res, result.code, result.error);
+    }
+
+    res.json({
+      success: true,
+      uploadUrl: result.signedUrl,
+      method: result.metadata.method,
+      metadata: result.metadata
+    });
+
+  } catch (error) {
+    console.error('Error generating signed upload URL:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while generating signed upload URL');
   }
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+api.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     service: 'PowerOfAum Signed URL Generator',
@@ -131,66 +868,429 @@ app.get('/health', (req, res) => {
 });
 
 // Validate token endpoint (optional utility)
-app.get('/api/validate-token', (req, res) => {
-  const { token } = req.query;
+// Accepts either the full signed URL (?url=) or its parts (?token=&filePath=&userId=&expires=&kid=)
+api.get('/api/validate-token', async (req, res) => {
+  const { url, filePath, ...query } = req.query;
   
-  if (!token) {
-    return res.status(400).json({
-      success: false,
-      error: 'Missing token parameter'
-    });
+  if (!url && !query.token) {
+    return sendError(res, 'MISSING_PARAM', 'Missing token parameter');
+  }
+
+  const signed = url ? parseSignedUrl(url) : { filePath, query };
+  if (!signed || !signed.filePath) {
+    return sendError(res, 'INVALID_PARAM', 'Missing or invalid signed URL: a /media/ path is required');
   }
 
-  const tokenData = urlStore.get(token);
   const currentTime = Math.floor(Date.now() / 1000);
 
-  if (!tokenData) {
-    return res.json({
-      valid: false,
-      reason: 'Token not found'
+  try {
+    const result = await applyExtension(signed.query.token, verifyParams(signed.filePath, signed.query), { includeValid: true });
+    if (!result.valid) {
+      return res.json({
+        valid: false,
+        code: VERIFICATION_ERROR_CODES[result.reason],
+        reason: describeVerificationFailure(result.reason)
+      });
+    }
+
+    const revocation = await revocations.check(signed.query.token, result.claims);
+    if (revocation) {
+      return res.json({
+        valid: false,
+        code: VERIFICATION_ERROR_CODES.revoked,
+        reason: describeVerificationFailure('revoked'),
+        revocation
+      });
+    }
+
+    const tokenData = result.claims;
+    res.json({
+      valid: true,
+      tokenData: {
+        filePath: tokenData.filePath,
+        prefix: tokenData.scope,
+        mediaTypes: tokenData.types ? tokenData.types.split(',') : undefined,
+        userId: tokenData.userId,
+        expiresAt: tokenData.expires,
+        remainingTime: tokenData.expires - currentTime,
+        notBefore: tokenData.notBefore,
+        extendedAt: tokenData.extendedAt,
+        keyId: tokenData.keyId,
+        grantedBy: tokenData.rule || null,
+        constraints: describeConstraints(tokenData),
+        transform: describeTransform(tokenData),
+        watermark: describeWatermark(tokenData),
+        disposition: describeDisposition(tokenData),
+        usesRemaining: tokenData.maxUses
+          ? await usageTracker.remaining(signed.query.token, parseInt(tokenData.maxUses, 10))
+          : null
+      }
     });
+
+  } catch (error) {
+    console.error('Error validating token:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while validating token');
   }
+});
 
-  if (tokenData.expires < currentTime) {
-    urlStore.delete(token);
-    return res.json({
-      valid: false,
-      reason: 'Token expired'
+// Revoke a single signed URL by its token (the signature)
+api.delete('/api/tokens/:token', requireAdmin, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    // Known tokens only need to stay on the list until they expire
+    const issued = await tokenStore.get(`token:${token}`);
+    const revocation = await revocations.revokeToken(token, issued ? issued.expires : undefined);
+    notifyRevocation(req, revocation);
+
+    res.json({
+      success: true,
+      revocation
     });
+
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while revoking token');
+  }
+});
+
+// Bulk revoke every URL issued so far to a user (?userId=) or under a path prefix (?pathPrefix=)
+api.delete('/api/tokens', requireAdmin, async (req, res) => {
+  const { userId, pathPrefix } = req.query;
+
+  if (!userId === !pathPrefix) {
+    return sendError(res, 'INVALID_PARAM', 'Provide exactly one of the userId or pathPrefix parameters');
   }
 
-  res.json({
-    valid: true,
-    tokenData: {
-      filePath: tokenData.filePath,
-      userId: tokenData.userId,
-      expiresAt: tokenData.expires,
-      remainingTime: tokenData.expires - currentTime
+  try {
+    const revocation = userId
+      ? await revocations.revokeUser(userId)
+      : await revocations.revokePathPrefix(pathPrefix);
+    notifyRevocation(req, revocation);
+
+    res.json({
+      success: true,
+      revocation
+    });
+
+  } catch (error) {
+    console.error('Error revoking tokens:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while revoking tokens');
+  }
+});
+
+// Active (unexpired) issued URLs for the admin dashboard, soonest expiry first
+// (?userId=&pathPrefix=&limit=), with their remaining time and any revocation
+api.get('/api/tokens', requireAdmin, async (req, res) => {
+  const { userId, pathPrefix } = req.query;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+
+  try {
+    const currentTime = Math.floor(Date.now() / 1000);
+    const records = (await tokenStore.list('token:'))
+      .map(({ key, value }) => ({ ...value, token: key.slice('token:'.length) }))
+      .filter(record => (!userId || record.userId === userId) && (!pathPrefix || isUnderPrefix(record.filePath, pathPrefix)))
+      .sort((a, b) => a.expires - b.expires);
+
+    const tokens = await Promise.all(records.slice(0, limit).map(async (record) => {
+      const issuedAt = record.issuedAt || Math.floor(record.createdAt / 1000);
+      const revocation = await revocations.check(record.token, { filePath: record.filePath, userId: record.userId, issuedAt });
+      return {
+        token: record.token,
+        tokenId: tokenId(record.token),
+        filePath: record.filePath,
+        userId: record.userId,
+        delivery: record.delivery,
+        keyId: record.keyId,
+        issuedAt,
+        expiresAt: record.expires,
+        remainingSeconds: record.expires - currentTime,
+        extendedAt: record.extendedAt,
+        revocation
+      };
+    }));
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      total: records.length,
+      tokens
+    });
+
+  } catch (error) {
+    console.error('Error listing tokens:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while listing tokens');
+  }
+});
+
+// Keep an active signed URL working for `expiresIn` more seconds from now
+api.post('/api/tokens/:token/extend', requireAdmin, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const record = await tokenStore.get(`token:${token}`);
+    if (!record) {
+      return sendError(res, 'NOT_FOUND', 'No active signed URL with this token: it was not issued here or has already expired');
     }
-  });
+    if (record.delivery === 'direct') {
+      return sendError(res, 'DELIVERY_NOT_SUPPORTED', 'Direct delivery URLs are checked by the storage provider and cannot be extended');
+    }
+
+    // Revocation entries only outlive the URL's current expiry, so revoked URLs stay revoked
+    const issuedAt = record.issuedAt || Math.floor(record.createdAt / 1000);
+    const revocation = await revocations.check(token, { filePath: record.filePath, userId: record.userId, issuedAt });
+    if (revocation) {
+      return sendError(res, 'TOKEN_ALREADY_REVOKED', 'Revoked signed URLs cannot be extended', { revocation });
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + req.body.expiresIn;
+    if (expires <= record.expires) {
+      return sendError(res, 'INVALID_PARAM', `Invalid expiresIn. The URL already stays valid until ${new Date(record.expires * 1000).toISOString()}; revoke it to end it early.`);
+    }
+
+    const extension = await extensions.extend(token, record, expires);
+    const extended = { tokenId: tokenId(token), userId: record.userId, filePath: record.filePath, expiresAt: expires };
+    webhooks.emit('url.extended', { ...extended, previousExpiresAt: extension.previousExpires, requestId: req.id });
+    await webhooks.trackExpiry(extended.tokenId, extended, expires);
+
+    res.json({
+      success: true,
+      extension: {
+        tokenId: extended.tokenId,
+        expiresAt: expires,
+        previousExpiresAt: extension.previousExpires,
+        expiresIn: formatDuration(req.body.expiresIn),
+        extendedAt: extension.extendedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error extending token:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while extending token');
+  }
 });
 
-// Stats endpoint (optional)
-app.get('/api/stats', (req, res) => {
-  const currentTime = Math.floor(Date.now() / 1000);
-  let activeTokens = 0;
-  
-  for (const [key, value] of urlStore.entries()) {
-    if (value.expires >= currentTime) {
-      activeTokens++;
+// Users flagged for fetching the same file from many IPs
+api.get('/api/flags', requireAdmin, async (req, res) => {
+  try {
+    const flags = await abuseDetector.list();
+    res.json({
+      success: true,
+      count: flags.length,
+      flags
+    });
+
+  } catch (error) {
+    console.error('Error listing abuse flags:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while listing abuse flags');
+  }
+});
+
+// Clear a user's abuse flag after review
+api.delete('/api/flags/:userId', requireAdmin, async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    if (!(await abuseDetector.clear(userId))) {
+      return sendError(res, 'NOT_FOUND', `User ${userId} is not flagged`);
     }
+    res.json({
+      success: true,
+      userId
+    });
+
+  } catch (error) {
+    console.error('Error clearing abuse flag:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while clearing abuse flag');
   }
+});
 
+// Webhook subscriptions (without their secrets) and the events they can receive
+api.get('/api/webhooks', requireAdmin, (req, res) => {
   res.json({
-    totalTokensGenerated: urlStore.size,
-    activeTokens: activeTokens,
-    serverUptime: process.uptime(),
-    timestamp: new Date().toISOString()
+    success: true,
+    events: WEBHOOK_EVENTS,
+    subscriptions: webhooks.subscriptions
   });
 });
 
+// Deliveries that failed every attempt
+api.get('/api/webhooks/dead-letters', requireAdmin, async (req, res) => {
+  try {
+    const deadLetters = await webhooks.listDeadLetters();
+    res.json({
+      success: true,
+      count: deadLetters.length,
+      deadLetters
+    });
+
+  } catch (error) {
+    console.error('Error listing webhook dead letters:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while listing webhook dead letters');
+  }
+});
+
+// Deliver a dead letter again, with a fresh set of attempts
+api.post('/api/webhooks/dead-letters/:id/retry', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deadLetter = await webhooks.retryDeadLetter(id);
+    if (!deadLetter) {
+      return sendError(res, 'NOT_FOUND', `Dead letter ${id} does not exist or its webhook is no longer configured`);
+    }
+    res.status(202).json({
+      success: true,
+      id,
+      subscription: deadLetter.subscription,
+      event: deadLetter.event.type
+    });
+
+  } catch (error) {
+    console.error('Error retrying webhook dead letter:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while retrying webhook dead letter');
+  }
+});
+
+// Discard a dead letter
+api.delete('/api/webhooks/dead-letters/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await webhooks.deleteDeadLetter(id))) {
+      return sendError(res, 'NOT_FOUND', `Dead letter ${id} does not exist`);
+    }
+    res.json({
+      success: true,
+      id
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook dead letter:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while deleting webhook dead letter');
+  }
+});
+
+// Access history for support and compliance (?userId=&filePath=&from=&to=&limit=).
+// Admins may query every user; other callers only see their own history.
+api.get('/api/audit', requireCaller, async (req, res) => {
+  const { filePath } = req.query;
+
+  if (!audit.queryable) {
+    return sendError(res, 'NOT_IMPLEMENTED', `The "${config.audit.sink}" audit sink cannot be queried. Use AUDIT_SINK=memory or file.`);
+  }
+
+  let userId = req.query.userId;
+  if (authenticator.enabled && !isAdmin(req.auth)) {
+    try {
+      userId = resolveUserId(req.auth, userId);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      return sendError(res, error.code, error.message);
+    }
+  }
+
+  const from = parseTimestamp(req.query.from, 'from');
+  const to = parseTimestamp(req.query.to, 'to');
+  if (from.error || to.error) {
+    return sendError(res, 'INVALID_PARAM', from.error || to.error);
+  }
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+
+  try {
+    const entries = await audit.query({ userId, filePath, from: from.timestamp, to: to.timestamp }, limit);
+    res.json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while querying audit log');
+  }
+});
+
+// Access outcomes per interval for the admin dashboard chart (?from=&to=&interval=),
+// by default the last 24 hours in hourly buckets, from the audit log
+api.get('/api/audit/timeline', requireAdmin, async (req, res) => {
+  if (!audit.queryable) {
+    return sendError(res, 'NOT_IMPLEMENTED', `The "${config.audit.sink}" audit sink cannot be queried. Use AUDIT_SINK=memory or file.`);
+  }
+
+  const interval = req.query.interval ? parseInt(req.query.interval, 10) : 3600;
+  const from = parseTimestamp(req.query.from, 'from');
+  const to = parseTimestamp(req.query.to, 'to');
+  if (from.error || to.error) {
+    return sendError(res, 'INVALID_PARAM', from.error || to.error);
+  }
+
+  // Buckets line up with whole intervals so the chart does not shift between refreshes
+  const end = Math.ceil((to.timestamp || Math.floor(Date.now() / 1000) + 1) / interval) * interval;
+  const start = Math.floor((from.timestamp !== undefined ? from.timestamp : end - 24 * 60 * 60) / interval) * interval;
+  if (start >= end || (end - start) / interval > 500) {
+    return sendError(res, 'INVALID_PARAM', 'Invalid time range. from must be before to, with at most 500 intervals between them.');
+  }
+
+  try {
+    const buckets = await audit.timeline({ from: start, to: end }, interval);
+    res.json({
+      success: true,
+      from: new Date(start * 1000).toISOString(),
+      to: new Date(end * 1000).toISOString(),
+      interval,
+      buckets
+    });
+
+  } catch (error) {
+    console.error('Error building access timeline:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while building access timeline');
+  }
+});
+
+// Prometheus scrape endpoint
+api.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(await metrics.render());
+  } catch (error) {
+    console.error('Error rendering metrics:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while rendering metrics');
+  }
+});
+
+// Stats endpoint: a JSON summary of this instance's /metrics counters
+api.get('/api/stats', async (req, res) => {
+  try {
+    // Issued URLs are kept in the token store until they expire
+    const activeTokens = await tokenStore.list('token:');
+
+    res.json({
+      totalTokensGenerated: sumCounter(urlsIssued),
+      activeTokens: activeTokens.length,
+      urlsIssued: {
+        byKind: sumCounter(urlsIssued, 'kind'),
+        byDelivery: sumCounter(urlsIssued, 'delivery')
+      },
+      mediaRequests: {
+        total: sumCounter(mediaRequests),
+        byStatus: sumCounter(mediaRequests, 'status'),
+        byOutcome: sumCounter(mediaRequests, 'outcome'),
+        byMediaType: sumCounter(mediaRequests, 'media_type')
+      },
+      bytesServed: sumCounter(bytesServed),
+      serverUptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error reading stats:', error);
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while reading stats');
+  }
+});
+
 // Root route - Serve HTML interface
-app.get('/', (req, res) => {
+api.get('/', (req, res) => {
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -346,7 +1446,7 @@ app.get('/', (req, res) => {
                 <h3>📝 Example Usage</h3>
                 <div><strong>File Path:</strong> /videos/intro.mp4</div>
                 <div><strong>User ID:</strong> USER_001</div>
-                <div><strong>Supported formats:</strong> mp4, mp3, wav, avi, mov, pdf, jpg, jpeg, png</div>
+                <div><strong>Supported formats:</strong> mp4, mp3, wav, avi, mov, pdf, jpg, jpeg, png, m3u8, mpd</div>
             </div>
             
             <form id="urlForm">
@@ -360,6 +1460,16 @@ app.get('/', (req, res) => {
                     <input type="text" id="userId" name="userId" placeholder="USER_001" value="USER_001" required>
                 </div>
                 
+                <div class="form-group">
+                    <label for="expiresIn">Valid For (seconds)</label>
+                    <input type="number" id="expiresIn" name="expiresIn" min="1" placeholder="Server default for this media type">
+                </div>
+                
+                <div class="form-group">
+                    <label for="accessToken">API Key or Bearer Token</label>
+                    <input type="password" id="accessToken" name="accessToken" placeholder="Required when the server has authentication configured">
+                </div>
+                
                 <button type="submit" class="btn">🔗 Generate Signed URL</button>
                 <button type="button" class="btn" onclick="clearResults()">🗑️ Clear</button>
             </form>
@@ -379,6 +1489,8 @@ app.get('/', (req, res) => {
             
             const filePath = document.getElementById('filePath').value.trim();
             const userId = document.getElementById('userId').value.trim();
+            const expiresIn = document.getElementById('expiresIn').value.trim();
+            const accessToken = document.getElementById('accessToken').value.trim();
             
             if (!filePath || !userId) {
                 showError('Please fill in all required fields');
@@ -389,7 +1501,15 @@ app.get('/', (req, res) => {
             hideResult();
             
             try {
-                const response = await fetch(\`/api/generate-signed-url?filePath=\${encodeURIComponent(filePath)}&userId=\${encodeURIComponent(userId)}\`);
+                const params = new URLSearchParams({ filePath, userId });
+                if (expiresIn) params.set('expiresIn', expiresIn);
+                // JWTs have three dot-separated segments; anything else is sent as an API key
+                const headers = {};
+                if (accessToken) {
+                    if (accessToken.split('.').length === 3) headers.Authorization = 'Bearer ' + accessToken;
+                    else headers['X-API-Key'] = accessToken;
+                }
+                const response = await fetch(\`/api/generate-signed-url?\${params}\`, { headers });
                 const data = await response.json();
                 
                 showLoading(false);
@@ -397,7 +1517,7 @@ app.get('/', (req, res) => {
                 if (data.success) {
                     showSuccess(data);
                 } else {
-                    showError(data.error || 'Unknown error occurred');
+                    showError(data.error || data.detail || 'Unknown error occurred');
                 }
             } catch (error) {
                 showLoading(false);
@@ -436,7 +1556,7 @@ app.get('/', (req, res) => {
                     <strong>Generated At:</strong> \${metadata.generatedAt ? new Date(metadata.generatedAt).toLocaleString() : 'N/A'}
                 </div>
                 
-                <p><strong>⏰ Note:</strong> This URL will expire in 2 minutes for security purposes.</p>
+                <p><strong>⏰ Note:</strong> This URL will expire in \${metadata.expiresIn} for security purposes.</p>
             \`;
         }
 
@@ -453,6 +1573,8 @@ app.get('/', (req, res) => {
             hideResult();
             document.getElementById('filePath').value = '/videos/intro.mp4';
             document.getElementById('userId').value = 'USER_001';
+            document.getElementById('expiresIn').value = '';
+            document.getElementById('accessToken').value = '';
         }
     </script>
 </body>
@@ -461,29 +1583,34 @@ app.get('/', (req, res) => {
   res.send(html);
 });
 
+// Admin dashboard: a static page that calls the admin API with the operator's credentials
+api.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// OpenAPI 3.1 document of every route
+api.get('/openapi.json', (req, res) => {
+  res.json(api.document());
+});
+
 // Root route - API information
-app.get('/info', (req, res) => {
+api.get('/info', (req, res) => {
   res.json({
     success: true,
-    service: 'PowerOfAum Signed URL Generator',
+    service: apiSpec.info.title,
     module: 'Module G',
-    version: '1.0.0',
+    version: apiSpec.info.version,
     author: 'Akshay Singh',
-    description: 'A secure API for generating time-limited signed URLs for media files',
-    endpoints: {
-      'Generate Signed URL': 'GET /api/generate-signed-url?filePath=<path>&userId=<id>',
-      'Validate Token': 'GET /api/validate-token?token=<token>',
-      'API Stats': 'GET /api/stats',
-      'Health Check': 'GET /health',
-      'API Info': 'GET /info',
-      'Test Interface': 'GET / (Web Interface)'
-    },
+    description: apiSpec.info.description,
+    // Derived from the registered routes, like /openapi.json
+    endpoints: Object.fromEntries(api.endpoints().map(endpoint => [endpoint.summary, `${endpoint.method} ${endpoint.path}`])),
     example: {
       url: '/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001',
       description: 'Generate a signed URL for a video file'
     },
     documentation: {
       'Test Interface': '/',
+      'OpenAPI': '/openapi.json',
       'Postman Collection': 'Available in repository',
       'GitHub': 'https://github.com/AkshaySingh2005/candidate-001-powerofaum-module-signedurl'
     },
@@ -491,145 +1618,453 @@ app.get('/info', (req, res) => {
   });
 });
 
-// Media endpoint - Simulates serving the actual media file
-app.get('/media/*', (req, res) => {
+// Media endpoint - Streams the media file from storage once the signature checks pass
+api.get('/media/*', async (req, res) => {
   const { token, expires, userId } = req.query;
   const filePath = req.path.replace('/media', '');
+
+  // Every attempt is audited once the response is done; branches below name the outcome
+  const access = { outcome: 'error', claims: null };
+  res.on('close', () => {
+    auditAccess(req, res, filePath, access);
+    mediaRequests.inc({ status: res.statusCode, outcome: access.outcome, media_type: getMediaType(getExtension(filePath)) });
+  });
   
   try {
+    // The per-IP limit applies before the signature is checked, so token guessing is throttled too
+    if (!applyRateLimit(res, await rateLimiter.consume([{ limit: 'media.ip', key: req.ip }]))) {
+      access.outcome = 'rate_limited';
+      return;
+    }
+
     // Validate required parameters
     if (!token || !expires || !userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid signed URL: Missing required parameters',
-        required: ['token', 'expires', 'userId']
-      });
+      access.outcome = 'missing_params';
+      return sendVerificationFailure(res, 'missing_params');
+    }
+
+    // Only canonical paths are signed, so no signature covers /videos/../premium/... (one signed
+    // by hand or before that check is refused too, as storage would serve another path)
+    if (!isCanonicalPath(filePath)) {
+      access.outcome = 'invalid_signature';
+      return sendVerificationFailure(res, 'invalid_signature');
+    }
+
+    // Verify the signature and expiry (or an operator's extension of it)
+    const result = await applyExtension(req.query.token, verifyParams(filePath, req.query));
+    access.outcome = result.valid ? 'granted' : result.reason;
+    access.claims = result.claims;
+
+    if (!result.valid) {
+      return sendVerificationFailure(res, result.reason, { claims: result.claims });
     }
 
-    // Check if token exists in our store
-    const tokenData = urlStore.get(token);
-    if (!tokenData) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or expired token',
-        message: 'This signed URL is no longer valid'
+    // Revoked URLs, users and paths are refused even while the signature is valid
+    const revocation = await revocations.check(req.query.token, result.claims);
+    if (revocation) {
+      access.outcome = 'revoked';
+      return sendVerificationFailure(res, 'revoked', { revocation });
+    }
+
+    // Client constraints bound into the URL (IP, User-Agent, Referer)
+    const violation = checkConstraints(result.claims, req);
+    if (violation) {
+      access.outcome = 'constraint';
+      return sendError(res, 'CONSTRAINT_VIOLATION', 'Access denied', {
+        constraint: violation.constraint,
+        message: violation.message
       });
     }
 
-    // Check expiry
-    const currentTime = Math.floor(Date.now() / 1000);
-    const expiryTime = parseInt(expires);
-    
-    if (currentTime > expiryTime) {
-      urlStore.delete(token); // Clean up expired token
-      return res.status(410).json({
-        success: false,
-        error: 'Signed URL has expired',
-        message: 'This URL was only valid for 2 minutes and has now expired',
-        expiredAt: new Date(expiryTime * 1000).toISOString(),
-        currentTime: new Date().toISOString()
+    // Per-user and per-file limits only count verified URLs, so nobody can spend another user's budget
+    const limited = await rateLimiter.consume([
+      { limit: 'media.user', key: result.claims.userId },
+      { limit: 'media.file', key: filePath }
+    ]);
+    if (!applyRateLimit(res, limited)) {
+      access.outcome = 'rate_limited';
+      return;
+    }
+
+    // Redirect-mode links hand off to a presigned URL with the same expiry and user.
+    // Manifests are always served here so their segment URIs can be signed.
+    if (result.claims.delivery === 'redirect' && !isManifest(filePath)) {
+      if (!presign) {
+        return sendError(res, 'DELIVERY_UNAVAILABLE', 'Redirect delivery is not available: no presigned URL provider is configured');
+      }
+      if (!(await consumeUse(req, result.claims)).allowed) {
+        access.outcome = 'used_up';
+        return sendUsedUp(res, result.claims);
+      }
+      detectAbuse(req, result.claims.userId, filePath);
+      return res.redirect(302, presign(filePath, result.claims));
+    }
+
+    // Look up the real file; a valid signature for a missing file is still a 404
+    const stats = await storage.stat(filePath);
+    if (!stats) {
+      access.outcome = 'not_found';
+      return sendError(res, 'FILE_NOT_FOUND', 'Media file not found', {
+        filePath: filePath
       });
     }
 
-    // Validate file path and user match
-    if (tokenData.filePath !== filePath || tokenData.userId !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-        message: 'Token does not match the requested resource'
+    if (!(await consumeUse(req, result.claims)).allowed) {
+      access.outcome = 'used_up';
+      return sendUsedUp(res, result.claims);
+    }
+    detectAbuse(req, result.claims.userId, filePath);
+
+    if (isManifest(filePath)) {
+      return await sendManifest(req, res, filePath, stats, result.claims);
+    }
+
+    // Transformed or watermarked files are served from the rendition cache;
+    // prefix tokens only watermark the files under them that can carry one
+    const watermarked = hasWatermark(result.claims) && WATERMARKABLE_EXTENSIONS.includes(getExtension(filePath));
+    if (hasTransform(result.claims) || watermarked) {
+      return await sendRendition(req, res, filePath, stats, result.claims, watermarked);
+    }
+
+    if (hasDisposition(result.claims)) {
+      res.setHeader('Content-Disposition', formatContentDisposition(result.claims, filePath));
+    }
+    sendMedia(req, res, filePath, stats, range => countBytesServed(storage.createReadStream(filePath, range), filePath));
+
+  } catch (error) {
+    console.error('Error accessing media:', error);
+    access.outcome = 'error';
+    sendError(res, 'INTERNAL_ERROR', 'Internal server error while accessing media');
+  }
+});
+
+// Helper function to serve the rendition of a file a signed URL was issued for (its image
+// transformation and/or the viewer's watermark), rendering it into the cache on first use
+async function sendRendition(req, res, filePath, stats, claims, watermarked) {
+  if (!renderer.canRender(getExtension(filePath), claims)) {
+    return sendError(res, 'NOT_IMPLEMENTED', 'Rendering images needs the optional sharp package on the server.');
+  }
+
+  const watermark = watermarked ? buildWatermarkText(claims, tokenId(req.query.token)) : undefined;
+  const rendition = await renderer.render(filePath, stats, claims, () => (
+    storage.createReadStream(filePath, { start: 0, end: stats.size - 1 })
+  ), { watermark });
+
+  // Downloads are named after the requested file, with the extension of a converted format
+  if (hasDisposition(claims)) {
+    const servedPath = claims.fmt ? `${filePath.slice(0, -getExtension(filePath).length)}${rendition.extension}` : filePath;
+    res.setHeader('Content-Disposition', formatContentDisposition(claims, servedPath));
+  }
+  sendMedia(req, res, rendition.path, rendition.stats, range => countBytesServed(fs.createReadStream(rendition.path, range), filePath));
+}
+
+// Upload endpoint - Stores the body sent to a signed upload URL once it meets the URL's
+// constraints: method, target path, the Content-Type of its file type, size and checksum
+async function receiveUpload(req, res) {
+  const { token, expires, userId } = req.query;
+  const filePath = req.path.replace('/upload', '');
+
+  // Every attempt is audited once the response is done; branches below name the outcome
+  const upload = { outcome: 'error', claims: null };
+  res.on('close', () => auditUpload(req, res, filePath, upload));
+
+  try {
+    if (!applyRateLimit(res, await rateLimiter.consume([{ limit: 'media.ip', key: req.ip }]))) {
+      upload.outcome = 'rate_limited';
+      return;
+    }
+
+    if (!token || !expires || !userId) {
+      upload.outcome = 'missing_params';
+      return sendVerificationFailure(res, 'missing_params');
+    }
+
+    // Only URLs signed for uploads verify here; media URLs are refused as mismatches
+    const result = await applyExtension(token, verifyUploadParams(filePath, req.query));
+    upload.claims = result.claims;
+    if (!result.valid) {
+      upload.outcome = result.reason;
+      return sendVerificationFailure(res, result.reason, { claims: result.claims });
+    }
+
+    const revocation = await revocations.check(token, result.claims);
+    if (revocation) {
+      upload.outcome = 'revoked';
+      return sendVerificationFailure(res, 'revoked', { revocation });
+    }
+
+    const { claims } = result;
+    if (req.method !== claims.method) {
+      upload.outcome = 'method';
+      res.set('Allow', claims.method);
+      return sendError(res, 'METHOD_NOT_ALLOWED', `This upload URL was signed for ${claims.method} requests`);
+    }
+
+    // Prefix URLs cover any name under the prefix, but only for files that can be signed later
+    if (!isValidFilePath(filePath)) {
+      upload.outcome = 'invalid_path';
+      return sendError(res, 'INVALID_PATH', 'Invalid upload path. Must be a path to a media file such as /uploads/lecture.mp4.');
+    }
+
+    const contentType = getContentType(getExtension(filePath));
+    if (parseContentType(req.get('content-type')) !== contentType) {
+      upload.outcome = 'content_type';
+      return sendError(res, 'UNSUPPORTED_MEDIA_TYPE', `Uploads to ${filePath} must be sent with Content-Type: ${contentType}`, {
+        expected: contentType
       });
     }
 
-    // Success! In a real system, this would serve the actual file
-    // For demo purposes, we return a success message with file info
-    const fileExtension = filePath.split('.').pop().toLowerCase();
-    const mediaType = getMediaType(fileExtension);
-    const remainingTime = expiryTime - currentTime;
+    // A declared size over the limit is refused before reading the body
+    const maxSize = parseInt(claims.maxSize, 10);
+    if (parseInt(req.get('content-length'), 10) > maxSize) {
+      upload.outcome = 'too_large';
+      return sendUploadTooLarge(res, maxSize);
+    }
 
-    res.json({
-      success: true,
-      message: '🎉 Signed URL Access Granted!',
-      access: {
-        filePath: filePath,
-        userId: userId,
-        mediaType: mediaType,
-        fileSize: getRandomFileSize(),
-        accessedAt: new Date().toISOString(),
-        remainingTime: `${remainingTime} seconds`,
-        expiresAt: new Date(expiryTime * 1000).toISOString()
-      },
-      simulation: {
-        note: 'In a real system, this would stream/download the actual media file',
-        wouldServe: `${mediaType} file: ${filePath}`,
-        example: mediaType === 'video' ? 'Video would start playing' : 
-                mediaType === 'audio' ? 'Audio would start streaming' :
-                mediaType === 'image' ? 'Image would be displayed' :
-                'File would be downloaded'
+    if (!storage.write) {
+      return sendError(res, 'NOT_IMPLEMENTED', `The ${storage.driver} storage driver does not support uploads.`);
+    }
+    if (claims.overwrite !== '1' && (await storage.stat(filePath))) {
+      upload.outcome = 'exists';
+      return sendError(res, 'FILE_EXISTS', 'A file already exists at this path', { filePath });
+    }
+
+    // The body is spooled to disk first, so storage only ever receives files that passed every check
+    const spooled = await spoolUpload(req, { maxSize, tmpDir: config.uploads.tmpDir });
+    if (spooled.tooLarge) {
+      upload.outcome = 'too_large';
+      return sendUploadTooLarge(res, maxSize);
+    }
+
+    try {
+      upload.size = spooled.size;
+      upload.sha256 = spooled.sha256;
+      if (claims.sha256 && spooled.sha256 !== claims.sha256) {
+        upload.outcome = 'checksum';
+        return sendError(res, 'CHECKSUM_MISMATCH', 'Uploaded file does not match the signed checksum', {
+          expected: claims.sha256,
+          actual: spooled.sha256
+        });
       }
-    });
+
+      const stored = await storage.write(filePath, fs.createReadStream(spooled.path), {
+        size: spooled.size,
+        contentType,
+        sha256: spooled.sha256
+      });
+      upload.outcome = 'stored';
+      res.status(201).json({
+        success: true,
+        filePath,
+        size: stored.size,
+        contentType,
+        sha256: spooled.sha256,
+        uploadedAt: new Date(stored.mtime).toISOString()
+      });
+    } finally {
+      await fs.promises.rm(spooled.path, { force: true });
+    }
 
   } catch (error) {
-    console.error('Error accessing media:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error while accessing media'
+    console.error('Error receiving upload:', error);
+    upload.outcome = 'error';
+    if (!res.headersSent) {
+      sendError(res, 'INTERNAL_ERROR', 'Internal server error while receiving upload');
+    }
+  }
+}
+
+api.put('/upload/*', receiveUpload);
+api.post('/upload/*', receiveUpload);
+
+// Helper function to refuse an upload over its signed maxSize. The rest of the body is
+// not read, so the connection is closed after the response.
+function sendUploadTooLarge(res, maxSize) {
+  res.set('Connection', 'close');
+  return sendError(res, 'UPLOAD_TOO_LARGE', 'Upload is too large', {
+    message: `This URL accepts files of at most ${maxSize} bytes`,
+    maxSize
+  });
+}
+
+// Helper function to audit one /upload/* request and tell webhook subscribers about stored
+// files. As for /media/*, the userId is only trusted from verified claims.
+function auditUpload(req, res, filePath, upload) {
+  const entry = {
+    outcome: upload.outcome,
+    status: res.statusCode,
+    userId: upload.claims ? upload.claims.userId : (typeof req.query.userId === 'string' ? req.query.userId : undefined),
+    filePath,
+    tokenId: typeof req.query.token === 'string' ? tokenId(req.query.token) : undefined,
+    method: req.method,
+    size: upload.size,
+    sha256: upload.sha256,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    requestId: req.id
+  };
+  audit.record({ event: 'upload', ...entry });
+  if (upload.outcome === 'stored') {
+    webhooks.emit('media.uploaded', entry);
+  }
+}
+
+// Helper function to tell webhook subscribers about a revocation. Single URLs are
+// named by their tokenId, like in the audit log, rather than the bearer token.
+function notifyRevocation(req, revocation) {
+  const { token, ...details } = revocation;
+  webhooks.emit('url.revoked', { ...details, tokenId: token ? tokenId(token) : undefined, requestId: req.id });
+}
+
+// Helper function to audit one /media/* request and tell webhook subscribers whether
+// access was granted. The userId is only trusted from verified claims; for forged or
+// malformed URLs it is what the URL claimed.
+function auditAccess(req, res, filePath, access) {
+  const claimedUserId = typeof req.query.userId === 'string' ? req.query.userId : undefined;
+  const entry = {
+    outcome: access.outcome,
+    status: res.statusCode,
+    userId: access.claims ? access.claims.userId : claimedUserId,
+    filePath,
+    tokenId: typeof req.query.token === 'string' ? tokenId(req.query.token) : undefined,
+    method: req.method,
+    range: req.headers.range,
+    completed: res.writableFinished,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    requestId: req.id
+  };
+  audit.record({ event: 'access', ...entry });
+
+  // Webhooks hear once per URL, client and outcome within a playback session instead of
+  // about every Range or segment request; rate-limited requests are only audited
+  if (access.outcome === 'rate_limited') return;
+  const type = access.outcome === 'granted' ? 'media.granted' : 'media.denied';
+  const url = (access.claims && access.claims.parent) || (typeof req.query.token === 'string' ? req.query.token : filePath);
+  const session = crypto
+    .createHash('sha256')
+    .update([url, access.outcome, req.ip, req.get('user-agent') || ''].join('\n'))
+    .digest('hex');
+  webhooks.emitOnce(session, type, entry, Math.floor(Date.now() / 1000) + config.usage.sessionSeconds)
+    .catch(error => console.error('Error sending access webhook:', error.message));
+}
+
+// Helper function to note which IP a user fetched a file from, flagging users seen
+// from too many IPs. Runs in the background so it never delays the response.
+function detectAbuse(req, userId, filePath) {
+  abuseDetector.observe(userId, filePath, req.ip)
+    .then((flag) => {
+      if (!flag) return;
+      console.warn(`🚩 Flagged user ${userId}: ${flag.reason}`);
+      audit.record({ event: 'abuse', outcome: 'flagged', userId, filePath, ips: flag.ips, reason: flag.reason });
+    })
+    .catch((error) => {
+      console.error('Error checking for abuse:', error.message);
     });
+}
+
+// Helper function to serve an HLS/DASH manifest with every file it references signed
+// for the same viewer, so one authorization covers the whole playback session
+async function sendManifest(req, res, filePath, stats, claims) {
+  if (stats.size > MAX_MANIFEST_BYTES) {
+    return sendError(res, 'MANIFEST_TOO_LARGE', `Manifest is too large to sign (over ${MAX_MANIFEST_BYTES} bytes)`);
   }
-});
 
-// Helper function to determine media type
-function getMediaType(extension) {
-  const videoTypes = ['mp4', 'avi', 'mov', 'webm'];
-  const audioTypes = ['mp3', 'wav', 'ogg', 'aac'];
-  const imageTypes = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
-  const docTypes = ['pdf', 'doc', 'docx'];
-
-  if (videoTypes.includes(extension)) return 'video';
-  if (audioTypes.includes(extension)) return 'audio'; 
-  if (imageTypes.includes(extension)) return 'image';
-  if (docTypes.includes(extension)) return 'document';
-  return 'file';
+  const text = await readManifest(storage.createReadStream(filePath));
+
+  // Referenced URLs inherit the manifest's claims, except its own scope. `parent` ties them to
+  // the manifest URL for revocation, and their maxUses draw on the manifest URL's budget.
+  const { token, kid, scope, template, ...inherited } = req.query;
+  inherited.parent = req.query.parent || token;
+
+  // They expire with the manifest URL, including an operator's extension of it
+  const current = await applyExtension(token, { valid: true, claims }, { includeValid: true });
+  inherited.expires = String(current.claims.expires);
+
+  // Only files inside the manifest's directory (or the scope of the token it was fetched
+  // with) are signed, and only those the viewer is entitled to. The viewer's token claims
+  // are not part of the URL, so the rules that granted the manifest count as applying.
+  const root = scope || directoryOf(filePath);
+  const grantedBy = claims.rule ? claims.rule.split(',') : [];
+  const maySign = childPath => isWithinScope(childPath, root) &&
+    policy.evaluate({ userId: claims.userId }, childPath, getMediaType(getExtension(childPath)), { grantedBy }).allowed;
+
+  let body;
+  if (getExtension(filePath) === 'm3u8') {
+    body = rewriteHlsPlaylist(text, filePath, childPath => (
+      maySign(childPath) ? `/media${childPath}?${new URLSearchParams(signParams(childPath, inherited))}` : null
+    ));
+  } else {
+    body = rewriteDashManifest(text, filePath, (childPath) => {
+      if (!maySign(childPath)) return null;
+      if (!isTemplate(childPath)) {
+        return new URLSearchParams(signParams(childPath, inherited)).toString();
+      }
+      const segments = splitTemplate(childPath);
+      const params = signParams(segments.scope, { ...inherited, scope: segments.scope, template: segments.template });
+      return new URLSearchParams(params).toString();
+    });
+  }
+
+  // The rewritten manifest embeds URLs for this viewer only
+  res.setHeader('Content-Type', getContentType(getExtension(filePath)));
+  res.setHeader('Cache-Control', 'private, no-store');
+  bytesServed.inc({ media_type: getMediaType(getExtension(filePath)) }, Buffer.byteLength(body));
+  return res.send(body);
+}
+
+// Helper function to count the bytes of a media stream as they are served
+function countBytesServed(stream, filePath) {
+  const labels = { media_type: getMediaType(getExtension(filePath)) };
+  stream.on('data', chunk => bytesServed.inc(labels, chunk.length));
+  return stream;
 }
 
-// Helper function to simulate file size
-function getRandomFileSize() {
-  const sizes = ['2.3 MB', '15.7 MB', '45.2 MB', '128.9 MB', '1.2 GB'];
-  return sizes[Math.floor(Math.random() * sizes.length)];
+// Helper function to list the client constraints of a URL for API responses
+function describeConstraints(claims) {
+  const constraints = {};
+  if (claims.ip) constraints.allowedIps = claims.ip.split(',');
+  if (claims.ua) constraints.userAgentHash = claims.ua;
+  if (claims.ref) constraints.allowedReferrers = claims.ref.split(',');
+  return Object.keys(constraints).length > 0 ? constraints : undefined;
+}
+
+// Helper function to answer a link whose maxUses budget is exhausted
+function sendUsedUp(res, claims) {
+  const maxUses = parseInt(claims.maxUses, 10);
+  return sendError(res, 'TOKEN_USED_UP', 'Signed URL has been used up', {
+    message: `This URL could only be used ${maxUses === 1 ? 'once' : `${maxUses} times`}`,
+    maxUses
+  });
 }
 
 // 404 handler
 app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found',
-    availableEndpoints: [
-      'GET /api/generate-signed-url?filePath=<path>&userId=<id>',
-      'GET /api/validate-token?token=<token>',
-      'GET /api/stats',
-      'GET /health',
-      'GET /info',
-      'GET /media/* (Signed URLs only)',
-      'GET / (Web Interface)'
-    ],
-    message: 'Visit / for the web interface or /info for API documentation'
+  sendError(res, 'ROUTE_NOT_FOUND', 'Endpoint not found', {
+    availableEndpoints: api.endpoints().map(endpoint => `${endpoint.method} ${endpoint.path}`),
+    message: 'Visit / for the web interface, /info or /openapi.json for API documentation'
   });
 });
 
 // Error handler
 app.use((error, req, res, next) => {
+  // Unparseable or oversized JSON bodies are the client's mistake
+  if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+    return sendError(res, 'INVALID_BODY', `Invalid request body: ${error.message}`);
+  }
   console.error('Unhandled error:', error);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error'
-  });
+  sendError(res, 'INTERNAL_ERROR', 'Internal server error');
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 PowerOfAum Signed URL Generator running on port ${PORT}`);
-  console.log(`📝 Module G: Signed Media URL Generator`);
-  console.log(`🌐 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔗 API endpoint: http://localhost:${PORT}/api/generate-signed-url`);
-});
+// Start server when run directly; services requiring the package for the client SDK do not bind a port
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 PowerOfAum Signed URL Generator running on port ${PORT}`);
+    console.log(`📝 Module G: Signed Media URL Generator`);
+    console.log(`🌐 Health check: http://localhost:${PORT}/health`);
+    console.log(`🔗 API endpoint: http://localhost:${PORT}/api/generate-signed-url`);
+  });
+}
 
 module.exports = app;
+module.exports.client = require('./lib/client');
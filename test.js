@@ -1,5 +1,282 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// Serve media from a throwaway fixture directory
+const mediaRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'powerofaum-media-'));
+const videoBytes = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+fs.mkdirSync(path.join(mediaRoot, 'videos'));
+fs.writeFileSync(path.join(mediaRoot, 'videos', 'intro.mp4'), videoBytes);
+fs.mkdirSync(path.join(mediaRoot, 'audio'));
+fs.writeFileSync(path.join(mediaRoot, 'audio', 'meditation.mp3'), 'ID3');
+fs.mkdirSync(path.join(mediaRoot, 'premium'));
+fs.writeFileSync(path.join(mediaRoot, 'premium', 'masterclass.mp4'), videoBytes);
+fs.mkdirSync(path.join(mediaRoot, 'courses', 'takedown'), { recursive: true });
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'takedown', 'lesson.mp4'), videoBytes);
+fs.mkdirSync(path.join(mediaRoot, 'courses', 'yoga-101'));
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-101', 'lesson-1.mp4'), videoBytes);
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-101', 'lesson-2.mp3'), 'ID3');
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-101', 'notes.txt'), 'not media');
+fs.mkdirSync(path.join(mediaRoot, 'courses', 'yoga-102', 'hls', '720p'), { recursive: true });
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-102', 'hls', 'master.m3u8'), [
+  '#EXTM3U',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2800000,RESOLUTION=1280x720',
+  '720p/index.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=800000',
+  'https://backup.example.com/yoga/480p.m3u8',
+  ''
+].join('\n'));
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-102', 'hls', '720p', 'index.m3u8'), [
+  '#EXTM3U',
+  '#EXT-X-MAP:URI="init.m4s"',
+  '#EXTINF:4.0,',
+  'segment-1.ts',
+  '#EXT-X-ENDLIST',
+  ''
+].join('\n'));
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-102', 'hls', '720p', 'init.m4s'), 'init');
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-102', 'hls', '720p', 'segment-1.ts'), 'segment-1');
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-102', 'hls', 'escape.m3u8'), [
+  '#EXTM3U',
+  '720p/index.m3u8',
+  '../dash/chunk-1.m4s',
+  '%2e%2e/%2e%2e/%2e%2e/premium/trailer.mp4',
+  '/premium/trailer.mp4',
+  ''
+].join('\n'));
+fs.mkdirSync(path.join(mediaRoot, 'courses', 'yoga-102', 'dash'), { recursive: true });
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-102', 'dash', 'manifest.mpd'), [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">',
+  '  <Period><AdaptationSet mimeType="video/mp4"><Representation id="720p" bandwidth="2800000">',
+  '    <SegmentTemplate initialization="init.m4s" media="chunk-$Number$.m4s" startNumber="1"/>',
+  '  </Representation></AdaptationSet></Period>',
+  '</MPD>',
+  ''
+].join('\n'));
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-102', 'dash', 'init.m4s'), 'init');
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-102', 'dash', 'chunk-1.m4s'), 'chunk-1');
+fs.mkdirSync(path.join(mediaRoot, 'courses', 'yoga-102', 'dash', 'extras'), { recursive: true });
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-102', 'dash', 'extras', 'chunk-1.m4s'), 'extra');
+fs.writeFileSync(path.join(mediaRoot, 'courses', 'yoga-102', 'dash', 'trailer.mp4'), 'trailer');
+process.env.MEDIA_ROOT = mediaRoot;
+
+// Hand redirect/direct deliveries to a Cloudflare-style signed CDN URL
+process.env.PRESIGN_PROVIDER = 'cloudflare';
+process.env.CDN_BASE_URL = 'https://cdn.example.com';
+process.env.CDN_SIGNING_SECRET = 'cdn-secret';
+
+// Callers authenticate with API keys, HS256 tokens or RS256 tokens from a JWKS file
+const serviceHeaders = { 'X-API-Key': 'test-service-key' };
+const jwtKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwksPath = path.join(mediaRoot, '..', `${path.basename(mediaRoot)}-jwks.json`);
+fs.writeFileSync(jwksPath, JSON.stringify({ keys: [{ ...jwtKeys.publicKey.export({ format: 'jwk' }), kid: 'test-rsa', use: 'sig' }] }));
+process.env.API_KEYS = 'test-service-key:*,user-042-key:USER_042';
+
+// Tests act as different clients through X-Forwarded-For
+process.env.TRUST_PROXY = 'loopback';
+process.env.ABUSE_MAX_IPS = '3';
+process.env.JWT_SECRET = 'jwt-secret';
+process.env.JWT_JWKS_PATH = jwksPath;
+
+// Everyone may sign the public catalog; /premium/ needs the premium tier
+const policyPath = path.join(mediaRoot, '..', `${path.basename(mediaRoot)}-policy.yaml`);
+fs.writeFileSync(policyPath, [
+  'users:',
+  '  USER_009: { tier: premium }',
+  'rules:',
+  '  - id: catalog',
+  '    paths: [/videos/, /audio/, /courses/]',
+  '  - id: premium-content',
+  '    tiers: [premium]',
+  '    paths: [/premium/]',
+  '    mediaTypes: [video]',
+  ''
+].join('\n'));
+process.env.POLICY_PATH = policyPath;
+
+// Webhook events go to a local receiver started with the tests; its /broken path always fails
+const webhookPort = 3002;
+const webhooksPath = path.join(mediaRoot, '..', `${path.basename(mediaRoot)}-webhooks.yaml`);
+fs.writeFileSync(webhooksPath, [
+  'webhooks:',
+  `  - { id: analytics, url: 'http://localhost:${webhookPort}/hooks', secret: hook-secret, events: [url.issued, url.revoked, media.granted, media.denied] }`,
+  `  - { id: broken, url: 'http://localhost:${webhookPort}/broken', secret: hook-secret, events: [url.revoked] }`,
+  `  - { id: expiry, url: 'http://localhost:${webhookPort}/hooks', secret: hook-secret, events: [url.expired] }`,
+  ''
+].join('\n'));
+process.env.WEBHOOKS_PATH = webhooksPath;
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_DELAY_MS = '20';
+
+// Transformed images are cached in a throwaway directory
+const imageCacheDir = path.join(mediaRoot, '..', `${path.basename(mediaRoot)}-images`);
+process.env.IMAGE_CACHE_DIR = imageCacheDir;
+
+// Helper function to mint a JWT for the tests (HS256 with JWT_SECRET, RS256 with the JWKS key)
+function createJwt(claims, alg = 'HS256') {
+  const header = { alg, typ: 'JWT', kid: alg === 'RS256' ? 'test-rsa' : undefined };
+  const signingInput = `${Buffer.from(JSON.stringify(header)).toString('base64url')}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+  const signature = alg === 'RS256'
+    ? crypto.sign('sha256', Buffer.from(signingInput), jwtKeys.privateKey)
+    : crypto.createHmac('sha256', 'jwt-secret').update(signingInput).digest();
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
 const app = require('./server');
+const express = require('express');
+const config = require('./lib/config');
+const { parseRevocation } = config;
+const { parseSigningKeys } = config;
+const { signParams, verifyParams } = require('./lib/signing');
+const { createLocalStorage, createMemoryStorage, createS3Storage } = require('./lib/storage');
+const { createPresigner, signCloudFrontUrl } = require('./lib/delivery');
+const { createPolicy } = require('./lib/policy');
+const { createMemoryTokenStore, createSqliteTokenStore, createRedisTokenStore } = require('./lib/tokenstore');
+const { parseReply } = require('./lib/tokenstore/redis');
+const { createRevocationList } = require('./lib/revocation');
+const { createWebhooks } = require('./lib/webhooks');
+const { createExtensionList } = require('./lib/extension');
+const { createUsageTracker } = require('./lib/usage');
+const { createAuditLog, tokenId } = require('./lib/audit');
+const { createRateLimiter, parseRateLimits, rateLimit } = require('./lib/ratelimit');
+const { createMetrics } = require('./lib/metrics');
+const { toOpenApiPath } = require('./lib/openapi');
+const { createRenderer } = require('./lib/rendition');
+
+// Minimal S3 stand-in: serves objects with Range support and ListObjectsV2, and stores PUT
+// objects whose body matches their signed payload hash
+function createFakeS3(bucket, objects) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!req.headers.authorization || !req.headers.authorization.startsWith('AWS4-HMAC-SHA256 ')) {
+      res.statusCode = 403;
+      return res.end('<Error><Code>AccessDenied</Code></Error>');
+    }
+
+    if (req.method === 'PUT') {
+      return readStream(req).then((body) => {
+        if (req.headers['x-amz-content-sha256'] !== crypto.createHash('sha256').update(body).digest('hex')) {
+          res.statusCode = 400;
+          return res.end('<Error><Code>XAmzContentSHA256Mismatch</Code></Error>');
+        }
+        objects[decodeURIComponent(url.pathname.slice(bucket.length + 2))] = body;
+        res.end();
+      });
+    }
+
+    if (url.pathname === `/${bucket}/` && url.searchParams.get('list-type') === '2') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const contents = Object.keys(objects)
+        .filter(key => key.startsWith(prefix))
+        .map(key => `<Contents><Key>${key}</Key><Size>${objects[key].length}</Size><LastModified>2024-01-01T00:00:00.000Z</LastModified></Contents>`);
+      return res.end(`<ListBucketResult><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+    }
+
+    const body = objects[decodeURIComponent(url.pathname.slice(bucket.length + 2))];
+    if (!body) {
+      res.statusCode = 404;
+      return res.end('<Error><Code>NoSuchKey</Code></Error>');
+    }
+
+    res.setHeader('Last-Modified', 'Mon, 01 Jan 2024 00:00:00 GMT');
+    const range = /bytes=(\d+)-(\d*)/.exec(req.headers.range || '');
+    const start = range ? parseInt(range[1], 10) : 0;
+    const end = range && range[2] ? parseInt(range[2], 10) : body.length - 1;
+    res.statusCode = range ? 206 : 200;
+    res.setHeader('Content-Length', end - start + 1);
+    res.end(req.method === 'HEAD' ? undefined : body.subarray(start, end + 1));
+  });
+}
+
+// Minimal Redis stand-in speaking RESP: GET, SET (with EX), DEL, MGET, INCR, SCAN (prefix MATCH) and QUIT
+function createFakeRedis() {
+  const data = new Map();
+  const lookup = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) data.delete(key);
+    return data.get(key);
+  };
+  const bulk = value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  const read = key => (lookup(key) ? lookup(key).value : null);
+
+  return net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let request;
+      while ((request = parseReply(buffer))) {
+        buffer = buffer.subarray(request.offset);
+        const [name, ...args] = request.value;
+        switch (name.toUpperCase()) {
+          case 'GET':
+            socket.write(bulk(read(args[0])));
+            break;
+          case 'SET':
+            data.set(args[0], { value: args[1], expiresAt: args[2] === 'EX' ? Date.now() + parseInt(args[3], 10) * 1000 : null });
+            socket.write('+OK\r\n');
+            break;
+          case 'DEL':
+            socket.write(`:${args.filter(key => lookup(key) && data.delete(key)).length}\r\n`);
+            break;
+          case 'MGET':
+            socket.write(`*${args.length}\r\n${args.map(key => bulk(read(key))).join('')}`);
+            break;
+          case 'INCR': {
+            const entry = lookup(args[0]);
+            const value = String(parseInt(entry ? entry.value : '0', 10) + 1);
+            data.set(args[0], { value, expiresAt: entry ? entry.expiresAt : null });
+            socket.write(`:${value}\r\n`);
+            break;
+          }
+          case 'HSET': {
+            const hash = lookup(args[0]) || { value: {}, expiresAt: null };
+            hash.value[args[1]] = args[2];
+            data.set(args[0], hash);
+            socket.write(':1\r\n');
+            break;
+          }
+          case 'HGETALL': {
+            const fields = Object.entries(read(args[0]) || {}).flat();
+            socket.write(`*${fields.length}\r\n${fields.map(bulk).join('')}`);
+            break;
+          }
+          case 'EXPIREAT':
+          case 'PERSIST': {
+            const entry = lookup(args[0]);
+            if (entry) entry.expiresAt = name.toUpperCase() === 'PERSIST' ? null : parseInt(args[1], 10) * 1000;
+            socket.write(`:${entry ? 1 : 0}\r\n`);
+            break;
+          }
+          case 'SCAN': {
+            const prefix = args[2].slice(0, -1).replace(/\\(.)/g, '$1');
+            const keys = [...data.keys()].filter(key => key.startsWith(prefix) && lookup(key));
+            socket.write(`*2\r\n${bulk('0')}*${keys.length}\r\n${keys.map(bulk).join('')}`);
+            break;
+          }
+          case 'QUIT':
+            socket.end('+OK\r\n');
+            break;
+          default:
+            socket.write(`-ERR unknown command '${name}'\r\n`);
+        }
+      }
+    });
+  });
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
 
 // Simple test suite
 function runTests() {
@@ -25,24 +302,60 @@ function runTests() {
       });
   }
 
-  function makeRequest(path) {
+  function makeRequest(path, headers = serviceHeaders, method = 'GET', body) {
     return new Promise((resolve, reject) => {
-      const url = `${baseUrl}${path}`;
-      http.get(url, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
+      // Send the path as-is so traversal tests are not normalized by the client
+      const req = http.request({ host: 'localhost', port: testPort, path, method, headers }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
         res.on('end', () => {
+          const body = Buffer.concat(chunks);
           try {
-            const parsed = JSON.parse(data);
-            resolve({ status: res.statusCode, data: parsed });
+            const parsed = JSON.parse(body.toString());
+            resolve({ status: res.statusCode, headers: res.headers, data: parsed, body });
           } catch (e) {
-            resolve({ status: res.statusCode, data: data });
+            resolve({ status: res.statusCode, headers: res.headers, data: body.toString(), body });
           }
         });
-      }).on('error', reject);
+      });
+      req.on('error', reject);
+      req.end(body);
     });
   }
 
+  function postJson(path, payload, headers = serviceHeaders) {
+    return makeRequest(path, { ...headers, 'Content-Type': 'application/json' }, 'POST', JSON.stringify(payload));
+  }
+
+  async function generateMediaPath(filePath, userId = 'USER_001', query = '') {
+    const generated = await makeRequest(`/api/generate-signed-url?filePath=${filePath}&userId=${userId}${query}`);
+    const signedUrl = new URL(generated.data.signedUrl);
+    return signedUrl.pathname + signedUrl.search;
+  }
+
+  // Collect webhook deliveries; /broken answers 500 so deliveries there end up as dead letters
+  const webhookDeliveries = [];
+  const webhookReceiver = http.createServer((req, res) => {
+    readStream(req).then((body) => {
+      if (req.url === '/broken') {
+        res.statusCode = 500;
+        return res.end();
+      }
+      webhookDeliveries.push({ headers: req.headers, body: body.toString(), event: JSON.parse(body) });
+      res.end();
+    });
+  }).listen(webhookPort);
+
+  // Helper function to wait for a webhook delivery matching `predicate`
+  async function waitForWebhook(predicate) {
+    for (let i = 0; i < 60; i++) {
+      const delivery = webhookDeliveries.find(candidate => predicate(candidate.event));
+      if (delivery) return delivery;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error('Expected webhook was not delivered');
+  }
+
   // Start server for testing
   const server = app.listen(testPort, () => {
     console.log(`🚀 Test server started on port ${testPort}\n`);
@@ -103,6 +416,1203 @@ function runTests() {
       if (response.data.success !== false) throw new Error('Expected success: false');
     });
 
+    // Test 8: Signed URL grants access without any server-side lookup
+    test('Access media with a generated signed URL', async () => {
+      const generated = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001');
+      const signedUrl = new URL(generated.data.signedUrl);
+      if (!signedUrl.searchParams.get('kid')) throw new Error('Signed URL missing kid');
+      const response = await makeRequest(signedUrl.pathname + signedUrl.search);
+      if (response.status !== 200) throw new Error(`Expected 200, got ${response.status}`);
+      if (!response.body.equals(videoBytes)) throw new Error('Response body does not match the media file');
+    });
+
+    // Test 9: Tampering with a signed parameter invalidates the signature
+    test('Reject signed URL with tampered userId', async () => {
+      const generated = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001');
+      const signedUrl = new URL(generated.data.signedUrl);
+      signedUrl.searchParams.set('userId', 'USER_002');
+      const response = await makeRequest(signedUrl.pathname + signedUrl.search);
+      if (response.status !== 403) throw new Error(`Expected 403, got ${response.status}`);
+    });
+
+    // Test 10: Validate token endpoint verifies the full signed URL
+    test('Validate token from a signed URL', async () => {
+      const generated = await makeRequest('/api/generate-signed-url?filePath=/audio/meditation.mp3&userId=USER_002');
+      const response = await makeRequest(`/api/validate-token?url=${encodeURIComponent(generated.data.signedUrl)}`);
+      if (response.status !== 200) throw new Error(`Expected 200, got ${response.status}`);
+      if (response.data.valid !== true) throw new Error(`Expected valid: true, got ${response.data.reason}`);
+      if (response.data.tokenData.userId !== 'USER_002') throw new Error('Wrong userId in tokenData');
+    });
+
+    // Test 11: Links signed with a retired key keep working after rotation
+    test('Verify signatures across key rotation', async () => {
+      const oldKeyring = parseSigningKeys({ SIGNING_KEYS: 'k1:first-secret' });
+      const rotatedKeyring = parseSigningKeys({ SIGNING_KEYS: 'k1:first-secret,k2:second-secret', SIGNING_KEY_ID: 'k2' });
+      const expires = String(Math.floor(Date.now() / 1000) + 60);
+      const params = signParams('/videos/intro.mp4', { userId: 'USER_001', expires }, oldKeyring);
+      const result = verifyParams('/videos/intro.mp4', params, rotatedKeyring);
+      if (!result.valid) throw new Error(`Expected valid signature, got ${result.reason}`);
+      const retired = verifyParams('/videos/intro.mp4', params, parseSigningKeys({ SIGNING_KEYS: 'k2:second-secret' }));
+      if (retired.reason !== 'unknown_key') throw new Error(`Expected unknown_key, got ${retired.reason}`);
+    });
+
+    // Test 12: Media is served with real content headers
+    test('Serve media with Content-Type and validators', async () => {
+      const response = await makeRequest(await generateMediaPath('/videos/intro.mp4'));
+      if (response.headers['content-type'] !== 'video/mp4') throw new Error(`Unexpected Content-Type ${response.headers['content-type']}`);
+      if (response.headers['content-length'] !== '1000') throw new Error('Wrong Content-Length');
+      if (!response.headers.etag || !response.headers['last-modified']) throw new Error('Missing ETag/Last-Modified');
+      if (response.headers['accept-ranges'] !== 'bytes') throw new Error('Missing Accept-Ranges');
+    });
+
+    // Test 13: Range requests return partial content
+    test('Serve partial content for Range requests', async () => {
+      const mediaPath = await generateMediaPath('/videos/intro.mp4');
+      const response = await makeRequest(mediaPath, { Range: 'bytes=100-199' });
+      if (response.status !== 206) throw new Error(`Expected 206, got ${response.status}`);
+      if (response.headers['content-range'] !== 'bytes 100-199/1000') throw new Error(`Unexpected Content-Range ${response.headers['content-range']}`);
+      if (!response.body.equals(videoBytes.subarray(100, 200))) throw new Error('Partial body does not match');
+      const unsatisfiable = await makeRequest(mediaPath, { Range: 'bytes=5000-' });
+      if (unsatisfiable.status !== 416) throw new Error(`Expected 416, got ${unsatisfiable.status}`);
+    });
+
+    // Test 14: Signed URLs are only issued for files that exist
+    test('Return 404 when signing a missing file', async () => {
+      const response = await makeRequest('/api/generate-signed-url?filePath=/videos/missing.mp4&userId=USER_001');
+      if (response.status !== 404) throw new Error(`Expected 404, got ${response.status}`);
+      if (response.data.success !== false) throw new Error('Expected success: false');
+    });
+
+    // Test 15: Local and in-memory drivers share the storage interface
+    test('List and read objects from local and memory storage', async () => {
+      const local = createLocalStorage({ root: mediaRoot });
+      const listed = await local.list('/videos/');
+      if (listed.length !== 1 || listed[0].filePath !== '/videos/intro.mp4') throw new Error('Unexpected local listing');
+      if (await local.stat('/../etc/passwd')) throw new Error('Local storage escaped its root');
+
+      const memory = createMemoryStorage({ objects: { '/docs/guide.pdf': 'hello world' } });
+      const stats = await memory.stat('/docs/guide.pdf');
+      if (stats.size !== 11) throw new Error(`Expected size 11, got ${stats.size}`);
+      const partial = await readStream(memory.createReadStream('/docs/guide.pdf', { start: 6, end: 10 }));
+      if (partial.toString() !== 'world') throw new Error('Unexpected memory range read');
+    });
+
+    // Test 16: S3 driver talks SigV4 to an S3-compatible endpoint
+    test('Stat, read and list objects from S3-compatible storage', async () => {
+      const fakeS3 = createFakeS3('media', { 'videos/intro.mp4': videoBytes });
+      await new Promise(resolve => fakeS3.listen(0, resolve));
+      try {
+        const s3 = createS3Storage({
+          endpoint: `http://localhost:${fakeS3.address().port}`,
+          bucket: 'media',
+          accessKeyId: 'test',
+          secretAccessKey: 'test-secret'
+        });
+        const stats = await s3.stat('/videos/intro.mp4');
+        if (!stats || stats.size !== 1000) throw new Error('Unexpected S3 stat');
+        if (await s3.stat('/videos/missing.mp4') !== null) throw new Error('Expected null for a missing object');
+        const partial = await readStream(s3.createReadStream('/videos/intro.mp4', { start: 10, end: 19 }));
+        if (!partial.equals(videoBytes.subarray(10, 20))) throw new Error('Unexpected S3 range read');
+        const listed = await s3.list('/videos/');
+        if (listed.length !== 1 || listed[0].filePath !== '/videos/intro.mp4') throw new Error('Unexpected S3 listing');
+      } finally {
+        fakeS3.close();
+      }
+    });
+
+    // Test 17: Redirect delivery hands off to a presigned CDN URL after our checks
+    test('Redirect media to a presigned CDN URL', async () => {
+      const generated = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001&delivery=redirect');
+      if (generated.data.metadata.delivery !== 'redirect') throw new Error('Expected delivery: redirect');
+      const signedUrl = new URL(generated.data.signedUrl);
+      const response = await makeRequest(signedUrl.pathname + signedUrl.search);
+      if (response.status !== 302) throw new Error(`Expected 302, got ${response.status}`);
+      const location = new URL(response.headers.location);
+      if (location.origin !== 'https://cdn.example.com' || location.pathname !== '/videos/intro.mp4') throw new Error(`Unexpected redirect ${location}`);
+      if (location.searchParams.get('x-user-id') !== 'USER_001') throw new Error('Redirect lost the user binding');
+      if (!location.searchParams.get('verify').startsWith(signedUrl.searchParams.get('expires') + '-')) throw new Error('Redirect has a different expiry');
+    });
+
+    // Test 18: Direct delivery returns the presigned URL and rejects unknown modes
+    test('Return presigned URL for direct delivery', async () => {
+      const generated = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001&delivery=direct');
+      if (!generated.data.signedUrl.startsWith('https://cdn.example.com/videos/intro.mp4?')) throw new Error(`Unexpected signedUrl ${generated.data.signedUrl}`);
+      const invalid = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001&delivery=carrier-pigeon');
+      if (invalid.status !== 400) throw new Error(`Expected 400, got ${invalid.status}`);
+    });
+
+    // Test 19: S3 and CloudFront presigners bind expiry and user into the signature
+    test('Presign S3 and CloudFront URLs', async () => {
+      const s3 = createS3Storage({ bucket: 'media', region: 'eu-west-1', accessKeyId: 'AKID', secretAccessKey: 'secret' });
+      const presign = createPresigner({ cdn: {} }, s3);
+      const s3Url = new URL(presign('/videos/intro.mp4', { userId: 'USER_001', expires: Math.floor(Date.now() / 1000) + 120 }));
+      if (s3Url.host !== 'media.s3.eu-west-1.amazonaws.com') throw new Error(`Unexpected S3 host ${s3Url.host}`);
+      if (!/^1[12]\d$/.test(s3Url.searchParams.get('X-Amz-Expires'))) throw new Error('Unexpected X-Amz-Expires');
+      if (s3Url.searchParams.get('x-user-id') !== 'USER_001' || !s3Url.searchParams.get('X-Amz-Signature')) throw new Error('S3 URL missing user binding or signature');
+      // Lifetimes outside what SigV4 accepts are clamped rather than failing the redirect
+      const lastSecond = new URL(presign('/videos/intro.mp4', { userId: 'USER_001', expires: Math.floor(Date.now() / 1000) }));
+      if (lastSecond.searchParams.get('X-Amz-Expires') !== '1') throw new Error(`Expected 1 second in the last second, got ${lastSecond.searchParams.get('X-Amz-Expires')}`);
+      const extended = new URL(presign('/videos/intro.mp4', { userId: 'USER_001', expires: Math.floor(Date.now() / 1000) + 8 * 24 * 60 * 60 }));
+      if (extended.searchParams.get('X-Amz-Expires') !== '604800') throw new Error(`Expected 7 days past the SigV4 limit, got ${extended.searchParams.get('X-Amz-Expires')}`);
+
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const cdn = { baseUrl: 'https://d111.cloudfront.net', keyPairId: 'K2JCJMDEHXQW5F', privateKey };
+      const cloudFrontUrl = new URL(signCloudFrontUrl(cdn, '/videos/intro.mp4', { userId: 'USER_001', expires: 1700000000 }));
+      const signature = Buffer.from(cloudFrontUrl.searchParams.get('Signature').replace(/-/g, '+').replace(/_/g, '=').replace(/~/g, '/'), 'base64');
+      const policy = JSON.stringify({ Statement: [{ Resource: 'https://d111.cloudfront.net/videos/intro.mp4?x-user-id=USER_001', Condition: { DateLessThan: { 'AWS:EpochTime': 1700000000 } } }] });
+      if (!crypto.verify('RSA-SHA1', Buffer.from(policy), publicKey, signature)) throw new Error('CloudFront signature does not verify');
+    });
+
+    // Test 20: Per-request expiry within the configured bounds
+    test('Honor expiresIn and reject out-of-range values', async () => {
+      const response = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001&expiresIn=5400');
+      if (response.status !== 200) throw new Error(`Expected 200, got ${response.status}`);
+      if (response.data.metadata.expiresIn !== '1 hour 30 minutes') throw new Error(`Unexpected expiresIn ${response.data.metadata.expiresIn}`);
+      const remaining = response.data.metadata.expiresAt - Math.floor(Date.now() / 1000);
+      if (remaining < 5398 || remaining > 5400) throw new Error(`Unexpected expiry ${remaining}s from now`);
+      const tooLong = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001&expiresIn=9999999');
+      if (tooLong.status !== 400) throw new Error(`Expected 400, got ${tooLong.status}`);
+    });
+
+    // Test 21: Scheduled links only work from their release time
+    test('Reject media requests before notBefore', async () => {
+      const releaseAt = Math.floor(Date.now() / 1000) + 3600;
+      const generated = await makeRequest(`/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001&notBefore=${releaseAt}&expiresIn=600`);
+      if (generated.data.metadata.expiresAt !== releaseAt + 600) throw new Error('Expiry should count from notBefore');
+      const signedUrl = new URL(generated.data.signedUrl);
+      const response = await makeRequest(signedUrl.pathname + signedUrl.search);
+      if (response.status !== 403) throw new Error(`Expected 403, got ${response.status}`);
+      if (!response.data.validFrom) throw new Error('Missing validFrom');
+
+      // Release times are bounded by the maximum lifetime and must come before the expiry
+      const farFuture = await makeRequest(`/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001&notBefore=${releaseAt + config.expiry.maxSeconds}`);
+      if (farFuture.status !== 400 || farFuture.data.code !== 'INVALID_PARAM') throw new Error(`Expected 400 for a far-future notBefore, got ${farFuture.status}`);
+      const signer = app.client.createSigner({ keys: config.signingKeys.keys, keyId: config.signingKeys.activeKeyId });
+      let refused = false;
+      try {
+        signer.sign('/videos/intro.mp4', { userId: 'USER_001', notBefore: releaseAt, expires: releaseAt - 60 });
+      } catch (error) {
+        refused = error instanceof TypeError;
+      }
+      if (!refused) throw new Error('The SDK should refuse a notBefore after expires');
+    });
+
+    // Test 22: Expired links report their real lifetime
+    test('Return 410 with the actual lifetime for expired links', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const params = signParams('/videos/intro.mp4', { userId: 'USER_001', iat: String(now - 400), expires: String(now - 100) });
+      const response = await makeRequest(`/media/videos/intro.mp4?${new URLSearchParams(params)}`);
+      if (response.status !== 410) throw new Error(`Expected 410, got ${response.status}`);
+      if (!response.data.message.includes('5 minutes')) throw new Error(`Unexpected message ${response.data.message}`);
+    });
+
+    // Test 23: Signing requires credentials
+    test('Reject unauthenticated and invalid callers', async () => {
+      const anonymous = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001', {});
+      if (anonymous.status !== 401) throw new Error(`Expected 401, got ${anonymous.status}`);
+      if (anonymous.headers['www-authenticate'] !== 'Bearer') throw new Error('Missing WWW-Authenticate header');
+      const badKey = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001', { 'X-API-Key': 'nope' });
+      if (badKey.status !== 401) throw new Error(`Expected 401, got ${badKey.status}`);
+      const expired = createJwt({ sub: 'USER_001', exp: Math.floor(Date.now() / 1000) - 3600 });
+      const expiredResponse = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4', { Authorization: `Bearer ${expired}` });
+      if (expiredResponse.status !== 401) throw new Error(`Expected 401, got ${expiredResponse.status}`);
+    });
+
+    // Test 24: The userId comes from the verified token, not the query string
+    test('Take userId from verified JWT claims', async () => {
+      const hsToken = createJwt({ sub: 'USER_007', exp: Math.floor(Date.now() / 1000) + 300 });
+      const response = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4', { Authorization: `Bearer ${hsToken}` });
+      if (response.status !== 200) throw new Error(`Expected 200, got ${response.status}`);
+      if (response.data.metadata.userId !== 'USER_007') throw new Error(`Unexpected userId ${response.data.metadata.userId}`);
+
+      const rsToken = createJwt({ sub: 'USER_008' }, 'RS256');
+      const mismatch = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001', { Authorization: `Bearer ${rsToken}` });
+      if (mismatch.status !== 403) throw new Error(`Expected 403, got ${mismatch.status}`);
+      const own = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_008', { Authorization: `Bearer ${rsToken}` });
+      if (own.status !== 200) throw new Error(`Expected 200, got ${own.status}`);
+    });
+
+    // Test 25: User-bound API keys cannot sign for other users
+    test('Bind user API keys to their userId', async () => {
+      const response = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001', { 'X-API-Key': 'user-042-key' });
+      if (response.status !== 403) throw new Error(`Expected 403, got ${response.status}`);
+      const own = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4', { 'X-API-Key': 'user-042-key' });
+      if (own.data.metadata.userId !== 'USER_042') throw new Error('Expected userId from the API key');
+    });
+
+    // Test 26: Users without the premium tier are not entitled to premium content
+    test('Deny signing for paths the user is not entitled to', async () => {
+      const response = await makeRequest('/api/generate-signed-url?filePath=/premium/masterclass.mp4&userId=USER_001');
+      if (response.status !== 403) throw new Error(`Expected 403, got ${response.status}`);
+      if (!response.data.reason || !response.data.reason.includes('USER_001')) throw new Error(`Unexpected reason ${response.data.reason}`);
+    });
+
+    // Test 27: Tiers come from the policy file or the JWT, and the granting rule is reported
+    test('Report the policy rule that granted access', async () => {
+      const generated = await makeRequest('/api/generate-signed-url?filePath=/premium/masterclass.mp4&userId=USER_009');
+      if (generated.status !== 200) throw new Error(`Expected 200, got ${generated.status}`);
+      const validated = await makeRequest(`/api/validate-token?url=${encodeURIComponent(generated.data.signedUrl)}`);
+      if (validated.data.tokenData.grantedBy !== 'premium-content') throw new Error(`Unexpected grantedBy ${validated.data.tokenData.grantedBy}`);
+
+      const premiumJwt = createJwt({ sub: 'USER_010', tier: 'premium' });
+      const viaClaim = await makeRequest('/api/generate-signed-url?filePath=/premium/masterclass.mp4', { Authorization: `Bearer ${premiumJwt}` });
+      if (viaClaim.status !== 200) throw new Error(`Expected 200, got ${viaClaim.status}`);
+    });
+
+    // Test 28: Policy edits are picked up without a restart
+    test('Hot-reload the entitlement policy file', async () => {
+      const reloadPath = path.join(mediaRoot, 'reload-policy.json');
+      fs.writeFileSync(reloadPath, JSON.stringify({ rules: [{ id: 'videos', paths: ['/videos'] }] }));
+      const reloading = createPolicy({ path: reloadPath, reloadIntervalMs: 0 });
+      if (reloading.evaluate({ userId: 'USER_001' }, '/videos-old/intro.mp4', 'video').allowed) throw new Error('Prefix must not match sibling directories');
+      if (reloading.evaluate({ userId: 'USER_001', claims: { roles: ['staff'] } }, '/docs/guide.pdf', 'document').allowed) throw new Error('Expected deny before reload');
+
+      fs.writeFileSync(reloadPath, JSON.stringify({ rules: [{ id: 'videos', paths: ['/videos'] }, { id: 'staff-docs', roles: ['staff'], paths: ['/docs/'] }] }));
+      const decision = reloading.evaluate({ userId: 'USER_001', claims: { roles: ['staff'] } }, '/docs/guide.pdf', 'document');
+      if (!decision.allowed || decision.rule !== 'staff-docs') throw new Error('Expected the reloaded rule to grant access');
+    });
+
+    // Test 29: One-time links survive seeking but not a second playback session
+    test('Enforce maxUses per playback session', async () => {
+      const generated = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001&maxUses=1');
+      if (generated.data.metadata.maxUses !== 1) throw new Error('Expected maxUses: 1 in metadata');
+      const signedUrl = new URL(generated.data.signedUrl);
+      const mediaPath = signedUrl.pathname + signedUrl.search;
+
+      const first = await makeRequest(mediaPath, { 'User-Agent': 'player-a' });
+      if (first.status !== 200) throw new Error(`Expected 200, got ${first.status}`);
+      const seek = await makeRequest(mediaPath, { 'User-Agent': 'player-a', Range: 'bytes=500-' });
+      if (seek.status !== 206) throw new Error(`Expected 206 for a seek in the same session, got ${seek.status}`);
+      const download = await makeRequest(mediaPath, { 'User-Agent': 'player-a' });
+      if (download.status !== 410) throw new Error(`Expected 410 for a second full download, got ${download.status}`);
+      const second = await makeRequest(mediaPath, { 'User-Agent': 'player-b' });
+      if (second.status !== 410) throw new Error(`Expected 410 for a new session, got ${second.status}`);
+
+      const validated = await makeRequest(`/api/validate-token?url=${encodeURIComponent(generated.data.signedUrl)}`);
+      if (validated.data.tokenData.usesRemaining !== 0) throw new Error(`Expected usesRemaining: 0, got ${validated.data.tokenData.usesRemaining}`);
+      const invalid = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001&maxUses=0');
+      if (invalid.status !== 400) throw new Error(`Expected 400, got ${invalid.status}`);
+
+      // Links issued back to back for the same file and user each get their own token and use
+      const [firstLink, secondLink] = [
+        await generateMediaPath('/videos/intro.mp4', 'USER_029', '&maxUses=1'),
+        await generateMediaPath('/videos/intro.mp4', 'USER_029', '&maxUses=1')
+      ];
+      if (firstLink === secondLink) throw new Error('Links issued in the same second should differ');
+      const played = [await makeRequest(firstLink, { 'User-Agent': 'player-c' }), await makeRequest(secondLink, { 'User-Agent': 'player-c' })];
+      if (played.some(response => response.status !== 200)) throw new Error(`Expected both one-time links to play, got ${played.map(response => response.status)}`);
+      const signer = app.client.createSigner({ keys: config.signingKeys.keys, keyId: config.signingKeys.activeKeyId });
+      const expires = Math.floor(Date.now() / 1000) + 60;
+      if (signer.sign('/videos/intro.mp4', { userId: 'USER_029', expires }).token === signer.sign('/videos/intro.mp4', { userId: 'USER_029', expires }).token) throw new Error('SDK signatures should differ per URL');
+    });
+
+    // Test 30: Revoking a single URL takes effect immediately
+    test('Revoke an individual signed URL', async () => {
+      const generated = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001');
+      const signedUrl = new URL(generated.data.signedUrl);
+      const token = signedUrl.searchParams.get('token');
+
+      const forbidden = await makeRequest(`/api/tokens/${token}`, { 'X-API-Key': 'user-042-key' }, 'DELETE');
+      if (forbidden.status !== 403) throw new Error(`Expected 403 for a non-admin caller, got ${forbidden.status}`);
+      const revoked = await makeRequest(`/api/tokens/${token}`, serviceHeaders, 'DELETE');
+      if (revoked.status !== 200 || !revoked.data.success) throw new Error(`Expected 200, got ${revoked.status}`);
+
+      const response = await makeRequest(signedUrl.pathname + signedUrl.search);
+      if (response.status !== 403) throw new Error(`Expected 403, got ${response.status}`);
+      const validated = await makeRequest(`/api/validate-token?url=${encodeURIComponent(generated.data.signedUrl)}`);
+      if (validated.data.valid !== false || validated.data.reason !== 'Token revoked') throw new Error(`Unexpected validation ${JSON.stringify(validated.data)}`);
+    });
+
+    // Test 31: Bulk revocation by user and by path prefix covers earlier links only
+    test('Revoke all URLs for a user or a path prefix', async () => {
+      const userLink = await generateMediaPath('/videos/intro.mp4', 'USER_020');
+      const pathLink = await generateMediaPath('/courses/takedown/lesson.mp4', 'USER_021');
+      await makeRequest('/api/tokens?userId=USER_020', serviceHeaders, 'DELETE');
+      await makeRequest('/api/tokens?pathPrefix=/courses/takedown/', serviceHeaders, 'DELETE');
+
+      const userResponse = await makeRequest(userLink);
+      if (userResponse.status !== 403) throw new Error(`Expected 403 for a revoked user, got ${userResponse.status}`);
+      const pathResponse = await makeRequest(pathLink);
+      if (pathResponse.status !== 403) throw new Error(`Expected 403 for a revoked path, got ${pathResponse.status}`);
+      const invalid = await makeRequest('/api/tokens', serviceHeaders, 'DELETE');
+      if (invalid.status !== 400) throw new Error(`Expected 400 without a filter, got ${invalid.status}`);
+
+      // Revoked URLs cannot be revived by extending them
+      const userToken = new URLSearchParams(userLink.split('?')[1]).get('token');
+      const extended = await postJson(`/api/tokens/${userToken}/extend`, { expiresIn: 3600 });
+      if (extended.status !== 409 || extended.data.code !== 'TOKEN_ALREADY_REVOKED') throw new Error(`Expected 409 extending a revoked URL, got ${extended.status}`);
+
+      // Revocations are kept until URLs issued with the latest release time and longest lifetime have expired
+      const maxSeconds = config.expiry.maxSeconds;
+      const scheduled = await makeRequest(`/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_031&notBefore=${Math.floor(Date.now() / 1000) + maxSeconds - 60}&expiresIn=${maxSeconds}`);
+      const revokedUser = await makeRequest('/api/tokens?userId=USER_031', serviceHeaders, 'DELETE');
+      if (revokedUser.data.revocation.expiresAt < scheduled.data.metadata.expiresAt) throw new Error('The revocation should outlive the scheduled URL');
+      if (parseRevocation({ EXPIRY_MAX_SECONDS: '604800', REVOCATION_TTL_SECONDS: '3600' }).ttlSeconds !== 2 * 604800) throw new Error('A short REVOCATION_TTL_SECONDS should be raised');
+
+      // Prefixes and paths are compared after resolving dot and empty segments
+      const revocations = createRevocationList({ ttlSeconds: 60, store: createMemoryTokenStore() });
+      await revocations.revokePathPrefix('/courses//old/./');
+      const claims = { userId: 'USER_021', issuedAt: Math.floor(Date.now() / 1000) };
+      if (!(await revocations.check('a', { ...claims, filePath: '/courses/new/../old/lesson.mp4' }))) throw new Error('Expected the normalized path to be revoked');
+      if (await revocations.check('b', { ...claims, filePath: '/courses/older/lesson.mp4' })) throw new Error('Only paths under the revoked prefix should be revoked');
+    });
+
+    // Test 32: IP/CIDR binding
+    test('Enforce allowed client IP ranges', async () => {
+      const local = await generateMediaPath('/videos/intro.mp4', 'USER_001', '&allowedIps=127.0.0.0/8,::1');
+      const localResponse = await makeRequest(local);
+      if (localResponse.status !== 200) throw new Error(`Expected 200 from loopback, got ${localResponse.status}`);
+      const remote = await generateMediaPath('/videos/intro.mp4', 'USER_001', '&allowedIps=10.0.0.0/8');
+      const remoteResponse = await makeRequest(remote);
+      if (remoteResponse.status !== 403 || remoteResponse.data.constraint !== 'ip') throw new Error(`Expected 403 ip, got ${remoteResponse.status}`);
+      const invalid = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_001&allowedIps=10.0.0.0/99');
+      if (invalid.status !== 400) throw new Error(`Expected 400, got ${invalid.status}`);
+    });
+
+    // Test 33: User-Agent and referrer binding
+    test('Enforce User-Agent and referrer constraints', async () => {
+      const mediaPath = await generateMediaPath('/videos/intro.mp4', 'USER_001', '&userAgent=player-x&allowedReferrers=https://powerofaum.com');
+      const allowed = await makeRequest(mediaPath, { 'User-Agent': 'player-x', Referer: 'https://powerofaum.com/courses/yoga' });
+      if (allowed.status !== 200) throw new Error(`Expected 200, got ${allowed.status}`);
+      const otherAgent = await makeRequest(mediaPath, { 'User-Agent': 'player-y', Referer: 'https://powerofaum.com/' });
+      if (otherAgent.status !== 403 || otherAgent.data.constraint !== 'userAgent') throw new Error(`Expected 403 userAgent, got ${otherAgent.status}`);
+      const hotlinked = await makeRequest(mediaPath, { 'User-Agent': 'player-x', Referer: 'https://pirate.example/watch' });
+      if (hotlinked.status !== 403 || hotlinked.data.constraint !== 'referrer') throw new Error(`Expected 403 referrer, got ${hotlinked.status}`);
+    });
+
+    // Test 34: Batch signing reports failures per item and shares one expiry
+    test('Sign a list of files in one batch', async () => {
+      const response = await postJson('/api/generate-signed-urls', {
+        userId: 'USER_001',
+        expiresIn: 3600,
+        filePaths: ['/videos/intro.mp4', '/audio/meditation.mp3', '/videos/missing.mp4', '/premium/masterclass.mp4', 'not-a-path']
+      });
+      if (response.status !== 200) throw new Error(`Expected 200, got ${response.status}`);
+      const { summary, results } = response.data;
+      if (summary.signed !== 2 || summary.failed !== 3) throw new Error(`Unexpected summary ${JSON.stringify(summary)}`);
+      const statuses = results.map(item => item.success ? 200 : item.status).join(',');
+      if (statuses !== '200,200,404,403,400') throw new Error(`Unexpected item statuses ${statuses}`);
+      if (results[0].metadata.expiresAt !== results[1].metadata.expiresAt || results[0].metadata.expiresAt !== response.data.expiresAt) throw new Error('Batch URLs should share one expiry');
+    });
+
+    // Test 35: Batch signing a directory prefix skips non-media files
+    test('Sign every media file under a prefix', async () => {
+      const response = await postJson('/api/generate-signed-urls', { userId: 'USER_001', prefix: '/courses/yoga-101/' });
+      if (response.status !== 200) throw new Error(`Expected 200, got ${response.status}`);
+      const signedPaths = response.data.results.filter(item => item.success).map(item => item.filePath).join(',');
+      if (signedPaths !== '/courses/yoga-101/lesson-1.mp4,/courses/yoga-101/lesson-2.mp3') throw new Error(`Unexpected paths ${signedPaths}`);
+      const both = await postJson('/api/generate-signed-urls', { userId: 'USER_001', prefix: '/courses/', filePaths: [] });
+      if (both.status !== 400) throw new Error(`Expected 400, got ${both.status}`);
+      // Without the trailing slash, /courses would also cover /courses-old/
+      const bare = await postJson('/api/generate-signed-urls', { userId: 'USER_001', prefix: '/courses' });
+      if (bare.status !== 400 || bare.data.code !== 'INVALID_PATH') throw new Error(`Expected 400 INVALID_PATH, got ${bare.status}`);
+    });
+
+    // Test 36: HLS playlists are served with every referenced URI signed
+    test('Sign segment and sub-playlist URIs of an HLS manifest', async () => {
+      const master = await makeRequest(await generateMediaPath('/courses/yoga-102/hls/master.m3u8', 'USER_036'));
+      if (master.status !== 200) throw new Error(`Expected 200, got ${master.status}`);
+      if (!master.headers['content-type'].startsWith('application/vnd.apple.mpegurl')) throw new Error(`Unexpected Content-Type ${master.headers['content-type']}`);
+      const lines = master.data.split('\n');
+      if (!lines.includes('https://backup.example.com/yoga/480p.m3u8')) throw new Error('External URIs should be left untouched');
+      const variantPath = lines.find(line => line.startsWith('/media/courses/yoga-102/hls/720p/index.m3u8?'));
+      if (!variantPath) throw new Error('Sub-playlist URI was not signed');
+
+      const variant = await makeRequest(variantPath);
+      if (variant.status !== 200) throw new Error(`Expected 200 for the sub-playlist, got ${variant.status}`);
+      const initPath = /URI="([^"]+)"/.exec(variant.data)[1];
+      const segmentPath = variant.data.split('\n').find(line => line.startsWith('/media/courses/yoga-102/hls/720p/segment-1.ts?'));
+      if (!initPath.startsWith('/media/courses/yoga-102/hls/720p/init.m4s?') || !segmentPath) throw new Error('Segment URIs were not signed');
+      const segment = await makeRequest(segmentPath);
+      if (segment.status !== 200 || segment.data !== 'segment-1') throw new Error(`Expected the segment, got ${segment.status}`);
+      if (new URL(segmentPath, baseUrl).searchParams.get('userId') !== 'USER_036') throw new Error('Segment URLs should carry the viewer');
+
+      const unsigned = await makeRequest('/media/courses/yoga-102/hls/720p/segment-1.ts');
+      if (unsigned.status !== 400) throw new Error(`Expected 400 for an unsigned segment, got ${unsigned.status}`);
+
+      // Only files inside the manifest's directory (or its token's scope) that the viewer is entitled to are signed
+      const escape = await makeRequest(await generateMediaPath('/courses/yoga-102/hls/escape.m3u8', 'USER_036'));
+      const escapeLines = escape.data.split('\n');
+      if (!escapeLines[1].startsWith('/media/courses/yoga-102/hls/720p/index.m3u8?')) throw new Error('References inside the directory should be signed');
+      if (escapeLines.slice(2, 5).join() !== '../dash/chunk-1.m4s,%2e%2e/%2e%2e/%2e%2e/premium/trailer.mp4,/premium/trailer.mp4') throw new Error(`References outside the directory should stay unsigned: ${escapeLines.join(' ')}`);
+      const wholeSite = signParams('/', { userId: 'USER_036', expires: String(Math.floor(Date.now() / 1000) + 60), scope: '/', rule: 'catalog' });
+      const scoped = await makeRequest(`/media/courses/yoga-102/hls/escape.m3u8?${new URLSearchParams(wholeSite)}`);
+      const scopedLines = scoped.data.split('\n');
+      if (!scopedLines[2].startsWith('/media/courses/yoga-102/dash/chunk-1.m4s?')) throw new Error('References inside the token scope should be signed');
+      if (scopedLines[4] !== '/premium/trailer.mp4') throw new Error('References the viewer is not entitled to should stay unsigned');
+
+      // Revoking the manifest URL also stops the segments signed into it
+      const masterToken = new URL(variantPath, baseUrl).searchParams.get('parent');
+      await makeRequest(`/api/tokens/${masterToken}`, serviceHeaders, 'DELETE');
+      const revoked = await makeRequest(segmentPath);
+      if (revoked.status !== 403) throw new Error(`Expected 403 after revoking the manifest, got ${revoked.status}`);
+    });
+
+    // Test 37: DASH templates are covered by a token that only accepts the files they name
+    test('Cover DASH segment templates with a path-prefix token', async () => {
+      const manifest = await makeRequest(await generateMediaPath('/courses/yoga-102/dash/manifest.mpd', 'USER_037', '&maxUses=1'), { 'User-Agent': 'player-a' });
+      if (manifest.status !== 200) throw new Error(`Expected 200, got ${manifest.status}`);
+      if (!manifest.headers['content-type'].startsWith('application/dash+xml')) throw new Error(`Unexpected Content-Type ${manifest.headers['content-type']}`);
+      const template = /media="([^"]+)"/.exec(manifest.data)[1].replace(/&amp;/g, '&');
+      if (!template.startsWith('chunk-$Number$.m4s?')) throw new Error(`Unexpected media template ${template}`);
+      const query = template.slice(template.indexOf('?'));
+      if (new URLSearchParams(query).get('scope') !== '/courses/yoga-102/dash/') throw new Error('Expected a token scoped to the manifest directory');
+      const init = /initialization="([^"]+)"/.exec(manifest.data)[1].replace(/&amp;/g, '&');
+      if (new URLSearchParams(init.slice(init.indexOf('?'))).has('scope')) throw new Error('Fixed URIs should be signed on their own');
+
+      // Segments draw on the manifest URL's use: the viewer's player may fetch them, another client may not
+      const chunk = await makeRequest(`/media/courses/yoga-102/dash/chunk-1.m4s${query}`, { 'User-Agent': 'player-a' });
+      if (chunk.status !== 200 || chunk.data !== 'chunk-1') throw new Error(`Expected the chunk, got ${chunk.status}`);
+      const shared = await makeRequest(`/media/courses/yoga-102/dash/chunk-1.m4s${query}`, { 'User-Agent': 'player-b' });
+      if (shared.status !== 410) throw new Error(`Expected 410 for a chunk fetched by another client, got ${shared.status}`);
+
+      // Files the template cannot name are refused, next to the segments or below them
+      const refused = await Promise.all([
+        makeRequest(`/media/courses/yoga-102/dash/trailer.mp4${query}`),
+        makeRequest(`/media/courses/yoga-102/dash/init.m4s${query}`),
+        makeRequest(`/media/courses/yoga-102/dash/extras/chunk-1.m4s${query}`)
+      ]);
+      if (refused.some(response => response.status !== 403)) throw new Error(`Expected 403 outside the template, got ${refused.map(response => response.status)}`);
+      const outside = await makeRequest(`/media/videos/intro.mp4${query}`);
+      if (outside.status !== 403) throw new Error(`Expected 403 outside the scope, got ${outside.status}`);
+      const traversal = await makeRequest(`/media/courses/yoga-102/dash/%2e%2e/intro.mp4${query}`);
+      if (traversal.status !== 403) throw new Error(`Expected 403 for an encoded traversal, got ${traversal.status}`);
+      const direct = await makeRequest('/api/generate-signed-url?filePath=/courses/yoga-102/dash/manifest.mpd&userId=USER_037&delivery=direct');
+      if (direct.status !== 400) throw new Error(`Expected 400 for a direct manifest, got ${direct.status}`);
+    });
+
+    // Test 38: One prefix token unlocks every file of the chosen media types under a directory
+    test('Sign a path-prefix token with a media type filter', async () => {
+      const generated = await makeRequest('/api/generate-signed-url?prefix=/courses/yoga-101/&userId=USER_038&mediaTypes=video');
+      if (generated.status !== 200) throw new Error(`Expected 200, got ${generated.status}`);
+      if (generated.data.metadata.prefix !== '/courses/yoga-101/' || generated.data.metadata.mediaTypes.join() !== 'video') throw new Error('Missing prefix metadata');
+      const query = new URL(generated.data.signedUrl).search;
+
+      const video = await makeRequest(`/media/courses/yoga-101/lesson-1.mp4${query}`);
+      if (video.status !== 200) throw new Error(`Expected 200 under the prefix, got ${video.status}`);
+      const audio = await makeRequest(`/media/courses/yoga-101/lesson-2.mp3${query}`);
+      if (audio.status !== 403) throw new Error(`Expected 403 for a filtered media type, got ${audio.status}`);
+      const validated = await makeRequest(`/api/validate-token?url=${encodeURIComponent(generated.data.signedUrl)}`);
+      if (!validated.data.valid || validated.data.tokenData.prefix !== '/courses/yoga-101/') throw new Error('Expected the prefix token to validate');
+
+      const escapes = [
+        '/media/courses/takedown/lesson.mp4',
+        '/media/courses/yoga-101/../takedown/lesson.mp4',
+        '/media/courses/yoga-101/%2e%2e/takedown/lesson.mp4',
+        '/media/courses/yoga-101%2f..%2ftakedown/lesson.mp4',
+        '/media/courses/yoga-101//lesson-1.mp4'
+      ];
+      for (const escape of escapes) {
+        const response = await makeRequest(`${escape}${query}`);
+        if (response.status !== 403) throw new Error(`Expected 403 for ${escape}, got ${response.status}`);
+      }
+    });
+
+    // Test 39: Prefix tokens are checked against the policy for the whole directory
+    test('Validate prefixes and entitlements of path-prefix tokens', async () => {
+      const premium = await makeRequest('/api/generate-signed-url?prefix=/premium/&userId=USER_001');
+      if (premium.status !== 403) throw new Error(`Expected 403 for an unentitled prefix, got ${premium.status}`);
+      const noSlash = await makeRequest('/api/generate-signed-url?prefix=/courses/yoga-101&userId=USER_001');
+      if (noSlash.status !== 400) throw new Error(`Expected 400 without a trailing slash, got ${noSlash.status}`);
+      const badType = await makeRequest('/api/generate-signed-url?prefix=/courses/&userId=USER_001&mediaTypes=movies');
+      if (badType.status !== 400) throw new Error(`Expected 400 for an unknown media type, got ${badType.status}`);
+      const both = await makeRequest('/api/generate-signed-url?prefix=/courses/&filePath=/videos/intro.mp4&userId=USER_001');
+      if (both.status !== 400) throw new Error(`Expected 400 with filePath and prefix, got ${both.status}`);
+
+      const overlapPath = path.join(mediaRoot, 'overlap-policy.json');
+      fs.writeFileSync(overlapPath, JSON.stringify({ rules: [
+        { id: 'hidden', effect: 'deny', paths: ['/courses/takedown/'] },
+        { id: 'one-course', paths: ['/courses/yoga-101/'] },
+        { id: 'catalog', paths: ['/courses/'] }
+      ] }));
+      const overlapping = createPolicy({ path: overlapPath });
+      if (overlapping.evaluate({ userId: 'USER_001' }, '/courses/', 'video', { prefix: true }).allowed) throw new Error('A denied subdirectory should deny the prefix');
+      if (!overlapping.evaluate({ userId: 'USER_001' }, '/courses/', 'video').allowed) throw new Error('A file path should only see covering rules');
+      const decision = overlapping.evaluate({ userId: 'USER_001' }, '/courses/yoga-101/', 'video', { prefix: true });
+      if (!decision.allowed || decision.rule !== 'one-course') throw new Error('Expected the covering rule to grant the prefix');
+    });
+
+    // Test 40: Memory, SQLite and Redis token stores behave the same
+    const tokenDbPath = path.join(os.tmpdir(), `${path.basename(mediaRoot)}-tokens.db`);
+    test('Token store drivers share one interface with TTL eviction', async () => {
+      const fakeRedis = createFakeRedis();
+      await new Promise(resolve => fakeRedis.listen(0, resolve));
+      const redisUrl = `redis://127.0.0.1:${fakeRedis.address().port}`;
+      const now = Math.floor(Date.now() / 1000);
+      const drivers = {
+        memory: createMemoryTokenStore(),
+        sqlite: createSqliteTokenStore({ path: tokenDbPath }),
+        redis: createRedisTokenStore({ url: redisUrl, keyPrefix: 'test:' })
+      };
+      try {
+        for (const [name, store] of Object.entries(drivers)) {
+          await store.set('token:live', { userId: 'USER_040' }, now + 60);
+          await store.set('token:expired', { userId: 'USER_040' }, now - 5);
+          await store.set('other:kept', { userId: 'USER_040' });
+          const live = await store.get('token:live');
+          if (!live || live.userId !== 'USER_040') throw new Error(`${name}: expected the live entry`);
+          if ((await store.get('token:expired')) !== null) throw new Error(`${name}: expired entries must not be returned`);
+          const listed = (await store.list('token:')).map(entry => entry.key).join();
+          if (listed !== 'token:live') throw new Error(`${name}: unexpected listing ${listed}`);
+          await store.increment('stats:issued');
+          if ((await store.increment('stats:issued')) !== 2 || (await store.get('stats:issued')) !== 2) throw new Error(`${name}: counter mismatch`);
+          await store.increment('window:live', now + 60);
+          if ((await store.increment('window:live', now + 60)) !== 2) throw new Error(`${name}: expiring counters should count up until they expire`);
+          await store.increment('window:expired', now - 5);
+          if ((await store.increment('window:expired', now - 5)) !== 1) throw new Error(`${name}: expired counters should start over`);
+          await store.delete('window:expired');
+          if (!(await store.delete('token:live')) || (await store.delete('token:live'))) throw new Error(`${name}: delete should report existing keys`);
+          await store.setField('map:live', '/a/', { n: 1 }, now + 60);
+          await store.setField('map:live', '/b/', { n: 2 }, now + 60);
+          await store.setField('map:expired', '/a/', { n: 1 }, now - 5);
+          const fields = await store.getFields('map:live');
+          if (fields['/a/'].n !== 1 || fields['/b/'].n !== 2) throw new Error(`${name}: unexpected fields ${JSON.stringify(fields)}`);
+          if (Object.keys(await store.getFields('map:expired')).length !== 0) throw new Error(`${name}: expired maps must not be returned`);
+          await store.delete('map:expired');
+          const swept = await store.sweep();
+          if (swept !== (name === 'redis' ? 0 : 1)) throw new Error(`${name}: expected the sweeper to evict the expired entry, got ${swept}`);
+        }
+
+        // The SQLite file outlives the process that wrote it
+        await drivers.sqlite.close();
+        drivers.sqlite = createSqliteTokenStore({ path: tokenDbPath });
+        if ((await drivers.sqlite.get('stats:issued')) !== 2) throw new Error('sqlite: entries should survive a restart');
+      } finally {
+        for (const store of Object.values(drivers)) await store.close();
+        fakeRedis.close();
+      }
+    });
+
+    // Test 41: Instances sharing a store see each other's revocations and use counts
+    test('Share revocations and use counts across instances', async () => {
+      const fakeRedis = createFakeRedis();
+      await new Promise(resolve => fakeRedis.listen(0, resolve));
+      const redisUrl = `redis://127.0.0.1:${fakeRedis.address().port}`;
+      const storeA = createRedisTokenStore({ url: redisUrl });
+      const storeB = createRedisTokenStore({ url: redisUrl });
+      try {
+        const issuedAt = Math.floor(Date.now() / 1000) - 1;
+        await createRevocationList({ ttlSeconds: 60, store: storeA }).revokeUser('USER_041');
+        const revocation = await createRevocationList({ ttlSeconds: 60, store: storeB }).check('a'.repeat(64), { userId: 'USER_041', filePath: '/videos/intro.mp4', issuedAt });
+        if (!revocation || revocation.type !== 'user') throw new Error('Expected the revocation from the other instance');
+        await createRevocationList({ ttlSeconds: 60, store: storeA }).revokePathPrefix('/courses/');
+        const prefixRevocation = await createRevocationList({ ttlSeconds: 60, store: storeB }).check('c'.repeat(64), { userId: 'USER_042', filePath: '/courses/a.mp4', issuedAt });
+        if (!prefixRevocation || prefixRevocation.pathPrefix !== '/courses/') throw new Error('Expected the prefix revocation from the other instance');
+
+        const usage = { maxUses: 1, expires: issuedAt + 60 };
+        const first = await createUsageTracker({ store: storeA }).consume('b'.repeat(64), { ...usage, sessionKey: 'player-a' });
+        const second = await createUsageTracker({ store: storeB }).consume('b'.repeat(64), { ...usage, sessionKey: 'player-b' });
+        if (!first.allowed || second.allowed) throw new Error('A one-time link should only play once across instances');
+      } finally {
+        await storeA.close();
+        await storeB.close();
+        fakeRedis.close();
+      }
+    });
+
+    // Test 42: Issuance and every access outcome end up in the audit log
+    test('Audit issuance and access attempts', async () => {
+      const mediaPath = await generateMediaPath('/audio/meditation.mp3', 'USER_042');
+      const granted = await makeRequest(mediaPath);
+      const tampered = await makeRequest(mediaPath.replace(/expires=\d+/, 'expires=9999999999'));
+      const expired = signParams('/audio/meditation.mp3', { userId: 'USER_042', expires: String(Math.floor(Date.now() / 1000) - 60) });
+      const expiredResponse = await makeRequest(`/media/audio/meditation.mp3?${new URLSearchParams(expired)}`);
+      const unknown = await makeRequest(mediaPath.replace(/kid=[^&]+/, 'kid=retired'));
+      const statuses = [granted, tampered, expiredResponse, unknown].map(response => response.status).join();
+      if (statuses !== '200,403,410,401') throw new Error(`Unexpected statuses ${statuses}`);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const history = await makeRequest('/api/audit?userId=USER_042&filePath=/audio/');
+      if (history.status !== 200) throw new Error(`Expected 200, got ${history.status}`);
+      const outcomes = history.data.entries.map(entry => `${entry.event}:${entry.outcome}`);
+      for (const expected of ['issue:issued', 'access:granted', 'access:invalid_signature', 'access:expired', 'access:unknown_key']) {
+        if (!outcomes.includes(expected)) throw new Error(`Missing ${expected} in ${outcomes.join(', ')}`);
+      }
+      if (history.data.entries.some(entry => JSON.stringify(entry).includes(new URLSearchParams(mediaPath.split('?')[1]).get('token')))) throw new Error('Audit entries must not contain bearer tokens');
+
+      const own = await makeRequest('/api/audit', { 'X-API-Key': 'user-042-key' });
+      if (own.status !== 200 || own.data.entries.some(entry => entry.userId !== 'USER_042')) throw new Error('Users should only see their own history');
+      const other = await makeRequest('/api/audit?userId=USER_001', { 'X-API-Key': 'user-042-key' });
+      if (other.status !== 403) throw new Error(`Expected 403 for another user's history, got ${other.status}`);
+      const future = await makeRequest(`/api/audit?userId=USER_042&from=${Math.floor(Date.now() / 1000) + 3600}`);
+      if (future.data.count !== 0) throw new Error('Expected no entries after from');
+      const invalid = await makeRequest('/api/audit?to=yesterday-ish');
+      if (invalid.status !== 400) throw new Error(`Expected 400 for an invalid to, got ${invalid.status}`);
+    });
+
+    // Test 43: The file sink keeps JSON lines that can be queried back
+    test('Write and query JSON lines with the file audit sink', async () => {
+      const logPath = path.join(mediaRoot, 'audit', 'audit.log');
+      const fileAudit = createAuditLog({ sink: 'file', file: { path: logPath } });
+      await fileAudit.record({ event: 'access', outcome: 'granted', userId: 'USER_043', filePath: '/videos/intro.mp4' });
+      await fileAudit.record({ event: 'access', outcome: 'expired', userId: 'USER_043', filePath: '/audio/meditation.mp3' });
+      const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      if (lines.length !== 2 || !lines[0].time) throw new Error('Expected two timestamped JSON lines');
+      const videos = await fileAudit.query({ userId: 'USER_043', filePath: '/videos/' }, 10);
+      if (videos.length !== 1 || videos[0].outcome !== 'granted') throw new Error('Unexpected file sink query result');
+      fs.unlinkSync(logPath);
+      if ((await fileAudit.query({}, 10)).length !== 0) throw new Error('A missing log file should query as empty');
+      if (createAuditLog({ sink: 'stdout' }).queryable) throw new Error('The stdout sink should not be queryable');
+    });
+
+    // Test 44: Rate limits refuse bursts over the limit with 429 and rate limit headers
+    test('Throttle requests with fixed window limits', async () => {
+      const limiter = createRateLimiter({ store: createMemoryTokenStore(), limits: { 'sign.ip': { capacity: 2, periodSeconds: 60 } } });
+      const limitedApp = express();
+      limitedApp.get('/limited', rateLimit(limiter, req => [{ limit: 'sign.ip', key: req.ip }]), (req, res) => res.json({ success: true }));
+      const limitedServer = limitedApp.listen(0);
+      await new Promise(resolve => limitedServer.once('listening', resolve));
+      try {
+        const fetchLimited = () => new Promise((resolve, reject) => {
+          http.get({ host: 'localhost', port: limitedServer.address().port, path: '/limited' }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res));
+          }).on('error', reject);
+        });
+        const statuses = [];
+        let last;
+        for (let i = 0; i < 3; i++) {
+          last = await fetchLimited();
+          statuses.push(last.statusCode);
+        }
+        if (statuses.join() !== '200,200,429') throw new Error(`Unexpected statuses ${statuses.join()}`);
+        const retryAfter = parseInt(last.headers['retry-after'], 10);
+        if (!(retryAfter >= 1 && retryAfter <= 60) || last.headers['ratelimit-remaining'] !== '0' || last.headers['ratelimit-policy'] !== '2;w=60') throw new Error(`Unexpected headers ${JSON.stringify(last.headers)}`);
+      } finally {
+        limitedServer.close();
+      }
+
+      // Instances sharing a Redis store never let concurrent requests past the limit
+      const fakeRedis = createFakeRedis();
+      await new Promise(resolve => fakeRedis.listen(0, resolve));
+      const stores = [0, 1].map(() => createRedisTokenStore({ url: `redis://localhost:${fakeRedis.address().port}`, keyPrefix: 'test44:' }));
+      try {
+        const limiters = stores.map(store => createRateLimiter({ store, limits: { 'sign.user': { capacity: 5, periodSeconds: 3600 } } }));
+        const results = await Promise.all(Array.from({ length: 20 }, (_, i) => limiters[i % 2].consume([{ limit: 'sign.user', key: 'USER_044' }])));
+        const allowed = results.filter(result => result.allowed).length;
+        if (allowed !== 5) throw new Error(`Expected 5 of 20 concurrent requests to pass, got ${allowed}`);
+      } finally {
+        await Promise.all(stores.map(store => store.close()));
+        fakeRedis.close();
+      }
+
+      const signed = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_044');
+      if (!signed.headers['ratelimit-limit'] || !signed.headers['ratelimit-remaining']) throw new Error('Signing responses should carry RateLimit headers');
+      const limits = parseRateLimits('sign.user:10/1,media.file:off');
+      if (limits['sign.user'].capacity !== 10 || limits['media.file'] || !limits['media.ip']) throw new Error('Unexpected parsed limits');
+      let rejected = false;
+      try {
+        parseRateLimits('media.everything:1/1');
+      } catch (error) {
+        rejected = true;
+      }
+      if (!rejected) throw new Error('Unknown limits should be rejected');
+    });
+
+    // Test 45: A user fetching the same file from more IPs than ABUSE_MAX_IPS is flagged
+    test('Flag users fetching one file from many IPs', async () => {
+      const mediaPath = await generateMediaPath('/videos/intro.mp4', 'USER_045');
+      for (const ip of ['203.0.113.1', '203.0.113.2', '203.0.113.3', '203.0.113.4']) {
+        const response = await makeRequest(mediaPath, { 'X-Forwarded-For': ip });
+        if (response.status !== 200) throw new Error(`Expected 200 from ${ip}, got ${response.status}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const flags = await makeRequest('/api/flags');
+      const flag = flags.data.flags.find(entry => entry.userId === 'USER_045');
+      if (!flag || flag.ips.length !== 4 || flag.filePath !== '/videos/intro.mp4') throw new Error(`Expected USER_045 to be flagged, got ${JSON.stringify(flags.data)}`);
+      const forbidden = await makeRequest('/api/flags', { 'X-API-Key': 'user-042-key' });
+      if (forbidden.status !== 403) throw new Error(`Expected 403 for a user key, got ${forbidden.status}`);
+      const cleared = await makeRequest('/api/flags/USER_045', serviceHeaders, 'DELETE');
+      const again = await makeRequest('/api/flags/USER_045', serviceHeaders, 'DELETE');
+      if (cleared.status !== 200 || again.status !== 404) throw new Error(`Expected 200 then 404, got ${cleared.status} and ${again.status}`);
+    });
+
+    // Test 46: /metrics exposes the counters /api/stats summarizes
+    test('Expose Prometheus metrics', async () => {
+      const registry = createMetrics();
+      registry.counter('demo_total', 'Demo counter', ['path']).inc({ path: 'a"b\\c' }, 2);
+      registry.histogram('demo_seconds', 'Demo latency', [], [0.1, 1]).observe({}, 0.5);
+      const text = await registry.render();
+      for (const line of ['# TYPE demo_total counter', 'demo_total{path="a\\"b\\\\c"} 2', 'demo_seconds_bucket{le="0.1"} 0', 'demo_seconds_bucket{le="1"} 1', 'demo_seconds_bucket{le="+Inf"} 1', 'demo_seconds_count 1']) {
+        if (!text.split('\n').includes(line)) throw new Error(`Missing "${line}" in:\n${text}`);
+      }
+
+      const before = (await makeRequest('/api/stats')).data;
+      const mediaPath = await generateMediaPath('/videos/intro.mp4', 'USER_046');
+      const media = await makeRequest(mediaPath);
+      await makeRequest('/media/videos/intro.mp4?token=forged&expires=1&userId=USER_046');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const after = (await makeRequest('/api/stats')).data;
+
+      // Other tests run concurrently, so counters grow by at least this test's requests
+      if (after.totalTokensGenerated < before.totalTokensGenerated + 1) throw new Error('Issued URLs should be counted');
+      if (after.mediaRequests.byStatus['200'] < (before.mediaRequests.byStatus['200'] || 0) + 1) throw new Error('Granted accesses should be counted by status');
+      if (!after.mediaRequests.byStatus['401']) throw new Error('Refused accesses should be counted by status');
+      if (after.mediaRequests.total < before.mediaRequests.total + 2) throw new Error('Every media request should be counted');
+      if (after.bytesServed < before.bytesServed + media.body.length) throw new Error(`Expected at least ${media.body.length} more bytes served`);
+
+      const scraped = await makeRequest('/metrics');
+      if (!/^text\/plain;.*version=0.0.4/.test(scraped.headers['content-type'])) throw new Error(`Unexpected content type ${scraped.headers['content-type']}`);
+      const lines = scraped.data.split('\n');
+      const issued = lines
+        .filter(line => line.startsWith('powerofaum_urls_issued_total{'))
+        .reduce((total, line) => total + Number(line.split(' ').pop()), 0);
+      if (issued < after.totalTokensGenerated) throw new Error('/api/stats and /metrics should agree on issued URLs');
+      if (!lines.some(line => line.startsWith('powerofaum_media_requests_total{status="200",outcome="granted",media_type="video"}'))) throw new Error('Missing media request series');
+      if (!lines.some(line => line.startsWith('powerofaum_http_request_duration_seconds_count{method="GET",route="/media/*",status="200"}'))) throw new Error('Missing route latency histogram');
+      if (!lines.some(line => line.startsWith('powerofaum_active_urls '))) throw new Error('Missing active URL gauge');
+    });
+
+    // Test 47: Every failure carries a stable code, a request ID and optionally RFC 7807 output
+    test('Return machine-readable error codes', async () => {
+      const missing = await makeRequest('/api/generate-signed-url?userId=USER_047', { ...serviceHeaders, 'X-Request-Id': 'req-047' });
+      if (missing.status !== 400 || missing.data.code !== 'MISSING_PARAM') throw new Error(`Expected MISSING_PARAM, got ${JSON.stringify(missing.data)}`);
+      if (missing.data.requestId !== 'req-047' || missing.headers['x-request-id'] !== 'req-047') throw new Error('The incoming request ID should be echoed');
+      const generated = await makeRequest('/api/invalid-endpoint');
+      if (generated.data.code !== 'ROUTE_NOT_FOUND' || !/^[0-9a-f-]{36}$/.test(generated.data.requestId)) throw new Error('Requests without an ID should get one');
+
+      const mediaPath = await generateMediaPath('/audio/meditation.mp3', 'USER_047');
+      const expired = signParams('/audio/meditation.mp3', { userId: 'USER_047', expires: String(Math.floor(Date.now() / 1000) - 60) });
+      const responses = await Promise.all([
+        makeRequest(`/media/audio/meditation.mp3?${new URLSearchParams(expired)}`),
+        makeRequest(mediaPath.replace(/expires=\d+/, 'expires=9999999999')),
+        makeRequest(mediaPath.replace(/kid=[^&]+/, 'kid=retired')),
+        makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_047', {})
+      ]);
+      const codes = responses.map(response => `${response.status}:${response.data.code}`).join();
+      if (codes !== '410:TOKEN_EXPIRED,403:TOKEN_MISMATCH,401:TOKEN_INVALID,401:UNAUTHENTICATED') throw new Error(`Unexpected codes ${codes}`);
+
+      const validation = await makeRequest(`/api/validate-token?url=${encodeURIComponent(`https://example.com/media/audio/meditation.mp3?${new URLSearchParams(expired)}`)}`);
+      if (validation.data.valid !== false || validation.data.code !== 'TOKEN_EXPIRED') throw new Error('Validation failures should carry a code');
+      const badBody = await makeRequest('/api/generate-signed-urls', { ...serviceHeaders, 'Content-Type': 'application/json' }, 'POST', '{"userId":');
+      if (badBody.status !== 400 || badBody.data.code !== 'INVALID_BODY') throw new Error(`Expected INVALID_BODY, got ${badBody.status}`);
+
+      const problem = await makeRequest(`/media/audio/meditation.mp3?${new URLSearchParams(expired)}`, { Accept: 'application/problem+json' });
+      if (!problem.headers['content-type'].startsWith('application/problem+json')) throw new Error(`Unexpected content type ${problem.headers['content-type']}`);
+      const { type, title, status, detail, instance, code, requestId } = problem.data;
+      if (type !== 'urn:powerofaum:error:TOKEN_EXPIRED' || title !== 'Signed URL has expired' || status !== 410 || code !== 'TOKEN_EXPIRED') throw new Error(`Unexpected problem ${JSON.stringify(problem.data)}`);
+      if (detail !== 'Signed URL has expired: This URL has expired' || instance !== '/media/audio/meditation.mp3' || !requestId || !problem.data.expiredAt) throw new Error(`Unexpected problem details ${JSON.stringify(problem.data)}`);
+    });
+
+    // Test 48: /openapi.json describes every route, and its schemas validate requests
+    test('Serve an OpenAPI document that drives validation', async () => {
+      const spec = (await makeRequest('/openapi.json')).data;
+      if (spec.openapi !== '3.1.0' || !spec.paths['/api/generate-signed-url'].get) throw new Error('Missing OpenAPI document');
+
+      // Every Express route, Postman request and explicit Vercel route must be in the document
+      const routes = app._router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => [method, toOpenApiPath(layer.route.path)]));
+      const collection = JSON.parse(fs.readFileSync(path.join(__dirname, 'PowerOfAum-Postman-Collection.json'), 'utf8'));
+      const requests = collection.item.map(item => [item.request.method.toLowerCase(), item.request.url.raw.replace('{{baseUrl}}', '').split('?')[0]]);
+      const vercelRoutes = JSON.parse(fs.readFileSync(path.join(__dirname, 'vercel.json'), 'utf8')).routes
+        .filter(route => !route.src.includes('(') && route.dest === '/server.js')
+        .map(route => ['get', route.src]);
+      for (const [method, routePath] of [...routes, ...requests, ...vercelRoutes]) {
+        if (!spec.paths[routePath] || !spec.paths[routePath][method]) throw new Error(`${method.toUpperCase()} ${routePath} is missing from /openapi.json`);
+      }
+      const info = await makeRequest('/info');
+      if (info.data.endpoints['OpenAPI Document'] !== 'GET /openapi.json') throw new Error('/info should list the documented endpoints');
+
+      const invalid = await Promise.all([
+        makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_048&maxUses=0'),
+        makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_048&delivery=carrier-pigeon'),
+        makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=bad!user'),
+        makeRequest('/api/generate-signed-url?prefix=/courses/./&userId=USER_048'),
+        postJson('/api/generate-signed-urls', { userId: 'USER_048', filePaths: [] }),
+        makeRequest('/api/tokens/not-a-token', serviceHeaders, 'DELETE'),
+        makeRequest('/api/audit?limit=5000')
+      ]);
+      const codes = invalid.map(response => `${response.status}:${response.data.code}`).join();
+      if (codes !== '400:INVALID_PARAM,400:INVALID_PARAM,400:INVALID_USER_ID,400:INVALID_PATH,400:INVALID_PARAM,400:INVALID_PARAM,400:INVALID_PARAM') throw new Error(`Unexpected codes ${codes}`);
+      if (invalid[1].data.error !== 'Invalid delivery. Must be one of: proxy, redirect, direct.') throw new Error(`Unexpected message ${invalid[1].data.error}`);
+      if (!invalid[0].data.error.startsWith('Invalid maxUses.')) throw new Error(`Unexpected message ${invalid[0].data.error}`);
+    });
+
+    // Test 49: The client SDK signs and verifies offline, wraps the HTTP API and protects routes
+    test('Sign, verify and protect with the client SDK', async () => {
+      const { ApiError, createClient, createSigner, protect } = app.client;
+      if (require('./package.json').exports['./client'].default !== './lib/client.js') throw new Error('The client should be exported from the package');
+
+      // URLs signed offline with the shared keys work against /media/*, and the other way round
+      const signer = createSigner({ keys: config.signingKeys.keys, keyId: config.signingKeys.activeKeyId });
+      const offline = signer.sign('/videos/intro.mp4', { userId: 'USER_049', expiresIn: 60 });
+      const served = await makeRequest(offline.signedUrl);
+      if (served.status !== 200) throw new Error(`Offline-signed URL should be served, got ${served.status}`);
+
+      const client = createClient({ baseUrl: `http://localhost:${testPort}`, apiKey: 'test-service-key', retryDelayMs: 10 });
+      const generated = await client.generateSignedUrl({ filePath: '/audio/meditation.mp3', userId: 'USER_049', maxUses: 2 });
+      const verified = signer.verify(generated.signedUrl);
+      if (!verified.valid || verified.claims.userId !== 'USER_049' || verified.claims.maxUses !== '2') throw new Error('Server-signed URL should verify offline');
+      if (signer.verify(generated.signedUrl.replace('meditation', 'other')).code !== 'TOKEN_MISMATCH') throw new Error('Tampered URL should not verify');
+      const validation = await client.validateToken(generated.signedUrl);
+      if (!validation.valid || validation.tokenData.usesRemaining !== 2) throw new Error('validateToken should report the URL as valid');
+
+      let failure;
+      try {
+        await client.generateSignedUrl({ filePath: '/videos/intro.mp4', userId: 'bad!user' });
+      } catch (error) {
+        failure = error;
+      }
+      if (!(failure instanceof ApiError) || failure.code !== 'INVALID_USER_ID' || failure.status !== 400 || !failure.requestId) throw new Error('Failures should throw an ApiError with the code');
+
+      // Retry-After on 503 is honored before retrying; protect() answers like /media/*
+      let attempts = 0;
+      const sdkApp = express();
+      sdkApp.get('/api/flags', (req, res) => {
+        attempts++;
+        if (attempts === 1) return res.set('Retry-After', '0').status(503).json({ success: false, code: 'DELIVERY_UNAVAILABLE' });
+        res.json({ success: true, count: 0, flags: [], apiKey: req.get('x-api-key') });
+      });
+      const revoked = new Set();
+      const downloads = createSigner({ secret: 'downloads-secret', mediaPath: '/downloads' });
+      sdkApp.use('/downloads', protect({ signer: downloads, isRevoked: token => revoked.has(token) && { revokedAt: 1 } }), (req, res) => {
+        res.json({ userId: req.signedUrl.claims.userId, filePath: req.signedUrl.claims.filePath });
+      });
+      const sdkServer = sdkApp.listen(0);
+      await new Promise(resolve => sdkServer.once('listening', resolve));
+      try {
+        const sdkBase = `http://localhost:${sdkServer.address().port}`;
+        const flags = await createClient({ baseUrl: sdkBase, apiKey: 'k', retryDelayMs: 10 }).listFlags();
+        if (attempts !== 2 || flags.apiKey !== 'k') throw new Error(`Expected one retry with the API key, got ${attempts} attempts`);
+
+        const fetchJson = async (url) => {
+          const response = await fetch(url);
+          return { status: response.status, data: await response.json() };
+        };
+        const allowed = downloads.sign('/reports/q3.pdf', { userId: 'USER_049' });
+        const granted = await fetchJson(`${sdkBase}${allowed.signedUrl}`);
+        if (granted.status !== 200 || granted.data.userId !== 'USER_049' || granted.data.filePath !== '/reports/q3.pdf') throw new Error(`Unexpected protected response ${JSON.stringify(granted)}`);
+
+        const expired = downloads.sign('/reports/q3.pdf', { userId: 'USER_049', expires: Math.floor(Date.now() / 1000) - 10 });
+        revoked.add(allowed.token);
+        const refused = await Promise.all([
+          fetchJson(`${sdkBase}${expired.signedUrl}`),
+          fetchJson(`${sdkBase}${allowed.signedUrl}`),
+          fetchJson(`${sdkBase}${offline.signedUrl.replace('/media', '/downloads')}`),
+          fetchJson(`${sdkBase}/downloads/reports/q3.pdf`)
+        ]);
+        const codes = refused.map(response => `${response.status}:${response.data.code}`).join();
+        if (codes !== '410:TOKEN_EXPIRED,403:TOKEN_REVOKED,401:TOKEN_INVALID,400:MISSING_PARAM') throw new Error(`Unexpected codes ${codes}`);
+      } finally {
+        sdkServer.close();
+      }
+    });
+
+    // Test 50: Webhooks deliver signed events, retry, and keep failed deliveries as dead letters
+    test('Deliver webhook events with retries and dead letters', async () => {
+      const { verifyWebhookSignature } = app.client;
+      const generated = await makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_050');
+      const issued = await waitForWebhook(event => event.type === 'url.issued' && event.data.userId === 'USER_050');
+      if (issued.event.data.filePath !== '/videos/intro.mp4' || !issued.event.data.tokenId || issued.headers['x-webhook-event'] !== 'url.issued') throw new Error(`Unexpected event ${issued.body}`);
+      const signature = { body: issued.body, signature: issued.headers['x-webhook-signature'], timestamp: issued.headers['x-webhook-timestamp'] };
+      if (!verifyWebhookSignature('hook-secret', signature) || verifyWebhookSignature('other-secret', signature)) throw new Error('Webhook signature should verify with the shared secret only');
+
+      const signedUrl = new URL(generated.data.signedUrl);
+      await makeRequest(signedUrl.pathname + signedUrl.search);
+      await makeRequest(signedUrl.pathname + signedUrl.search, { Range: 'bytes=10-' });
+      await makeRequest(signedUrl.pathname + signedUrl.search.replace(/token=\w/, 'token=0'));
+      await waitForWebhook(event => event.type === 'media.granted' && event.data.userId === 'USER_050');
+      const denied = await waitForWebhook(event => event.type === 'media.denied' && event.data.userId === 'USER_050');
+      if (denied.event.data.outcome !== 'invalid_signature' || denied.event.data.status !== 403) throw new Error(`Unexpected event ${denied.body}`);
+      const granted = webhookDeliveries.filter(delivery => delivery.event.type === 'media.granted' && delivery.event.data.userId === 'USER_050');
+      if (granted.length !== 1) throw new Error(`Expected one media.granted event for the playback session, got ${granted.length}`);
+
+      await makeRequest('/api/tokens?userId=USER_050', serviceHeaders, 'DELETE');
+      await waitForWebhook(event => event.type === 'url.revoked' && event.data.userId === 'USER_050');
+
+      // The broken subscription fails both attempts and the delivery becomes a dead letter
+      const findDeadLetter = async () => {
+        for (let i = 0; i < 40; i++) {
+          const response = await makeRequest('/api/webhooks/dead-letters', serviceHeaders);
+          const found = response.data.deadLetters.find(entry => entry.event.data.userId === 'USER_050');
+          if (found) return found;
+          await new Promise(resolve => setTimeout(resolve, 25));
+        }
+        throw new Error('Expected a dead letter');
+      };
+      const deadLetter = await findDeadLetter();
+      if (deadLetter.subscription !== 'broken' || deadLetter.attempts !== 2 || deadLetter.lastError !== 'Receiver answered 500') throw new Error(`Unexpected dead letter ${JSON.stringify(deadLetter)}`);
+      const retried = await makeRequest(`/api/webhooks/dead-letters/${deadLetter.id}/retry`, serviceHeaders, 'POST');
+      if (retried.status !== 202 || retried.data.event !== 'url.revoked') throw new Error(`Expected 202, got ${retried.status}`);
+      if ((await findDeadLetter()).id !== deadLetter.id) throw new Error('A retried delivery that fails again should return as the same dead letter');
+      const discarded = await makeRequest(`/api/webhooks/dead-letters/${deadLetter.id}`, serviceHeaders, 'DELETE');
+      const missing = await makeRequest(`/api/webhooks/dead-letters/${deadLetter.id}`, serviceHeaders, 'DELETE');
+      if (discarded.status !== 200 || missing.status !== 404) throw new Error(`Expected 200 then 404, got ${discarded.status} and ${missing.status}`);
+      const subscriptions = await makeRequest('/api/webhooks', serviceHeaders);
+      if (subscriptions.data.subscriptions.length !== 3 || subscriptions.data.subscriptions.some(subscription => subscription.secret)) throw new Error('Subscriptions should be listed without secrets');
+
+      // url.expired is sent once for each tracked URL past its expiry
+      const webhooks = createWebhooks({ path: webhooksPath, store: createMemoryTokenStore(), maxAttempts: 1, retryDelayMs: 10, timeoutMs: 1000, deadLetterTtlSeconds: 60 });
+      await webhooks.trackExpiry('expired-050', { tokenId: 'expired-050', userId: 'USER_050' }, Math.floor(Date.now() / 1000) - 1);
+      await webhooks.trackExpiry('live-050', { tokenId: 'live-050', userId: 'USER_050' }, Math.floor(Date.now() / 1000) + 60);
+      const sent = [await webhooks.checkExpired(), await webhooks.checkExpired()];
+      if (sent.join() !== '1,0') throw new Error(`Expected one url.expired event, sent ${sent.join()}`);
+      await waitForWebhook(event => event.type === 'url.expired' && event.data.tokenId === 'expired-050');
+    });
+
+    // Test 51: The admin dashboard lists active URLs, extends them and charts access outcomes
+    test('List, extend and chart signed URLs for the admin dashboard', async () => {
+      const page = await makeRequest('/admin', {});
+      if (page.status !== 200 || !/text\/html/.test(page.headers['content-type']) || !page.data.includes('/api/tokens')) throw new Error('Expected the dashboard page');
+
+      const intro = await generateMediaPath('/videos/intro.mp4', 'USER_051', '&expiresIn=60');
+      await generateMediaPath('/audio/meditation.mp3', 'USER_051');
+      const token = new URLSearchParams(intro.split('?')[1]).get('token');
+      const listed = await makeRequest('/api/tokens?userId=USER_051&pathPrefix=/videos/');
+      if (listed.status !== 200 || listed.data.count !== 1 || listed.data.tokens[0].token !== token) throw new Error(`Expected one active video URL, got ${JSON.stringify(listed.data)}`);
+      if (listed.data.tokens[0].remainingSeconds > 60 || listed.data.tokens[0].revocation !== null) throw new Error('Active URLs should show their remaining time');
+      const forbidden = await makeRequest('/api/tokens', { 'X-API-Key': 'user-042-key' });
+      if (forbidden.status !== 403) throw new Error(`Listing tokens should need an admin, got ${forbidden.status}`);
+
+      // Extending moves the expiry reported for the URL; shortening or unknown tokens are refused
+      const extended = await postJson(`/api/tokens/${token}/extend`, { expiresIn: 3600 });
+      if (extended.status !== 200 || extended.data.extension.expiresAt - extended.data.extension.previousExpiresAt < 3000) throw new Error(`Unexpected extension ${JSON.stringify(extended.data)}`);
+      const validation = await makeRequest(`/api/validate-token?url=${encodeURIComponent(`${baseUrl}${intro}`)}`);
+      if (validation.data.tokenData.expiresAt !== extended.data.extension.expiresAt || !validation.data.tokenData.extendedAt) throw new Error('validate-token should report the extended expiry');
+      const relisted = await makeRequest('/api/tokens?userId=USER_051&pathPrefix=/videos/');
+      if (relisted.data.tokens[0].expiresAt !== extended.data.extension.expiresAt) throw new Error('The listing should show the extended expiry');
+      const refused = await Promise.all([
+        postJson(`/api/tokens/${token}/extend`, { expiresIn: 60 }),
+        postJson(`/api/tokens/${'0'.repeat(64)}/extend`, { expiresIn: 3600 }),
+        postJson(`/api/tokens/${token}/extend`, {})
+      ]);
+      const codes = refused.map(response => `${response.status}:${response.data.code}`).join();
+      if (codes !== '400:INVALID_PARAM,404:NOT_FOUND,400:MISSING_PARAM') throw new Error(`Unexpected codes ${codes}`);
+
+      // Manifests sign their segments with the extended expiry, and segments follow the manifest's extension
+      const master = await generateMediaPath('/courses/yoga-102/hls/master.m3u8', 'USER_051');
+      const masterToken = new URLSearchParams(master.split('?')[1]).get('token');
+      const masterExtension = await postJson(`/api/tokens/${masterToken}/extend`, { expiresIn: 7200 });
+      const playlist = await makeRequest(master);
+      const variantPath = playlist.data.split('\n').find(line => line.startsWith('/media/'));
+      if (new URL(variantPath, baseUrl).searchParams.get('expires') !== String(masterExtension.data.extension.expiresAt)) throw new Error('Manifest URIs should carry the extended expiry');
+      const expiredSegment = signParams('/courses/yoga-102/hls/720p/segment-1.ts', { userId: 'USER_051', expires: String(Math.floor(Date.now() / 1000) - 10), parent: masterToken });
+      const segment = await makeRequest(`/media/courses/yoga-102/hls/720p/segment-1.ts?${new URLSearchParams(expiredSegment)}`);
+      if (segment.status !== 200) throw new Error(`Expected 200 for a segment of an extended manifest, got ${segment.status}`);
+
+      // Expired URLs with an extension verify again
+      const extensions = createExtensionList({ store: createMemoryTokenStore() });
+      const expired = signParams('/videos/intro.mp4', { userId: 'USER_051', expires: String(Math.floor(Date.now() / 1000) - 10) });
+      const record = { filePath: '/videos/intro.mp4', userId: 'USER_051', expires: Math.floor(Date.now() / 1000) - 10 };
+      if (await extensions.check(expired.token)) throw new Error('URLs start without an extension');
+      await extensions.extend(expired.token, record, Math.floor(Date.now() / 1000) + 60);
+      if (verifyParams('/videos/intro.mp4', expired).reason !== 'expired' || !(await extensions.check(expired.token))) throw new Error('The extension should be kept for the expired URL');
+
+      // Requests show up in the timeline under their outcome
+      await makeRequest(intro);
+      await makeRequest(intro.replace(/token=\w/, 'token=0'));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const timeline = await makeRequest(`/api/audit/timeline?interval=60&from=${Math.floor(Date.now() / 1000) - 600}`);
+      const totals = {};
+      for (const bucket of timeline.data.buckets) {
+        for (const [outcome, count] of Object.entries(bucket.counts)) totals[outcome] = (totals[outcome] || 0) + count;
+      }
+      if (timeline.data.buckets.length < 10 || !totals.granted || !totals.invalid_signature) throw new Error(`Unexpected timeline totals ${JSON.stringify(totals)}`);
+      const tooLong = await makeRequest('/api/audit/timeline?interval=60&from=0');
+      if (tooLong.status !== 400) throw new Error(`Expected 400 for too many intervals, got ${tooLong.status}`);
+    });
+
+    // Test 52: Image transformations are bound into the signature and rendered once into the cache
+    test('Serve signed image transformations from a disk cache', async () => {
+      const sharp = require('sharp');
+      fs.mkdirSync(path.join(mediaRoot, 'courses', 'artwork'), { recursive: true });
+      await sharp({ create: { width: 400, height: 200, channels: 3, background: '#ff6b6b' } })
+        .png()
+        .toFile(path.join(mediaRoot, 'courses', 'artwork', 'banner.png'));
+
+      const generated = await makeRequest('/api/generate-signed-url?filePath=/courses/artwork/banner.png&userId=USER_052&width=100&format=webp&quality=60');
+      const { transform } = generated.data.metadata;
+      if (generated.status !== 200 || transform.width !== 100 || transform.format !== 'webp' || transform.quality !== 60) throw new Error(`Unexpected metadata ${JSON.stringify(generated.data.metadata)}`);
+
+      const signedUrl = new URL(generated.data.signedUrl);
+      const mediaPath = signedUrl.pathname + signedUrl.search;
+      const [first, second] = [await makeRequest(mediaPath), await makeRequest(mediaPath)];
+      if (first.status !== 200 || first.headers['content-type'] !== 'image/webp') throw new Error(`Expected a webp image, got ${first.status} ${first.headers['content-type']}`);
+      const rendered = await sharp(first.body).metadata();
+      if (rendered.format !== 'webp' || rendered.width !== 100 || rendered.height !== 50) throw new Error(`Unexpected rendition ${rendered.format} ${rendered.width}x${rendered.height}`);
+      if (second.headers.etag !== first.headers.etag || fs.readdirSync(imageCacheDir).filter(name => name.endsWith('.webp')).length !== 1) throw new Error('The second request should be served from the cache');
+
+      // Other sizes need their own signed URL
+      const resized = await makeRequest(mediaPath.replace('w=100', 'w=400'));
+      if (resized.status !== 403 || resized.data.code !== 'TOKEN_MISMATCH') throw new Error(`Expected 403 for a changed width, got ${resized.status}`);
+
+      // The client SDK signs transformations too; images are cropped to fit and never enlarged
+      const signer = app.client.createSigner({ keys: config.signingKeys.keys, keyId: config.signingKeys.activeKeyId });
+      const cropped = await makeRequest(signer.sign('/courses/artwork/banner.png', { userId: 'USER_052', width: 50, height: 50, fit: 'cover' }).signedUrl);
+      const enlarged = await makeRequest(signer.sign('/courses/artwork/banner.png', { userId: 'USER_052', width: 800 }).signedUrl);
+      const sizes = [await sharp(cropped.body).metadata(), await sharp(enlarged.body).metadata()].map(image => `${image.format}:${image.width}x${image.height}`);
+      if (sizes.join() !== 'png:50x50,png:400x200') throw new Error(`Unexpected renditions ${sizes.join()}`);
+
+      const refused = await Promise.all([
+        makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_052&width=100'),
+        makeRequest('/api/generate-signed-url?filePath=/courses/artwork/banner.png&userId=USER_052&width=100&fit=cover'),
+        makeRequest('/api/generate-signed-url?filePath=/courses/artwork/banner.png&userId=USER_052&width=100&delivery=redirect'),
+        makeRequest('/api/generate-signed-url?prefix=/courses/artwork/&userId=USER_052&width=100'),
+        makeRequest('/api/generate-signed-url?filePath=/courses/artwork/banner.png&userId=USER_052&format=gif')
+      ]);
+      const codes = refused.map(response => `${response.status}:${response.data.code}`).join();
+      if (codes !== '400:INVALID_PARAM,400:INVALID_PARAM,400:DELIVERY_NOT_SUPPORTED,400:INVALID_PARAM,400:INVALID_PARAM') throw new Error(`Unexpected codes ${codes}`);
+
+      // Pruning drops renditions unused for the TTL, then the least recently used over the size limit
+      const pruneDir = path.join(imageCacheDir, '..', `${path.basename(imageCacheDir)}-prune`);
+      fs.mkdirSync(pruneDir, { recursive: true });
+      const usedAgo = { 'stale.png': 7200, 'old.png': 60, 'recent.png': 10, 'fresh.png': 0 };
+      for (const [name, seconds] of Object.entries(usedAgo)) {
+        fs.writeFileSync(path.join(pruneDir, name), Buffer.alloc(100));
+        const usedAt = new Date(Date.now() - seconds * 1000);
+        fs.utimesSync(path.join(pruneDir, name), usedAt, usedAt);
+      }
+      try {
+        const removed = await createRenderer({ cacheDir: pruneDir, maxBytes: 250, ttlSeconds: 3600 }).prune();
+        const remaining = fs.readdirSync(pruneDir).sort().join();
+        if (removed !== 2 || remaining !== 'fresh.png,recent.png') throw new Error(`Unexpected cache after pruning: ${remaining}`);
+      } finally {
+        fs.rmSync(pruneDir, { recursive: true, force: true });
+      }
+    });
+
+    // Test 53: Watermarks name the user in every copy, and the disposition is part of the signature
+    test('Watermark files per user and sign their Content-Disposition', async () => {
+      const { PDFDocument } = require('pdf-lib');
+      const sharp = require('sharp');
+      const handout = await PDFDocument.create();
+      handout.addPage([595, 842]);
+      fs.mkdirSync(path.join(mediaRoot, 'courses', 'handouts'), { recursive: true });
+      fs.writeFileSync(path.join(mediaRoot, 'courses', 'handouts', 'notes.pdf'), await handout.save());
+      await sharp({ create: { width: 300, height: 200, channels: 3, background: '#667eea' } })
+        .jpeg()
+        .toFile(path.join(mediaRoot, 'courses', 'handouts', 'poster.jpg'));
+
+      const generated = await makeRequest(`/api/generate-signed-url?filePath=/courses/handouts/notes.pdf&userId=USER_053&watermark=true&watermarkEmail=ana@example.com&filename=${encodeURIComponent('Yoga Notes.pdf')}`);
+      const { watermark, disposition } = generated.data.metadata;
+      if (generated.status !== 200 || watermark.email !== 'ana@example.com' || disposition.type !== 'attachment' || disposition.filename !== 'Yoga Notes.pdf') throw new Error(`Unexpected metadata ${JSON.stringify(generated.data.metadata)}`);
+
+      const signedUrl = new URL(generated.data.signedUrl);
+      const stamped = await makeRequest(signedUrl.pathname + signedUrl.search);
+      if (stamped.status !== 200 || stamped.headers['content-type'] !== 'application/pdf' || stamped.headers['content-disposition'] !== 'attachment; filename="Yoga Notes.pdf"') throw new Error(`Unexpected response ${stamped.status} ${stamped.headers['content-disposition']}`);
+      const subject = (await PDFDocument.load(stamped.body)).getSubject();
+      const id = tokenId(signedUrl.searchParams.get('token')).slice(0, 12);
+      if (!subject.startsWith('Licensed to USER_053 (ana@example.com)') || !subject.endsWith(id)) throw new Error(`Unexpected watermark ${subject}`);
+      const partial = await makeRequest(signedUrl.pathname + signedUrl.search, { Range: 'bytes=0-9' });
+      if (partial.status !== 206 || partial.body.toString() !== stamped.body.subarray(0, 10).toString()) throw new Error('Watermarked files should support ranges');
+      const stripped = await makeRequest(signedUrl.pathname + signedUrl.search.replace('wm=1&', ''));
+      if (stripped.status !== 403 || stripped.data.code !== 'TOKEN_MISMATCH') throw new Error(`Removing the watermark should break the signature, got ${stripped.status}`);
+
+      // Images get a visible stamp; other files keep their bytes but take the signed disposition
+      const poster = await generateMediaPath('/courses/handouts/poster.jpg', 'USER_053', '&watermark=true');
+      const plain = await generateMediaPath('/courses/handouts/poster.jpg', 'USER_053', '&disposition=inline');
+      const [marked, unmarked] = [await makeRequest(poster), await makeRequest(plain)];
+      const pixels = [await sharp(marked.body).raw().toBuffer(), await sharp(unmarked.body).raw().toBuffer()];
+      if (marked.headers['content-type'] !== 'image/jpeg' || pixels[0].equals(pixels[1])) throw new Error('The image should carry a visible watermark');
+      if (unmarked.headers['content-disposition'] !== 'inline; filename="poster.jpg"') throw new Error(`Unexpected disposition ${unmarked.headers['content-disposition']}`);
+      const video = await makeRequest(await generateMediaPath('/videos/intro.mp4', 'USER_053', `&filename=${encodeURIComponent('Übung 1.mp4')}`));
+      if (video.headers['content-disposition'] !== "attachment; filename=\"_bung 1.mp4\"; filename*=UTF-8''%C3%9Cbung%201.mp4" || video.body.length !== 1000) throw new Error(`Unexpected disposition ${video.headers['content-disposition']}`);
+
+      const refused = await Promise.all([
+        makeRequest('/api/generate-signed-url?filePath=/videos/intro.mp4&userId=USER_053&watermark=true'),
+        makeRequest('/api/generate-signed-url?filePath=/courses/handouts/notes.pdf&userId=USER_053&watermark=true&delivery=redirect'),
+        makeRequest('/api/generate-signed-url?prefix=/courses/handouts/&userId=USER_053&filename=notes.pdf'),
+        makeRequest('/api/generate-signed-url?filePath=/courses/handouts/notes.pdf&userId=USER_053&filename=..%2Fsecret.pdf'),
+        makeRequest('/api/generate-signed-url?filePath=/courses/handouts/notes.pdf&userId=USER_053&watermarkEmail=ana@example.com'),
+        makeRequest('/api/generate-signed-url?filePath=/courses/yoga-102/hls/master.m3u8&userId=USER_053&disposition=attachment')
+      ]);
+      const codes = refused.map(response => `${response.status}:${response.data.code}`).join();
+      if (codes !== '400:INVALID_PARAM,400:DELIVERY_NOT_SUPPORTED,400:INVALID_PARAM,400:INVALID_PARAM,400:INVALID_PARAM,400:INVALID_PARAM') throw new Error(`Unexpected codes ${codes}`);
+    });
+
+    // Test 54: Upload URLs store a file only within their signed path, type, size and checksum
+    test('Receive uploads through signed upload URLs', async () => {
+      const recording = Buffer.from('recorded lecture');
+      const checksum = crypto.createHash('sha256').update(recording).digest('hex');
+      const generated = await makeRequest(`/api/generate-signed-upload-url?filePath=/courses/instructor-054/lecture.mp4&userId=USER_054&maxSize=1024&sha256=${checksum}`);
+      const { metadata } = generated.data;
+      if (generated.status !== 200 || generated.data.method !== 'PUT' || metadata.maxSize !== 1024 || metadata.contentTypes.join() !== 'video/mp4' || metadata.delivery !== 'upload') throw new Error(`Unexpected response ${JSON.stringify(generated.data)}`);
+      const uploadUrl = new URL(generated.data.uploadUrl);
+      const uploadPath = uploadUrl.pathname + uploadUrl.search;
+      const video = { 'Content-Type': 'video/mp4' };
+
+      const refused = [
+        await makeRequest(uploadPath, video, 'POST', recording),
+        await makeRequest(uploadPath, { 'Content-Type': 'image/png' }, 'PUT', recording),
+        await makeRequest(uploadPath, video, 'PUT', Buffer.from('tampered lecture')),
+        await makeRequest(uploadPath.replace('lecture.mp4', 'other.mp4'), video, 'PUT', recording),
+        await makeRequest(uploadPath.replace('maxSize=1024', 'maxSize=4096'), video, 'PUT', recording),
+        await makeRequest(uploadPath.replace('/upload/', '/media/'))
+      ];
+      const codes = refused.map(response => `${response.status}:${response.data.code}`).join();
+      if (codes !== '405:METHOD_NOT_ALLOWED,415:UNSUPPORTED_MEDIA_TYPE,400:CHECKSUM_MISMATCH,403:TOKEN_MISMATCH,403:TOKEN_MISMATCH,403:TOKEN_MISMATCH') throw new Error(`Unexpected codes ${codes}`);
+      if (refused[0].headers.allow !== 'PUT' || fs.existsSync(path.join(mediaRoot, 'courses', 'instructor-054', 'lecture.mp4'))) throw new Error('Refused uploads should not be stored');
+
+      const stored = await makeRequest(uploadPath, { 'Content-Type': 'video/mp4; codecs="avc1"' }, 'PUT', recording);
+      if (stored.status !== 201 || stored.data.sha256 !== checksum || stored.data.size !== recording.length || stored.data.contentType !== 'video/mp4') throw new Error(`Unexpected upload ${stored.status} ${JSON.stringify(stored.data)}`);
+      const streamed = await makeRequest(await generateMediaPath('/courses/instructor-054/lecture.mp4', 'USER_054'));
+      if (!streamed.body.equals(recording)) throw new Error('The uploaded file should be served like any other');
+      const again = await makeRequest(uploadPath, video, 'PUT', recording);
+      const resigned = await makeRequest('/api/generate-signed-upload-url?filePath=/courses/instructor-054/lecture.mp4&userId=USER_054');
+      if (again.data.code !== 'FILE_EXISTS' || resigned.data.code !== 'FILE_EXISTS') throw new Error('Existing files need overwrite=true');
+
+      // Prefix URLs let the uploader name files of the signed media types under the prefix
+      const prefixed = await makeRequest('/api/generate-signed-upload-url?prefix=/courses/instructor-054/audio/&mediaTypes=audio&userId=USER_054&maxSize=8&method=POST');
+      if (prefixed.data.metadata.contentTypes.join() !== 'audio/mpeg,audio/wav,audio/ogg,audio/aac') throw new Error(`Unexpected content types ${prefixed.data.metadata.contentTypes}`);
+      const prefixUrl = new URL(prefixed.data.uploadUrl);
+      const uploadAt = name => `${prefixUrl.pathname}${name}${prefixUrl.search}`;
+      const chant = await makeRequest(uploadAt('chant.mp3'), { 'Content-Type': 'audio/mpeg' }, 'POST', 'ID3chant');
+      const clip = await makeRequest(uploadAt('clip.mp4'), video, 'POST', 'clip');
+      const chunked = await makeRequest(uploadAt('long.mp3'), { 'Content-Type': 'audio/mpeg', 'Transfer-Encoding': 'chunked' }, 'POST', Buffer.alloc(64));
+      if (chant.status !== 201 || fs.readFileSync(path.join(mediaRoot, 'courses', 'instructor-054', 'audio', 'chant.mp3'), 'utf8') !== 'ID3chant') throw new Error(`Unexpected prefix upload ${chant.status}`);
+      if (clip.data.code !== 'TOKEN_MISMATCH' || chunked.status !== 413 || chunked.data.code !== 'UPLOAD_TOO_LARGE') throw new Error(`Unexpected refusals ${clip.status} ${chunked.status}`);
+      if (fs.readdirSync(path.join(mediaRoot, 'courses', 'instructor-054', 'audio')).join() !== 'chant.mp3') throw new Error('Refused uploads should leave no files behind');
+
+      const audited = (await makeRequest('/api/audit?userId=USER_054')).data.entries.filter(entry => entry.event === 'upload');
+      if (!audited.some(entry => entry.outcome === 'stored' && entry.sha256 === checksum) || !audited.some(entry => entry.outcome === 'too_large')) throw new Error('Uploads should be audited');
+
+      const invalid = await Promise.all([
+        makeRequest('/api/generate-signed-upload-url?filePath=/courses/instructor-054/notes.mp4&userId=USER_054', { 'X-API-Key': 'user-042-key' }),
+        makeRequest('/api/generate-signed-upload-url?filePath=/courses/instructor-054/notes.txt&userId=USER_054'),
+        makeRequest('/api/generate-signed-upload-url?filePath=/courses/instructor-054/notes.mp4&userId=USER_054&maxSize=0'),
+        makeRequest('/api/generate-signed-upload-url?filePath=/courses/instructor-054/notes.mp4&userId=USER_054&method=PATCH'),
+        makeRequest('/api/generate-signed-upload-url?filePath=/courses/instructor-054/notes.mp4&userId=USER_054&mediaTypes=audio')
+      ]);
+      const invalidCodes = invalid.map(response => `${response.status}:${response.data.code}`).join();
+      if (invalidCodes !== '403:ADMIN_REQUIRED,400:INVALID_PATH,400:INVALID_PARAM,400:INVALID_PARAM,400:INVALID_PARAM') throw new Error(`Unexpected codes ${invalidCodes}`);
+
+      // Every storage driver can store uploads; S3 checks the payload hash it was signed with
+      const memory = createMemoryStorage();
+      await memory.write('/uploads/a.mp4', Readable.from([recording]), { size: recording.length });
+      const s3Objects = {};
+      const fakeS3 = createFakeS3('media', s3Objects);
+      await new Promise(resolve => fakeS3.listen(0, resolve));
+      try {
+        const s3 = createS3Storage({ endpoint: `http://localhost:${fakeS3.address().port}`, bucket: 'media', accessKeyId: 'AKID', secretAccessKey: 'secret' });
+        await s3.write('/uploads/a.mp4', Readable.from([recording]), { size: recording.length, contentType: 'video/mp4', sha256: checksum });
+        const rejected = await s3.write('/uploads/b.mp4', Readable.from([recording]), { size: recording.length, sha256: '0'.repeat(64) }).catch(error => error);
+        if (!s3Objects['uploads/a.mp4'].equals(recording) || !/XAmzContentSHA256Mismatch/.test(rejected.message)) throw new Error('Unexpected S3 upload');
+      } finally {
+        fakeS3.close();
+      }
+      if ((await memory.stat('/uploads/a.mp4')).size !== recording.length) throw new Error('Unexpected memory upload');
+    });
+
+    // Test 55: Dot and empty segments are refused before the entitlement policy and storage see a path
+    test('Refuse non-canonical file paths', async () => {
+      const traversal = '/videos/../premium/masterclass.mp4';
+      const refused = await Promise.all([
+        makeRequest(`/api/generate-signed-url?filePath=${traversal}&userId=USER_055`),
+        makeRequest('/api/generate-signed-url?filePath=/videos/./intro.mp4&userId=USER_055'),
+        makeRequest('/api/generate-signed-url?filePath=/videos//intro.mp4&userId=USER_055'),
+        postJson('/api/generate-signed-urls', { userId: 'USER_055', filePaths: [traversal, '/videos/intro.mp4'] })
+      ]);
+      const codes = refused.map(response => `${response.status}:${response.data.code || response.data.results.map(item => item.code || 'OK').join('+')}`).join();
+      if (codes !== '400:INVALID_PATH,400:INVALID_PATH,400:INVALID_PATH,200:INVALID_PATH+OK') throw new Error(`Unexpected codes ${codes}`);
+
+      // A URL signed for such a path (by hand, or before the check existed) is not served either
+      const params = signParams(traversal, { userId: 'USER_055', expires: String(Math.floor(Date.now() / 1000) + 60) });
+      const served = await makeRequest(`/media${traversal}?${new URLSearchParams(params)}`);
+      if (served.status !== 403 || served.data.code !== 'TOKEN_MISMATCH') throw new Error(`Expected TOKEN_MISMATCH, got ${served.status} ${served.data.code}`);
+    });
+
     // Wait for all tests to complete
     setTimeout(() => {
       console.log('📊 Test Results:');
@@ -116,6 +1626,15 @@ function runTests() {
       }
       
       server.close();
+      webhookReceiver.close();
+      fs.rmSync(mediaRoot, { recursive: true, force: true });
+      fs.rmSync(webhooksPath, { force: true });
+      fs.rmSync(imageCacheDir, { recursive: true, force: true });
+      fs.rmSync(jwksPath, { force: true });
+      fs.rmSync(policyPath, { force: true });
+      fs.rmSync(tokenDbPath, { force: true });
+      fs.rmSync(`${tokenDbPath}-wal`, { force: true });
+      fs.rmSync(`${tokenDbPath}-shm`, { force: true });
       process.exit(testsPassed === totalTests ? 0 : 1);
     }, 2000);
   });